@@ -0,0 +1,25 @@
+import path from 'path';
+import { DATA_DIR, JsonFileStore } from './json-store.server';
+
+// Latest below-cost findings per shop: [{ productId, productTitle, size, unitCost, marketPrice, price, checkedAt, ... }]
+const reportStore = new JsonFileStore(path.join(DATA_DIR, 'cost-report'));
+
+export async function getBelowCostReport(shop) {
+    return reportStore.get(shop, []);
+}
+
+// Replaces a product's entries with the result of its latest sync, so sizes that
+// recovered above cost drop off the report.
+export async function recordBelowCost(shop, { productId, productTitle }, entries = []) {
+    const report = await getBelowCostReport(shop);
+    const others = report.filter(item => item.productId !== productId);
+    if (entries.length === 0 && others.length === report.length) return report;
+
+    const checkedAt = new Date().toISOString();
+    const updated = [
+        ...others,
+        ...entries.map(entry => ({ ...entry, productId, productTitle, checkedAt }))
+    ];
+    await reportStore.set(shop, updated);
+    return updated;
+}
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+
+// Authenticated encryption (AES-256-GCM) for secrets written to disk: StockX tokens and Shopify sessions.
+//
+// STORAGE_ENCRYPTION_KEY           32 random bytes, as 64 hex characters or base64 (e.g. `openssl rand -base64 32`)
+// STORAGE_ENCRYPTION_PREVIOUS_KEYS comma-separated keys that may still have encrypted stored data.
+//                                  Data under an old key is re-encrypted with the current key when it is read.
+//
+// Without a key (allowed outside production only) data is stored as plain JSON; it is encrypted
+// the first time it is read after a key has been configured.
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT = 'aes-256-gcm.v1';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+function parseKey(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+    return key.length === KEY_BYTES ? key : null;
+}
+
+// Stored next to the data so the right key can be picked without trying them all
+const keyIdOf = (key) => crypto.createHash('sha256').update('storage-key:').update(key).digest('hex').slice(0, 16);
+
+// Why a configured key is unusable or too weak, or null when it is fine
+function keyProblem(value) {
+    if (!String(value || '').trim()) return 'STORAGE_ENCRYPTION_KEY is not set';
+    const key = parseKey(value);
+    if (!key) return `STORAGE_ENCRYPTION_KEY must be ${KEY_BYTES} bytes, as 64 hex characters or base64`;
+    if (new Set(key).size < 16) return 'STORAGE_ENCRYPTION_KEY looks like a placeholder (too few distinct bytes); generate a random key';
+    return null;
+}
+
+let keys = null;
+let warnedPlaintext = false;
+
+// { current: { id, key } | null, byId: Map<id, key> }
+function loadKeys() {
+    if (keys) return keys;
+
+    const current = parseKey(process.env.STORAGE_ENCRYPTION_KEY);
+    const previous = String(process.env.STORAGE_ENCRYPTION_PREVIOUS_KEYS || '')
+        .split(',')
+        .map(parseKey)
+        .filter(Boolean);
+
+    keys = {
+        current: current ? { id: keyIdOf(current), key: current } : null,
+        byId: new Map([current, ...previous].filter(Boolean).map(key => [keyIdOf(key), key]))
+    };
+    return keys;
+}
+
+// Called at startup: refuses to run in production without a strong key, warns in development
+export function assertStorageEncryptionKey() {
+    const problem = keyProblem(process.env.STORAGE_ENCRYPTION_KEY);
+    if (!problem) return;
+
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error(`${problem}. Refusing to start: StockX tokens and Shopify sessions would not be protected at rest.`);
+    }
+    console.warn(`[Encryption] ${problem}. Tokens and sessions are stored unencrypted (development only).`);
+}
+
+const isEnvelope = (stored) => stored && typeof stored === 'object' && stored.format === FORMAT;
+
+// Encrypts a JSON value into an envelope object; returns the value unchanged when no key is configured
+export function encryptJson(value) {
+    const { current } = loadKeys();
+    if (!current) {
+        if (!warnedPlaintext) {
+            console.warn('[Encryption] No STORAGE_ENCRYPTION_KEY configured, writing secrets unencrypted.');
+            warnedPlaintext = true;
+        }
+        return value;
+    }
+
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+    return {
+        format: FORMAT,
+        keyId: current.id,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+// Decrypts what encryptJson stored. Returns { value, stale }: stale means the data is plain JSON or
+// under an old key and should be written again (encryptJson) with the current key.
+// Throws when the key is unknown or the data was tampered with.
+export function decryptJson(stored) {
+    const { current, byId } = loadKeys();
+    if (!isEnvelope(stored)) return { value: stored, stale: Boolean(current) };
+
+    const key = byId.get(stored.keyId);
+    if (!key) throw new Error(`No encryption key with id ${stored.keyId}; add it to STORAGE_ENCRYPTION_PREVIOUS_KEYS`);
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(stored.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+    const json = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]).toString('utf8');
+
+    return { value: JSON.parse(json), stale: !current || stored.keyId !== current.id };
+}
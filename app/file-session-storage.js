@@ -1,7 +1,9 @@
 import fs from 'fs';
 import path from 'path';
 import { Session } from '@shopify/shopify-api';
+import { encryptJson, decryptJson } from './encryption.server';
 
+// Sessions hold the shops' offline access tokens, so they are encrypted at rest (see encryption.server.js)
 export class FileSessionStorage {
     constructor(dir) {
         this.dir = dir;
@@ -10,9 +12,20 @@ export class FileSessionStorage {
         }
     }
 
+    writeSessionFile(filePath, data) {
+        fs.writeFileSync(filePath, JSON.stringify(encryptJson(data)));
+    }
+
+    // Session data of a file; plain or old-key files are rewritten with the current key
+    readSessionFile(filePath) {
+        const { value, stale } = decryptJson(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        if (stale) this.writeSessionFile(filePath, value);
+        return value;
+    }
+
     async storeSession(session) {
         const filePath = path.join(this.dir, `${session.id}.json`);
-        fs.writeFileSync(filePath, JSON.stringify(session.toObject ? session.toObject() : session, null, 2));
+        this.writeSessionFile(filePath, session.toObject ? session.toObject() : session);
         return true;
     }
 
@@ -20,7 +33,7 @@ export class FileSessionStorage {
         const filePath = path.join(this.dir, `${id}.json`);
         if (fs.existsSync(filePath)) {
             try {
-                const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                const data = this.readSessionFile(filePath);
                 return new Session(data);
             } catch (e) {
                 console.error(`Error loading session ${id}:`, e);
@@ -51,7 +64,7 @@ export class FileSessionStorage {
         for (const file of files) {
             if (file.endsWith('.json')) {
                 try {
-                    const data = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+                    const data = this.readSessionFile(path.join(this.dir, file));
                     if (data.shop === shop) {
                         sessions.push(new Session(data));
                     }
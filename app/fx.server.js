@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, JsonFileStore } from './json-store.server';
+
+const fxStore = new JsonFileStore(path.join(DATA_DIR, 'fx-settings'));
+
+// Optional locally maintained rates file, e.g. exported nightly from a bank feed:
+// { "base": "EUR", "rates": { "USD": 1.08, "GBP": 0.86 }, "updatedAt": "..." }
+export const RATES_FILE = process.env.FX_RATES_FILE || path.join(DATA_DIR, 'fx-rates.json');
+
+// Currencies StockX can return market data in
+export const STOCKX_CURRENCIES = ['EUR', 'USD', 'GBP', 'AUD', 'CAD', 'CHF', 'HKD', 'JPY', 'KRW', 'MXN', 'NZD', 'SGD'];
+export const RATE_SOURCES = ['manual', 'file'];
+
+export const DEFAULT_FX_SETTINGS = {
+    // Empty means "request StockX prices in the shop currency"
+    sourceCurrency: '',
+    rateSource: 'manual',
+    base: 'EUR',
+    rates: {}
+};
+
+export const money = (amount, currency) => ({ amount: Number(amount), currency });
+
+export async function getFxSettings(shop) {
+    const stored = await fxStore.get(shop);
+    return { ...DEFAULT_FX_SETTINGS, ...(stored || {}) };
+}
+
+export function validateFxSettings(settings) {
+    const errors = [];
+    if (settings.sourceCurrency && !STOCKX_CURRENCIES.includes(settings.sourceCurrency)) {
+        errors.push(`Source currency must be one of ${STOCKX_CURRENCIES.join(', ')}.`);
+    }
+    if (!RATE_SOURCES.includes(settings.rateSource)) {
+        errors.push(`Rate source must be one of ${RATE_SOURCES.join(', ')}.`);
+    }
+    if (!/^[A-Z]{3}$/.test(settings.base || '')) {
+        errors.push('Base currency must be a 3-letter currency code.');
+    }
+    for (const [currency, rate] of Object.entries(settings.rates || {})) {
+        if (!/^[A-Z]{3}$/.test(currency)) errors.push(`"${currency}" is not a 3-letter currency code.`);
+        if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) errors.push(`Rate for ${currency} must be a positive number.`);
+    }
+    return errors;
+}
+
+export async function saveFxSettings(shop, settings) {
+    const errors = validateFxSettings(settings);
+    if (errors.length > 0) return { success: false, errors };
+
+    await fxStore.set(shop, settings);
+    return { success: true, settings };
+}
+
+function loadRatesFile() {
+    try {
+        if (!fs.existsSync(RATES_FILE)) return null;
+        const data = JSON.parse(fs.readFileSync(RATES_FILE, 'utf8'));
+        if (!data?.base || !data?.rates) return null;
+        return data;
+    } catch (e) {
+        console.error(`[FX] Error loading rates file ${RATES_FILE}:`, e);
+        return null;
+    }
+}
+
+// Returns { base, rates, updatedAt } from either the shop's manual table or the rates file
+export function getRateTable(settings) {
+    if (settings.rateSource === 'file') {
+        const fileRates = loadRatesFile();
+        if (fileRates) return fileRates;
+        console.warn(`[FX] Rates file ${RATES_FILE} missing or invalid, falling back to manual rates.`);
+    }
+    return { base: settings.base, rates: settings.rates, updatedAt: settings.updatedAt };
+}
+
+// Rates are "1 base = rate currency". Throws if a rate is missing so we never price with a wrong currency.
+export function convertMoney(value, toCurrency, rateTable) {
+    if (!value || value.currency === toCurrency) return value;
+
+    const rateFor = (currency) => {
+        if (currency === rateTable.base) return 1;
+        const rate = rateTable.rates?.[currency];
+        if (!rate) throw new Error(`No FX rate configured for ${currency} (base ${rateTable.base})`);
+        return rate;
+    };
+
+    const amount = (value.amount / rateFor(value.currency)) * rateFor(toCurrency);
+    return money(Math.round(amount * 100) / 100, toCurrency);
+}
+
+export async function getShopCurrency(admin) {
+    const response = await admin.graphql(
+        `#graphql
+        query shopCurrency {
+            shop { currencyCode }
+        }`
+    );
+    const json = await response.json();
+    return json.data?.shop?.currencyCode || 'EUR';
+}
+
+// Works out which currency to ask StockX for and how to get back to the shop currency.
+export async function getCurrencyContext(admin, shop) {
+    const [shopCurrency, settings] = await Promise.all([getShopCurrency(admin), getFxSettings(shop)]);
+
+    let sourceCurrency = settings.sourceCurrency || shopCurrency;
+    if (!STOCKX_CURRENCIES.includes(sourceCurrency)) {
+        console.warn(`[FX] StockX does not quote ${sourceCurrency}, requesting EUR and converting.`);
+        sourceCurrency = 'EUR';
+    }
+
+    const rateTable = getRateTable(settings);
+    return {
+        shopCurrency,
+        sourceCurrency,
+        rateTable,
+        toShopCurrency: (value) => convertMoney(value, shopCurrency, rateTable)
+    };
+}
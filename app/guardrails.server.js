@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import path from 'path';
+import { DATA_DIR, JsonFileStore } from './json-store.server';
+
+const guardrailsStore = new JsonFileStore(path.join(DATA_DIR, 'guardrails'));
+const approvalsStore = new JsonFileStore(path.join(DATA_DIR, 'price-approvals'));
+
+export const DEFAULT_GUARDRAILS = {
+    enabled: false,
+    // Largest allowed move from the current Shopify price in a single sync
+    maxChangePercent: 30,
+    // Shop-wide absolute bounds; productLimits can tighten or loosen them per product
+    floor: null,
+    ceiling: null,
+    productLimits: []
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isUnset = (value) => value === null || value === undefined;
+
+export async function getGuardrails(shop) {
+    const stored = await guardrailsStore.get(shop);
+    return { ...DEFAULT_GUARDRAILS, ...(stored || {}) };
+}
+
+export function validateGuardrails(guardrails) {
+    const errors = [];
+
+    if (!isUnset(guardrails.maxChangePercent) && (!isNumber(guardrails.maxChangePercent) || guardrails.maxChangePercent <= 0)) {
+        errors.push('Maximum change must be a positive percentage.');
+    }
+
+    const checkBounds = (floor, ceiling, prefix) => {
+        if (!isUnset(floor) && (!isNumber(floor) || floor < 0)) errors.push(`${prefix}floor must be a positive number.`);
+        if (!isUnset(ceiling) && (!isNumber(ceiling) || ceiling <= 0)) errors.push(`${prefix}ceiling must be a positive number.`);
+        if (isNumber(floor) && isNumber(ceiling) && floor > ceiling) errors.push(`${prefix}floor cannot be higher than the ceiling.`);
+    };
+
+    checkBounds(guardrails.floor, guardrails.ceiling, 'Shop ');
+    (guardrails.productLimits || []).forEach((limit, index) => {
+        const prefix = `Product limit ${index + 1}: `;
+        if (!limit.productId || !String(limit.productId).trim()) errors.push(`${prefix}a product ID is required.`);
+        checkBounds(limit.floor, limit.ceiling, prefix);
+    });
+
+    return errors;
+}
+
+export async function saveGuardrails(shop, guardrails) {
+    const errors = validateGuardrails(guardrails);
+    if (errors.length > 0) return { success: false, errors };
+
+    await guardrailsStore.set(shop, guardrails);
+    return { success: true, guardrails };
+}
+
+const sameProduct = (a, b) => String(a).split('/').pop() === String(b).split('/').pop();
+
+// Returns the reasons a proposed price should be held for approval (empty = safe to write).
+// currentPrice is null for sizes that do not exist in Shopify yet.
+export function checkGuardrails(guardrails, { productId, currentPrice, proposedPrice }) {
+    if (!guardrails?.enabled) return [];
+
+    const reasons = [];
+    const limit = (guardrails.productLimits || []).find(l => sameProduct(l.productId, productId));
+    const floor = limit && !isUnset(limit.floor) ? limit.floor : guardrails.floor;
+    const ceiling = limit && !isUnset(limit.ceiling) ? limit.ceiling : guardrails.ceiling;
+    const proposed = Number(proposedPrice);
+
+    if (isNumber(floor) && proposed < floor) {
+        reasons.push(`Below floor of ${floor.toFixed(2)}`);
+    }
+    if (isNumber(ceiling) && proposed > ceiling) {
+        reasons.push(`Above ceiling of ${ceiling.toFixed(2)}`);
+    }
+
+    const current = Number(currentPrice);
+    if (!isUnset(currentPrice) && current > 0 && isNumber(guardrails.maxChangePercent)) {
+        const changePercent = ((proposed - current) / current) * 100;
+        if (Math.abs(changePercent) > guardrails.maxChangePercent) {
+            reasons.push(`Changes ${changePercent > 0 ? '+' : ''}${changePercent.toFixed(1)}% (max ${guardrails.maxChangePercent}%)`);
+        }
+    }
+
+    return reasons;
+}
+
+// --- APPROVAL QUEUE ---
+
+export async function getPendingApprovals(shop) {
+    return approvalsStore.get(shop, []);
+}
+
+// Adds held price changes to the queue. A newer hold for the same size replaces the older one.
+export async function holdPriceChanges(shop, heldChanges) {
+    if (!heldChanges || heldChanges.length === 0) return getPendingApprovals(shop);
+
+    const queue = await getPendingApprovals(shop);
+    const keyOf = (item) => `${item.productId}|${item.size}`;
+    const incomingKeys = new Set(heldChanges.map(keyOf));
+
+    const updated = [
+        ...queue.filter(item => !incomingKeys.has(keyOf(item))),
+        ...heldChanges.map(item => ({
+            ...item,
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString()
+        }))
+    ];
+
+    await approvalsStore.set(shop, updated);
+    console.log(`[Guardrails] Held ${heldChanges.length} price changes for approval (${updated.length} pending).`);
+    return updated;
+}
+
+export async function getApproval(shop, id) {
+    const queue = await getPendingApprovals(shop);
+    return queue.find(item => item.id === id) || null;
+}
+
+// Called once a held change has been applied or rejected
+export async function removeApproval(shop, id) {
+    const queue = await getPendingApprovals(shop);
+    await approvalsStore.set(shop, queue.filter(item => item.id !== id));
+}
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+import { encryptJson, decryptJson } from './encryption.server';
+
+// Root directory for everything the app persists locally (settings, queues, history...).
+export const DATA_DIR = process.env.DATA_DIR || './data';
+
+// Small key/value store that keeps one JSON file per key, in the same spirit as FileSessionStorage.
+// Keys are usually shop domains, so they are sanitized into safe file names.
+// With { encrypted: true } values are encrypted at rest (see encryption.server.js).
+export class JsonFileStore {
+    constructor(dir, { encrypted = false } = {}) {
+        this.dir = dir;
+        this.encrypted = encrypted;
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    }
+
+    filePath(key) {
+        const safeKey = String(key).replace(/[^a-zA-Z0-9._-]/g, '_');
+        return path.join(this.dir, `${safeKey}.json`);
+    }
+
+    async get(key, fallback = null) {
+        const filePath = this.filePath(key);
+        if (!fs.existsSync(filePath)) return fallback;
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (!this.encrypted) return stored;
+
+            const { value, stale } = decryptJson(stored);
+            // Plain or under a rotated key: store it again with the current key
+            if (stale) await this.set(key, value);
+            return value;
+        } catch (e) {
+            console.error(`Error reading ${filePath}:`, e);
+            return fallback;
+        }
+    }
+
+    async set(key, value) {
+        const stored = this.encrypted ? encryptJson(value) : value;
+        fs.writeFileSync(this.filePath(key), JSON.stringify(stored, null, 2));
+        return value;
+    }
+
+    async delete(key) {
+        const filePath = this.filePath(key);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+            return true;
+        }
+        return false;
+    }
+
+    async keys() {
+        return fs.readdirSync(this.dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length));
+    }
+}
@@ -0,0 +1,211 @@
+import path from 'path';
+import { DATA_DIR, JsonFileStore } from './json-store.server';
+import {
+    searchStockXProduct,
+    listStockXVariants,
+    getStockXVariantPrices,
+    getStockXProductDetails,
+    stockxProductContent,
+    stockxLoginRequired
+} from './stockx.server';
+import { StockXAuthError, StockXError } from './stockx-client.server';
+import { AmbiguousMatchError } from './sku-match.server';
+import { priceFeedProvider } from './price-feed.server';
+import { DEFAULT_MARKET_CACHE_MINUTES } from './stockx-cache.server';
+
+// A market data provider is an object with:
+//   id, label
+//   searchProduct(sku, context)               -> product_info ({ productId, title, sku, image, brand }) or null
+//   listVariants(product, context)            -> [{ variantId, size_eu, size_us }]
+//   getVariantPrices(product, variants, context) -> the variants with `price` (lowest ask) and `market` (see parseMarketData)
+//                                              StockX variants also carry sizes and sizeType (see size-system.server.js)
+//   describeProduct(product, context)         -> optional, extended content for imports (see stockxProductContent)
+// context: { shop, currencyCode, baseUrl, expectedTitle, marketCacheMinutes, forceRefresh }. Providers throw on failures (AmbiguousMatchError when
+// a search has no confident match); null/empty results mean "not listed".
+
+export const stockxProvider = {
+    id: 'stockx',
+    label: 'StockX',
+
+    async searchProduct(sku, { shop, expectedTitle, forceRefresh }) {
+        return searchStockXProduct(shop, sku, { expectedTitle, forceRefresh });
+    },
+
+    async listVariants(product, { shop, forceRefresh }) {
+        return listStockXVariants(shop, product.productId, { forceRefresh });
+    },
+
+    async getVariantPrices(product, variants, { shop, currencyCode, marketCacheMinutes, forceRefresh }) {
+        return getStockXVariantPrices(shop, product.productId, variants, {
+            currencyCode,
+            label: product.sku,
+            maxAgeMs: marketCacheMinutes * 60 * 1000,
+            forceRefresh
+        });
+    },
+
+    async describeProduct(product, { shop, forceRefresh }) {
+        return stockxProductContent(await getStockXProductDetails(shop, product.productId, { forceRefresh }));
+    }
+};
+
+export const MARKET_DATA_PROVIDERS = [stockxProvider, priceFeedProvider];
+export const PROVIDER_IDS = MARKET_DATA_PROVIDERS.map(p => p.id);
+
+const getProvider = (id) => MARKET_DATA_PROVIDERS.find(p => p.id === id);
+
+const settingsStore = new JsonFileStore(path.join(DATA_DIR, 'market-data'));
+
+export const DEFAULT_MARKET_DATA_SETTINGS = {
+    // Providers tried in this order until one has the product
+    order: ['stockx'],
+    // Per-product choice that skips the fallback order: [{ productId, provider }]
+    productProviders: [],
+    // How long StockX market data is reused before it is fetched again (0 disables the cache)
+    marketCacheMinutes: DEFAULT_MARKET_CACHE_MINUTES
+};
+
+export async function getMarketDataSettings(shop) {
+    const stored = await settingsStore.get(shop);
+    return { ...DEFAULT_MARKET_DATA_SETTINGS, ...(stored || {}) };
+}
+
+export function validateMarketDataSettings(settings) {
+    const errors = [];
+
+    if (!Array.isArray(settings.order) || settings.order.length === 0) {
+        errors.push('Enable at least one market data provider.');
+    } else {
+        settings.order.filter(id => !getProvider(id)).forEach(id => errors.push(`Unknown provider "${id}".`));
+        if (new Set(settings.order).size !== settings.order.length) errors.push('A provider can only appear once in the order.');
+    }
+
+    const cacheMinutes = Number(settings.marketCacheMinutes);
+    if (!Number.isFinite(cacheMinutes) || cacheMinutes < 0) errors.push('Market data cache must be 0 or more minutes.');
+
+    (settings.productProviders || []).forEach((choice, index) => {
+        const prefix = `Product ${index + 1}: `;
+        if (!choice.productId || !String(choice.productId).trim()) errors.push(`${prefix}a product ID is required.`);
+        if (!getProvider(choice.provider)) errors.push(`${prefix}choose a provider.`);
+    });
+
+    return errors;
+}
+
+export async function saveMarketDataSettings(shop, settings) {
+    const errors = validateMarketDataSettings(settings);
+    if (errors.length > 0) return { success: false, errors };
+
+    await settingsStore.set(shop, settings);
+    return { success: true, settings };
+}
+
+const sameProduct = (a, b) => String(a).split('/').pop() === String(b).split('/').pop();
+
+// Providers to try for a product: its own choice if it has one, otherwise the shop's fallback order
+export function providersFor(settings, productId = null) {
+    const choice = productId && (settings.productProviders || []).find(c => sameProduct(c.productId, productId));
+    const ids = choice ? [choice.provider] : settings.order;
+    return ids.map(getProvider).filter(Boolean);
+}
+
+// Runs search → variants → prices against one provider; the search is skipped when the user already chose a product.
+// Returns the same result shape as fetchStockXData: { status, data: { product_info, variants } }, { status, error }
+// or, when the search was not confident, { status: 300, error, candidates }.
+async function fetchFromProvider(provider, sku, context, chosenProduct = null) {
+    try {
+        const product = chosenProduct || await provider.searchProduct(sku, context);
+        if (!product) return { status: 404, error: `${provider.label}: no products found for SKU: ${sku}` };
+
+        const variants = await provider.listVariants(product, context);
+        const prices = await provider.getVariantPrices(product, variants, context);
+
+        return {
+            status: 200,
+            data: {
+                product_info: { ...product, provider: provider.id },
+                variants: prices
+            }
+        };
+    } catch (error) {
+        if (error instanceof AmbiguousMatchError) {
+            return {
+                status: 300,
+                error: `${provider.label}: ${error.message}`,
+                candidates: error.candidates.map(c => ({ ...c, provider: provider.id }))
+            };
+        }
+        if (error instanceof StockXAuthError) {
+            return { ...stockxLoginRequired(context.baseUrl, context.shop, error.userMessage), error: `${provider.label}: ${error.userMessage}` };
+        }
+        console.error(`[Market Data] ${provider.label} lookup failed for ${sku}:`, error);
+        const message = error instanceof StockXError ? error.userMessage : `Lookup Failed: ${error.message}`;
+        return { status: error.status || 500, error: `${provider.label}: ${message}` };
+    }
+}
+
+// Looks a SKU up with the providers configured for the shop (and product), falling back in order.
+// The first provider with prices wins; its id is recorded as data.product_info.provider.
+// A search without a confident match stops the fallback and returns { status: 300, candidates };
+// pass the candidate the user picked as `product` to fetch its prices without searching again.
+// When every provider fails the first failure is returned (keeping a StockX login prompt, if any),
+// with all provider errors joined into `error`.
+// target: { sku, productId (Shopify, for per-product providers), title (helps SKU matching), product }
+// options: { currencyCode, baseUrl, forceRefresh } as for fetchStockXData
+export async function fetchMarketData(shop, { sku, productId = null, title = null, product = null }, options = {}) {
+    const cleanSku = sku ? sku.trim() : "";
+    if (!cleanSku) return { status: 400, error: "Missing 'sku'" };
+
+    const settings = await getMarketDataSettings(shop);
+    const context = {
+        shop,
+        currencyCode: options.currencyCode || 'EUR',
+        baseUrl: options.baseUrl || '',
+        expectedTitle: title,
+        marketCacheMinutes: Number(settings.marketCacheMinutes),
+        forceRefresh: Boolean(options.forceRefresh)
+    };
+
+    if (product) {
+        const provider = getProvider(product.provider);
+        if (!provider) return { status: 400, error: `Unknown provider "${product.provider}".` };
+        return fetchFromProvider(provider, cleanSku, context, product);
+    }
+
+    const providers = providersFor(settings, productId);
+
+    const failures = [];
+    for (const provider of providers) {
+        const result = await fetchFromProvider(provider, cleanSku, context);
+        if (result.status === 300) return result;
+        if (result.status === 200 && result.data.variants.some(v => v.price || v.market)) {
+            if (failures.length > 0) console.log(`[Market Data] ${cleanSku} priced from ${provider.label} after ${failures.length} failed providers.`);
+            return result;
+        }
+        failures.push(result.status === 200
+            ? { status: 404, error: `${provider.label}: no prices for SKU: ${cleanSku}` }
+            : result);
+    }
+
+    if (failures.length === 0) return { status: 500, error: 'No market data provider configured.' };
+    const loginPrompt = failures.find(f => f.loginUrl);
+    return {
+        ...(loginPrompt || failures[0]),
+        error: failures.map(f => f.error).join(' · ')
+    };
+}
+
+// Extended content (description, gallery...) of a product found by fetchMarketData, from the provider
+// that found it; null when the provider has none. Lookup failures are logged and also give null,
+// so an import can go ahead without them.
+export async function fetchProductContent(shop, productInfo, { forceRefresh = false } = {}) {
+    const provider = getProvider(productInfo.provider);
+    if (!provider?.describeProduct) return null;
+
+    try {
+        return await provider.describeProduct(productInfo, { shop, forceRefresh });
+    } catch (error) {
+        console.error(`[Market Data] ${provider.label} content lookup failed for ${productInfo.sku}:`, error);
+        return null;
+    }
+}
@@ -0,0 +1,237 @@
+import path from 'path';
+import { DATA_DIR, JsonFileStore } from './json-store.server';
+import { money } from './fx.server';
+
+// One uploaded feed per shop: { fileName, currency, uploadedAt, rows: [{ sku, size, price, ... }] }
+const feedStore = new JsonFileStore(path.join(DATA_DIR, 'price-feeds'));
+
+// Columns a feed may contain; sku, size and price are required.
+// highest_bid / last_sale / sales_72h feed the same pricing strategies as StockX market data.
+export const FEED_COLUMNS = ['sku', 'size', 'price', 'currency', 'title', 'brand', 'image', 'highest_bid', 'last_sale', 'sales_72h'];
+
+export const normalizeFeedSku = (sku) => String(sku || '').trim().toUpperCase();
+const normalizeSize = (size) => String(size || '').trim().replace(/^(EU|US|UK)\s+/i, '').replace(/(\d),(\d)/g, '$1.$2');
+
+// Splits CSV text into rows of fields. Handles quoted fields, escaped quotes ("") and commas/semicolons.
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Reads feed entries from CSV (header row required) or JSON (an array, or { items: [...] }).
+// Returns plain objects keyed by lowercased column name.
+function readFeedEntries(content, fileName = '') {
+    const trimmed = content.trim();
+    if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const parsed = JSON.parse(trimmed);
+        const items = Array.isArray(parsed) ? parsed : parsed.items || parsed.rows || [];
+        return items.map(item => Object.fromEntries(
+            Object.entries(item).map(([key, value]) => [key.trim().toLowerCase(), value])
+        ));
+    }
+
+    const [header, ...rows] = parseCsv(trimmed);
+    if (!header) return [];
+    const columns = header.map(h => h.trim().toLowerCase());
+    return rows.map(values => Object.fromEntries(columns.map((column, i) => [column, (values[i] || '').trim()])));
+}
+
+// Reads an amount written with either decimal separator: "245", "245.50", "245,50", "1,234.50", "1.234,50", "1 234,50".
+// With both separators the last one is the decimal point; a lone separator followed by exactly three digits
+// ("1,234" or "1.234") could be either, so it is rejected as ambiguous.
+// Returns { amount } (null when empty or not a positive number) or { ambiguous: true }.
+function readAmount(value) {
+    if (value === undefined || value === null || value === '') return { amount: null };
+    if (typeof value === 'number') return { amount: Number.isFinite(value) && value > 0 ? value : null };
+
+    const text = String(value).trim().replace(/[\s']/g, '');
+    const separators = text.match(/[.,]/g) || [];
+    let decimal = null;
+    if (new Set(separators).size === 2) {
+        decimal = text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+    } else if (separators.length === 1) {
+        if (/^\d{1,3}[.,]\d{3}$/.test(text)) return { ambiguous: true };
+        decimal = separators[0];
+    }
+
+    const point = decimal ? text.lastIndexOf(decimal) : text.length;
+    const whole = text.slice(0, point);
+    const fraction = text.slice(point + 1);
+    // Whatever is left in the whole part must be one kind of thousands separator between groups of three digits
+    const validWhole = /^\d+$/.test(whole) || /^\d{1,3}(?:([.,])\d{3}(?:\1\d{3})*)$/.test(whole);
+    if (!validWhole || !/^\d*$/.test(fraction)) return { amount: null };
+
+    const amount = Number(`${whole.replace(/[.,]/g, '')}.${fraction || '0'}`);
+    return { amount: amount > 0 ? amount : null };
+}
+
+// Parses and validates an uploaded feed. Returns { feed, errors }; invalid rows are reported, not stored.
+export function parsePriceFeed(content, { fileName = '', currency = 'EUR' } = {}) {
+    let entries;
+    try {
+        entries = readFeedEntries(content, fileName);
+    } catch (e) {
+        return { feed: null, errors: [`Could not read the feed: ${e.message}`] };
+    }
+
+    const errors = [];
+    const rows = [];
+    entries.forEach((entry, index) => {
+        const line = `Row ${index + 1}`;
+        const sku = normalizeFeedSku(entry.sku);
+        const size = normalizeSize(entry.size);
+        const price = readAmount(entry.price);
+        const highestBid = readAmount(entry.highest_bid);
+        const lastSale = readAmount(entry.last_sale);
+
+        if (!sku) return errors.push(`${line}: SKU is missing.`);
+        if (!size) return errors.push(`${line}: size is missing.`);
+        const ambiguous = [['price', price], ['highest_bid', highestBid], ['last_sale', lastSale]].find(([, a]) => a.ambiguous);
+        if (ambiguous) {
+            return errors.push(`${line}: ${ambiguous[0]} "${entry[ambiguous[0]]}" is ambiguous; write it without thousands separators.`);
+        }
+        if (price.amount === null) return errors.push(`${line}: price must be a positive number.`);
+
+        const salesLast72Hours = entry.sales_72h === undefined || entry.sales_72h === '' ? null : Number(entry.sales_72h);
+        rows.push({
+            sku,
+            size,
+            price: price.amount,
+            currency: entry.currency ? String(entry.currency).trim().toUpperCase() : null,
+            title: entry.title || null,
+            brand: entry.brand || null,
+            image: entry.image || null,
+            highestBid: highestBid.amount,
+            lastSale: lastSale.amount,
+            salesLast72Hours: Number.isFinite(salesLast72Hours) ? salesLast72Hours : null
+        });
+    });
+
+    if (entries.length === 0) errors.push('The feed has no rows.');
+
+    return {
+        feed: { fileName, currency, uploadedAt: new Date().toISOString(), rows },
+        errors
+    };
+}
+
+export async function getPriceFeed(shop) {
+    return feedStore.get(shop);
+}
+
+export async function savePriceFeed(shop, feed) {
+    await feedStore.set(shop, feed);
+    return feed;
+}
+
+export async function deletePriceFeed(shop) {
+    await feedStore.delete(shop);
+}
+
+// Summary shown in the settings page
+export function describePriceFeed(feed) {
+    if (!feed) return null;
+    return {
+        fileName: feed.fileName,
+        currency: feed.currency,
+        uploadedAt: feed.uploadedAt,
+        rowCount: feed.rows.length,
+        skuCount: new Set(feed.rows.map(r => r.sku)).size
+    };
+}
+
+// --- PROVIDER ---
+
+const feedRowsFor = async (shop, sku) => {
+    const feed = await getPriceFeed(shop);
+    if (!feed) return { feed: null, rows: [] };
+    const target = normalizeFeedSku(sku);
+    return { feed, rows: feed.rows.filter(r => r.sku === target) };
+};
+
+// Market data provider backed by the shop's uploaded feed (see market-data.server.js for the interface)
+export const priceFeedProvider = {
+    id: 'feed',
+    label: 'Price feed',
+
+    async searchProduct(sku, { shop }) {
+        const { rows } = await feedRowsFor(shop, sku);
+        if (rows.length === 0) return null;
+
+        const described = rows.find(r => r.title) || rows[0];
+        return {
+            productId: rows[0].sku,
+            title: described.title || rows[0].sku,
+            sku: rows[0].sku,
+            image: described.image,
+            brand: described.brand
+        };
+    },
+
+    async listVariants(product, { shop }) {
+        const { rows } = await feedRowsFor(shop, product.sku);
+        const sizes = [...new Set(rows.map(r => r.size))];
+        return sizes.map(size => ({ variantId: `${product.sku}:${size}`, size_eu: size, size_us: size }));
+    },
+
+    async getVariantPrices(product, variants, { shop }) {
+        const { feed, rows } = await feedRowsFor(shop, product.sku);
+        return variants.map(variant => {
+            const row = rows.find(r => r.size === variant.size_eu);
+            if (!row) return { ...variant, price: null, market: null };
+
+            const currency = row.currency || feed.currency;
+            const lowestAsk = money(row.price, currency);
+            return {
+                ...variant,
+                price: lowestAsk,
+                market: {
+                    lowestAsk,
+                    highestBid: row.highestBid ? money(row.highestBid, currency) : null,
+                    lastSale: row.lastSale ? money(row.lastSale, currency) : null,
+                    sellFaster: null,
+                    earnMore: null,
+                    salesLast72Hours: row.salesLast72Hours
+                }
+            };
+        });
+    }
+};
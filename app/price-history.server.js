@@ -0,0 +1,41 @@
+import path from 'path';
+import { DATA_DIR, JsonFileStore } from './json-store.server';
+
+// One file per product, so a busy shop doesn't rewrite one huge file on every sync
+const historyStore = new JsonFileStore(path.join(DATA_DIR, 'price-history'));
+
+// Oldest entries are dropped beyond this (about four months of daily syncs for a 20-size product)
+const MAX_ENTRIES_PER_PRODUCT = 2500;
+
+const historyKey = (shop, productId) => `${shop}__${String(productId).split('/').pop()}`;
+
+// entries: [{ variantId, size, ask: { amount, currency }, price, previousPrice, pricingRule }]
+export async function recordPriceHistory(shop, productId, entries) {
+    if (!entries || entries.length === 0) return;
+
+    const key = historyKey(shop, productId);
+    const history = await historyStore.get(key, []);
+    const timestamp = new Date().toISOString();
+
+    history.push(...entries.map(entry => ({
+        timestamp,
+        variantId: entry.variantId || null,
+        size: entry.size,
+        ask: entry.ask || null,
+        price: entry.price,
+        previousPrice: entry.previousPrice ?? null,
+        pricingRule: entry.pricingRule || null
+    })));
+
+    await historyStore.set(key, history.slice(-MAX_ENTRIES_PER_PRODUCT));
+}
+
+// Returns the product's history grouped by size, oldest first: { [size]: [entry, ...] }
+export async function getPriceHistory(shop, productId) {
+    const history = await historyStore.get(historyKey(shop, productId), []);
+    const bySize = {};
+    for (const entry of history) {
+        (bySize[entry.size] = bySize[entry.size] || []).push(entry);
+    }
+    return bySize;
+}
@@ -0,0 +1,372 @@
+import path from 'path';
+import { DATA_DIR, JsonFileStore } from './json-store.server';
+
+const rulesStore = new JsonFileStore(path.join(DATA_DIR, 'pricing-rules'));
+
+export const MARKUP_TYPES = ['fixed', 'percentage'];
+export const ROUNDING_STRATEGIES = ['none', 'up', 'down', 'nearest'];
+// Ordered from least to most specific; the most specific matching override wins.
+export const OVERRIDE_SCOPES = ['vendor', 'collection', 'tag', 'product'];
+// 'markup': ask + tier markup. 'landed_cost': ask + fees, shipping and tax, then a target margin.
+export const PRICING_MODES = ['markup', 'landed_cost'];
+// Which StockX market figure the markup (or landed cost) is applied to
+export const PRICING_STRATEGIES = ['lowest_ask', 'midpoint', 'last_sale', 'ask_or_last_sale'];
+export const STRATEGY_LABELS = {
+    lowest_ask: 'Lowest ask',
+    midpoint: 'Midpoint of bid and ask',
+    last_sale: 'Last sale',
+    ask_or_last_sale: 'Lowest ask, else last sale'
+};
+
+// Matches the original hardcoded brackets: +70 under €100 ... +130 over €700,
+// rounded up to the nearest 5 and ending in .90
+export const DEFAULT_PRICING_RULES = {
+    tiers: [
+        { upTo: 100, markupType: 'fixed', markup: 70 },
+        { upTo: 200, markupType: 'fixed', markup: 75 },
+        { upTo: 300, markupType: 'fixed', markup: 80 },
+        { upTo: 400, markupType: 'fixed', markup: 85 },
+        { upTo: 500, markupType: 'fixed', markup: 90 },
+        { upTo: 600, markupType: 'fixed', markup: 100 },
+        { upTo: 700, markupType: 'fixed', markup: 110 },
+        { upTo: null, markupType: 'fixed', markup: 130 }
+    ],
+    minPrice: null,
+    maxPrice: null,
+    rounding: { strategy: 'up', step: 5, offset: -0.10 },
+    overrides: [],
+    mode: 'markup',
+    strategy: 'lowest_ask',
+    // Last sales are ignored when fewer sales than this happened in the last 72 hours (null = always trust them)
+    minRecentSales: null,
+    // Never price an existing variant below its Shopify unit cost plus this margin (of the sell price)
+    costFloor: {
+        enabled: false,
+        minMarginPercent: 10
+    },
+    // Fees are percentages of the ask; shipping is a fixed amount per pair; tax applies on top of everything.
+    landedCost: {
+        buyerFeePercent: 0,
+        processingFeePercent: 0,
+        shippingCost: 0,
+        taxPercent: 0,
+        targetMarginPercent: 25
+    }
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+function validateTiers(tiers, prefix = '') {
+    const errors = [];
+
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        return [`${prefix}At least one markup tier is required.`];
+    }
+
+    let previousUpTo = -Infinity;
+    tiers.forEach((tier, index) => {
+        const label = `${prefix}Tier ${index + 1}`;
+        const isLast = index === tiers.length - 1;
+
+        if (tier.upTo === null || tier.upTo === undefined) {
+            if (!isLast) errors.push(`${label}: only the last tier may have no upper bound.`);
+        } else if (!isNumber(tier.upTo) || tier.upTo <= 0) {
+            errors.push(`${label}: upper bound must be a positive number.`);
+        } else if (tier.upTo <= previousUpTo) {
+            errors.push(`${label}: upper bounds must be in ascending order.`);
+        } else {
+            previousUpTo = tier.upTo;
+        }
+
+        if (!MARKUP_TYPES.includes(tier.markupType)) {
+            errors.push(`${label}: markup type must be one of ${MARKUP_TYPES.join(', ')}.`);
+        }
+        if (!isNumber(tier.markup)) {
+            errors.push(`${label}: markup must be a number.`);
+        }
+    });
+
+    const lastTier = tiers[tiers.length - 1];
+    if (lastTier.upTo !== null && lastTier.upTo !== undefined) {
+        errors.push(`${prefix}The last tier must have no upper bound so every price is covered.`);
+    }
+
+    return errors;
+}
+
+// Min/max sell price of the shop rules or of an override; both are optional
+function validateBounds({ minPrice, maxPrice }, prefix = '') {
+    const errors = [];
+    if (minPrice !== null && minPrice !== undefined && (!isNumber(minPrice) || minPrice < 0)) {
+        errors.push(`${prefix}Minimum price must be a positive number.`);
+    }
+    if (maxPrice !== null && maxPrice !== undefined && (!isNumber(maxPrice) || maxPrice <= 0)) {
+        errors.push(`${prefix}Maximum price must be a positive number.`);
+    }
+    if (isNumber(minPrice) && isNumber(maxPrice) && minPrice > maxPrice) {
+        errors.push(`${prefix}Minimum price cannot be higher than maximum price.`);
+    }
+    return errors;
+}
+
+// Returns a list of human readable problems; an empty list means the rules are usable.
+export function validatePricingRules(rules) {
+    if (!rules || typeof rules !== 'object') {
+        return ['Pricing rules are missing.'];
+    }
+
+    const errors = validateTiers(rules.tiers);
+
+    errors.push(...validateBounds(rules));
+
+    const rounding = rules.rounding || {};
+    if (!ROUNDING_STRATEGIES.includes(rounding.strategy)) {
+        errors.push(`Rounding strategy must be one of ${ROUNDING_STRATEGIES.join(', ')}.`);
+    } else if (rounding.strategy !== 'none' && (!isNumber(rounding.step) || rounding.step <= 0)) {
+        errors.push('Rounding step must be a positive number.');
+    }
+    if (rounding.offset !== undefined && !isNumber(rounding.offset)) {
+        errors.push('Rounding offset must be a number.');
+    }
+
+    if (rules.mode !== undefined && !PRICING_MODES.includes(rules.mode)) {
+        errors.push(`Pricing mode must be one of ${PRICING_MODES.join(', ')}.`);
+    }
+
+    if (rules.strategy !== undefined && !PRICING_STRATEGIES.includes(rules.strategy)) {
+        errors.push(`Pricing strategy must be one of ${PRICING_STRATEGIES.join(', ')}.`);
+    }
+    if (rules.minRecentSales !== null && rules.minRecentSales !== undefined && (!Number.isInteger(rules.minRecentSales) || rules.minRecentSales < 0)) {
+        errors.push('Minimum sales in the last 72 hours must be a whole number of zero or more.');
+    }
+
+    const costFloor = rules.costFloor || {};
+    if (costFloor.enabled && (!isNumber(costFloor.minMarginPercent) || costFloor.minMarginPercent < 0 || costFloor.minMarginPercent >= 100)) {
+        errors.push('Minimum margin over cost must be a percentage between 0 and 100.');
+    }
+
+    const landedCost = rules.landedCost || {};
+    const costFields = {
+        buyerFeePercent: 'Buyer fee',
+        processingFeePercent: 'Processing fee',
+        shippingCost: 'Shipping cost',
+        taxPercent: 'Tax rate'
+    };
+    for (const [field, label] of Object.entries(costFields)) {
+        if (landedCost[field] !== undefined && (!isNumber(landedCost[field]) || landedCost[field] < 0)) {
+            errors.push(`${label} must be zero or a positive number.`);
+        }
+    }
+    if (rules.mode === 'landed_cost' && (!isNumber(landedCost.targetMarginPercent) || landedCost.targetMarginPercent < 0 || landedCost.targetMarginPercent >= 100)) {
+        errors.push('Target margin must be a percentage between 0 and 100.');
+    }
+
+    (rules.overrides || []).forEach((override, index) => {
+        const prefix = `Override ${index + 1}: `;
+        if (!OVERRIDE_SCOPES.includes(override.scope)) {
+            errors.push(`${prefix}scope must be one of ${OVERRIDE_SCOPES.join(', ')}.`);
+        }
+        if (!override.value || typeof override.value !== 'string' || !override.value.trim()) {
+            errors.push(`${prefix}a ${override.scope || 'target'} value is required.`);
+        }
+        errors.push(...validateTiers(override.tiers, prefix));
+        errors.push(...validateBounds(override, prefix));
+    });
+
+    return errors;
+}
+
+function roundPrice(price, rounding) {
+    if (!rounding || rounding.strategy === 'none') return price;
+
+    const step = rounding.step;
+    let rounded = price;
+    if (rounding.strategy === 'up') rounded = Math.ceil(price / step) * step;
+    else if (rounding.strategy === 'down') rounded = Math.floor(price / step) * step;
+    else if (rounding.strategy === 'nearest') rounded = Math.round(price / step) * step;
+
+    return rounded + (rounding.offset || 0);
+}
+
+const findTier = (basePrice, tiers) =>
+    tiers.find(t => t.upTo === null || t.upTo === undefined || basePrice < t.upTo) || tiers[tiers.length - 1];
+
+// Tier bounds and fixed markups are amounts in the shop currency: 70 EUR -> "€70", 99.5 CHF -> "CHF 99.50"
+const formatAmount = (amount, currencyCode) =>
+    new Intl.NumberFormat('en', { style: 'currency', currency: currencyCode, ...(Number.isInteger(amount) ? { minimumFractionDigits: 0 } : {}) }).format(amount);
+
+const describeTier = (tier, currencyCode) => {
+    const markup = tier.markupType === 'percentage' ? `+${tier.markup}%` : `+${formatAmount(tier.markup, currencyCode)}`;
+    return tier.upTo === null || tier.upTo === undefined ? `${markup} (no limit)` : `${markup} (< ${formatAmount(tier.upTo, currencyCode)})`;
+};
+
+// What a pair actually costs us at the given ask: ask + buyer/processing fees + shipping, plus tax.
+export function calculateLandedCost(ask, landedCost = DEFAULT_PRICING_RULES.landedCost) {
+    const fees = ask * (((landedCost.buyerFeePercent || 0) + (landedCost.processingFeePercent || 0)) / 100);
+    const beforeTax = ask + fees + (landedCost.shippingCost || 0);
+    return beforeTax * (1 + (landedCost.taxPercent || 0) / 100);
+}
+
+// Margin as a percentage of the sell price
+export const calculateMargin = (price, cost) => (price > 0 ? ((price - cost) / price) * 100 : 0);
+
+// Applies the pricing mode (tiers or landed cost + margin), rounding and min/max bounds to a market price.
+// Returns the sell price as a string with two decimals, like the Shopify API expects.
+export function calculatePrice(basePrice, rules = DEFAULT_PRICING_RULES) {
+    let price;
+
+    if (rules.mode === 'landed_cost') {
+        const landedCost = calculateLandedCost(basePrice, rules.landedCost);
+        price = landedCost / (1 - rules.landedCost.targetMarginPercent / 100);
+    } else {
+        const tier = findTier(basePrice, rules.tiers);
+        const markup = tier.markupType === 'percentage'
+            ? basePrice * (tier.markup / 100)
+            : tier.markup;
+        price = basePrice + markup;
+    }
+
+    price = roundPrice(price, rules.rounding);
+
+    if (isNumber(rules.minPrice)) price = Math.max(price, rules.minPrice);
+    if (isNumber(rules.maxPrice)) price = Math.min(price, rules.maxPrice);
+
+    return price.toFixed(2);
+}
+
+// Lowest sell price that keeps the minimum margin over a unit cost, rounded up with the shop rounding
+// so floored prices still look like the rest (e.g. end in .90). Null when the cost floor is off.
+export function calculateCostFloor(unitCost, rules = DEFAULT_PRICING_RULES) {
+    const costFloor = rules.costFloor;
+    if (!costFloor?.enabled || !isNumber(unitCost) || unitCost <= 0) return null;
+
+    const floor = unitCost / (1 - costFloor.minMarginPercent / 100);
+    const rounding = rules.rounding;
+    if (!rounding || rounding.strategy === 'none') return Math.ceil(floor * 100) / 100;
+
+    let rounded = roundPrice(floor, { ...rounding, strategy: 'up' });
+    // A negative offset (like -0.10) can land just under the floor
+    if (rounded < floor) rounded += rounding.step;
+    return rounded;
+}
+
+// Same as calculatePrice, but also returns a short label of the rule that produced the price,
+// the landed cost of the pair and the resulting margin. currencyCode: the shop currency the prices are in.
+export function calculatePriceWithRule(basePrice, rules = DEFAULT_PRICING_RULES, currencyCode = 'EUR') {
+    const price = calculatePrice(basePrice, rules);
+    const landedCost = calculateLandedCost(basePrice, rules.landedCost);
+
+    const detail = rules.mode === 'landed_cost'
+        ? `Landed cost · ${rules.landedCost.targetMarginPercent}% margin`
+        : describeTier(findTier(basePrice, rules.tiers), currencyCode);
+
+    return {
+        price,
+        rule: `${rules.ruleLabel || 'Default'} · ${detail}`,
+        landedCost: landedCost.toFixed(2),
+        margin: calculateMargin(Number(price), landedCost).toFixed(1)
+    };
+}
+
+// Picks the market price to base the sell price on according to the shop's strategy.
+// market: snapshot from parseMarketData ({ lowestAsk, highestBid, lastSale, salesLast72Hours }).
+// Returns { price: { amount, currency }, source } where source labels the figure used, or null when
+// the strategy has nothing to work with (e.g. no ask and no trusted last sale).
+export function selectMarketPrice(market, rules = DEFAULT_PRICING_RULES) {
+    if (!market) return null;
+    const { lowestAsk, highestBid, lastSale, salesLast72Hours } = market;
+
+    // A last sale is only trusted when the size sells often enough
+    const trustedLastSale = lastSale && !(isNumber(rules.minRecentSales) && isNumber(salesLast72Hours) && salesLast72Hours < rules.minRecentSales)
+        ? lastSale
+        : null;
+    const fromAsk = lowestAsk ? { price: lowestAsk, source: STRATEGY_LABELS.lowest_ask } : null;
+
+    switch (rules.strategy) {
+        case 'midpoint':
+            if (lowestAsk && highestBid && highestBid.currency === lowestAsk.currency) {
+                return {
+                    price: { amount: (lowestAsk.amount + highestBid.amount) / 2, currency: lowestAsk.currency },
+                    source: 'Midpoint'
+                };
+            }
+            return fromAsk;
+        case 'last_sale':
+            return trustedLastSale ? { price: trustedLastSale, source: STRATEGY_LABELS.last_sale } : fromAsk;
+        case 'ask_or_last_sale':
+            return fromAsk || (trustedLastSale ? { price: trustedLastSale, source: STRATEGY_LABELS.last_sale } : null);
+        default:
+            return fromAsk;
+    }
+}
+
+const matchesOverride = (override, context) => {
+    const target = override.value.trim().toLowerCase();
+    const same = (candidate) => candidate !== undefined && candidate !== null && String(candidate).trim().toLowerCase() === target;
+
+    switch (override.scope) {
+        case 'product':
+            return same(context.productId) || same(context.productId?.split('/').pop());
+        case 'tag':
+            return (context.tags || []).some(same);
+        case 'collection':
+            return (context.collections || []).some(c => same(c.id) || same(c.id?.split('/').pop()) || same(c.title) || same(c.handle));
+        case 'vendor':
+            return same(context.vendor);
+        default:
+            return false;
+    }
+};
+
+export const describeOverride = (override) =>
+    `${override.scope.charAt(0).toUpperCase()}${override.scope.slice(1)}: ${override.value}`;
+
+// Picks the most specific override matching the product (product > tag > collection > vendor)
+// and returns the effective rules for it. Overrides replace the tiers (and bounds, if set);
+// rounding is always inherited from the shop rules.
+// context: { productId, vendor, tags: [], collections: [{ id, title, handle }] }
+export function resolvePricingRules(rules, context = {}) {
+    const overrides = rules.overrides || [];
+    let winner = null;
+
+    for (const override of overrides) {
+        if (!matchesOverride(override, context)) continue;
+        if (!winner || OVERRIDE_SCOPES.indexOf(override.scope) > OVERRIDE_SCOPES.indexOf(winner.scope)) {
+            winner = override;
+        }
+    }
+
+    if (!winner) return { ...rules, ruleLabel: 'Default' };
+
+    return {
+        ...rules,
+        tiers: winner.tiers,
+        minPrice: isNumber(winner.minPrice) ? winner.minPrice : rules.minPrice,
+        maxPrice: isNumber(winner.maxPrice) ? winner.maxPrice : rules.maxPrice,
+        ruleLabel: describeOverride(winner)
+    };
+}
+
+export async function getPricingRules(shop) {
+    const stored = await rulesStore.get(shop);
+    if (!stored) return DEFAULT_PRICING_RULES;
+    return {
+        ...DEFAULT_PRICING_RULES,
+        ...stored,
+        landedCost: { ...DEFAULT_PRICING_RULES.landedCost, ...(stored.landedCost || {}) },
+        costFloor: { ...DEFAULT_PRICING_RULES.costFloor, ...(stored.costFloor || {}) }
+    };
+}
+
+export async function savePricingRules(shop, rules) {
+    const errors = validatePricingRules(rules);
+    if (errors.length > 0) return { success: false, errors };
+
+    await rulesStore.set(shop, rules);
+    return { success: true, rules };
+}
+
+export async function resetPricingRules(shop) {
+    await rulesStore.delete(shop);
+    return DEFAULT_PRICING_RULES;
+}
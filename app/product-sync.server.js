@@ -0,0 +1,169 @@
+import crypto from "crypto";
+import path from "path";
+import { JsonFileStore, DATA_DIR } from "./json-store.server";
+import { fetchMarketData, fetchProductContent } from "./market-data.server";
+import { updateShopifyProduct, applyShopifyProductPlan } from "./shopify.sync";
+import { getPricingRules } from "./pricing.server";
+import { getCurrencyContext, convertMoney } from "./fx.server";
+import { getGuardrails, holdPriceChanges } from "./guardrails.server";
+import { recordPriceHistory } from "./price-history.server";
+import { recordBelowCost } from "./cost-report.server";
+import { getSizeSettings } from "./size-system.server";
+import { fetchStockXData } from "./stockx.server";
+import { withStockXRecording, withStockXReplay, getRecordedRun } from "./stockx-recorder.server";
+
+// Previewed plans, keyed by plan id. Only plans planned here can be applied (see applyReviewedPlan),
+// so a client cannot skip the guardrails and cost floor or touch variants nobody reviewed.
+const planStore = new JsonFileStore(path.join(DATA_DIR, "sync-plans"));
+const PLAN_TTL_MS = 60 * 60 * 1000;
+
+const isExpiredPlan = (stored) => Date.now() - new Date(stored.createdAt).getTime() > PLAN_TTL_MS;
+
+// Saves a previewed plan (dropping previews nobody applied in time) and returns it with its planId
+async function storePlan(shop, plan) {
+    for (const key of await planStore.keys()) {
+        const stored = await planStore.get(key);
+        if (!stored || isExpiredPlan(stored)) await planStore.delete(key);
+    }
+
+    const planId = crypto.randomUUID();
+    await planStore.set(planId, { shop, createdAt: new Date().toISOString(), plan });
+    return { ...plan, planId };
+}
+
+// Loads everything a sync for this shop needs (currency, pricing rules, guardrails, size systems)
+async function loadSyncOptions(admin, shop) {
+    const [currency, pricingRules, guardrails, sizeSettings] = await Promise.all([
+        getCurrencyContext(admin, shop),
+        getPricingRules(shop),
+        getGuardrails(shop),
+        getSizeSettings(shop)
+    ]);
+    return { currency, pricingRules, guardrails, sizeSettings };
+}
+
+// Queues held changes for approval, adds the written prices to the price history
+// and updates the below-cost report for the product
+async function recordSyncOutcome(shop, plan, result) {
+    if (result.held?.length > 0) {
+        await holdPriceChanges(shop, result.held);
+    }
+    await recordPriceHistory(shop, plan.productId, result.written);
+    await recordBelowCost(shop, plan, result.belowCost);
+}
+
+// Fetches market data for a product's SKU (see fetchMarketData) and syncs it into Shopify.
+// With dryRun the plan is returned instead of applied (see planShopifyProductUpdate);
+// forceRefresh ignores cached StockX data.
+// Returns the same shape the routes send to the UI: { status, message, ... }.
+// title (the Shopify product title) helps pick the right catalog product for the SKU.
+// When the shop records StockX traffic, the run is recorded for replayRecordedRun.
+export async function runProductSync(admin, shop, { productId, sku, title = null }, { dryRun = false, forceRefresh = false } = {}) {
+    if (!sku) return { status: "error", message: "Product has no SKU to search." };
+
+    const kind = dryRun ? "preview" : "sync";
+    return withStockXRecording(shop, { kind, sku, productId, title }, async (note) => {
+        const appUrl = process.env.SHOPIFY_APP_URL || "";
+        const syncOptions = await loadSyncOptions(admin, shop);
+        note({ currencyCode: syncOptions.currency.sourceCurrency, syncOptions: snapshotSyncOptions(syncOptions) });
+
+        const marketResult = await fetchMarketData(shop, { sku, productId, title }, {
+            currencyCode: syncOptions.currency.sourceCurrency,
+            baseUrl: appUrl,
+            forceRefresh
+        });
+        if (marketResult.status === 300) {
+            const best = marketResult.candidates[0];
+            return {
+                status: "error",
+                message: `No confident match for SKU ${sku}; closest is "${best.title}" (${best.sku}). Check the product SKU.`
+            };
+        }
+        if (marketResult.status !== 200) {
+            return {
+                status: "error",
+                message: marketResult.error || "Market Data Fetch Failed",
+                action: marketResult.action,
+                loginUrl: marketResult.loginUrl
+            };
+        }
+
+        const result = await updateShopifyProduct(admin, { id: productId }, marketResult.data, { ...syncOptions, dryRun });
+        if (result.status !== "success") return { ...result, productId };
+        if (dryRun) return { status: "success", message: result.message, productId, plan: await storePlan(shop, result.plan) };
+
+        await recordSyncOutcome(shop, { productId, productTitle: result.productTitle }, result);
+        return { status: "success", message: result.message, productId, heldCount: result.held?.length || 0 };
+    });
+}
+
+// The sync options as plain JSON, for a recorded run (the currency context without its function)
+const snapshotSyncOptions = ({ currency, ...options }) => ({
+    ...options,
+    currency: { shopCurrency: currency.shopCurrency, sourceCurrency: currency.sourceCurrency, rateTable: currency.rateTable }
+});
+
+const restoreSyncOptions = ({ currency, ...options }) => ({
+    ...options,
+    currency: { ...currency, toShopCurrency: (value) => convertMoney(value, currency.shopCurrency, currency.rateTable) }
+});
+
+// Replays a recorded run (see stockx-recorder.server.js): its StockX responses are fed through fetchStockXData
+// and, for runs of an existing product, a dry-run updateShopifyProduct with the pricing rules, guardrails,
+// size settings and exchange rates the run used. The Shopify product itself is read as it is now.
+// Returns { status, message, plan } like a preview, plus the replayed StockX data as `data`.
+export async function replayRecordedRun(admin, shop, runId) {
+    const run = await getRecordedRun(shop, runId);
+    if (!run) return { status: "error", message: "Recorded run not found." };
+    if (run.exchanges.length === 0) {
+        return { status: "error", message: "The run made no StockX requests (its data came from another provider), so there is nothing to replay." };
+    }
+
+    const replayed = await withStockXReplay(run, async () => {
+        const result = await fetchStockXData(shop, run.sku, process.env.SHOPIFY_APP_URL || "", {
+            currencyCode: run.context.currencyCode,
+            expectedTitle: run.title,
+            product: run.context.product || null
+        });
+        if (result.status !== 200) return result;
+
+        const productInfo = { ...result.data.product_info, provider: "stockx" };
+        // Imports also fetched the description and gallery
+        if (run.kind === "import") productInfo.content = await fetchProductContent(shop, productInfo);
+        return { ...result, data: { ...result.data, product_info: productInfo } };
+    });
+    if (replayed.status !== 200) {
+        return { status: "error", message: `Replayed StockX lookup failed: ${replayed.error}` };
+    }
+
+    const data = replayed.data;
+    if (!run.productId) {
+        return { status: "success", message: `Replayed ${run.exchanges.length} StockX responses for ${data.product_info.title}.`, data };
+    }
+
+    // Runs without noted sync options are planned with the shop's current ones
+    const syncOptions = run.context.syncOptions ? restoreSyncOptions(run.context.syncOptions) : await loadSyncOptions(admin, shop);
+    const result = await updateShopifyProduct(admin, { id: run.productId }, data, { ...syncOptions, dryRun: true });
+    return { ...result, productId: run.productId, data };
+}
+
+// Applies a plan previewed by runProductSync, optionally only the selected entries (their keys).
+// Each plan can be applied once, by the shop that previewed it, within an hour of the preview.
+export async function applyReviewedPlan(admin, shop, planId, selectedKeys = null) {
+    const stored = planId ? await planStore.get(planId) : null;
+    if (!stored || stored.shop !== shop) {
+        return { status: "error", message: "This preview is no longer available. Preview the product again." };
+    }
+    await planStore.delete(planId);
+    if (isExpiredPlan(stored)) {
+        return { status: "error", message: "This preview has expired. Preview the product again." };
+    }
+    if (selectedKeys !== null && (!Array.isArray(selectedKeys) || !selectedKeys.every(key => typeof key === "string"))) {
+        return { status: "error", message: "Selected changes must be a list of entry keys." };
+    }
+
+    const plan = stored.plan;
+    const result = await applyShopifyProductPlan(admin, plan, selectedKeys);
+    await recordSyncOutcome(shop, plan, result);
+    return { status: "success", message: result.message, productId: plan.productId, heldCount: result.held?.length || 0 };
+}
@@ -8,20 +8,101 @@ import {
   Button,
   Text,
   BlockStack,
+  InlineStack,
   Banner,
+  Badge,
+  Thumbnail,
   AppProvider,
   ProgressBar
 } from "@shopify/polaris";
 import enTranslations from "@shopify/polaris/locales/en.json";
 import "@shopify/polaris/build/esm/styles.css";
+
+// Use the dedicated API route for import actions
+const ACTION_URL = "/app/api/import";
+
+// POSTs to the import API route and returns its JSON.
+// Throws with a readable message on auth redirects, network errors and HTML responses.
+async function postImportAction(fields, stepLabel) {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+
+  const response = await fetch(ACTION_URL, {
+    method: "POST",
+    body: formData,
+    redirect: "manual" // IMPORTANT: Don't follow auth redirects
+  });
+
+  if (response.type === "opaqueredirect" || response.status === 0 || response.status > 299) {
+    if (response.status === 302 || response.type === "opaqueredirect" || response.status === 401) {
+      throw new Error("Session Expired (Please Refresh)");
+    }
+    throw new Error(`${stepLabel} Network Error (${response.status})`);
+  }
+
+  const text = await response.text();
+  if (text.trim().startsWith("<")) {
+    console.log(`FULL HTML RESPONSE (${stepLabel.toUpperCase()}):`, text);
+    throw new Error("Received HTML instead of JSON. Check Console for details.");
+  }
+  return JSON.parse(text);
+}
+
+// Fetches market data for a SKU (or the candidate the user picked) and creates the Shopify product.
+// Returns { outcome: "success" | "failed" | "auth" | "ambiguous", ... }.
+async function importSku(sku, candidate = null) {
+  try {
+    // STEP 1: Fetch market data
+    const fetchFields = { intent: "fetch_stockx", sku };
+    if (candidate) fetchFields.candidate = JSON.stringify(candidate);
+    const fetchData = await postImportAction(fetchFields, "Fetch");
+
+    if (fetchData.status === "ambiguous") {
+      return { outcome: "ambiguous", message: fetchData.message, candidates: fetchData.candidates };
+    }
+    if (fetchData.status !== "success") {
+      if (fetchData.loginUrl) return { outcome: "auth", loginUrl: fetchData.loginUrl };
+      return { outcome: "failed", message: fetchData.message };
+    }
+
+    // STEP 2: Create Shopify Product
+    const createData = await postImportAction({ intent: "create_shopify", data: JSON.stringify(fetchData.data) }, "Create");
+    if (createData.status === "success") return { outcome: "success", title: createData.title };
+    return { outcome: "failed", message: createData.message };
+  } catch (e) {
+    console.error("Client Loop Error:", e);
+    return { outcome: "failed", message: e.message };
+  }
+}
+
+const scoreTone = (score) => (score >= 0.9 ? "success" : score >= 0.6 ? "attention" : "critical");
+
 // --- FRONTEND UI ---
 export default function Index() {
-  // const actionData = useActionData(); // Not using actionData directly for list anymore
-
   const [skus, setSkus] = useState("");
   const [isImporting, setIsImporting] = useState(false);
   const [progressState, setProgressState] = useState({ current: 0, total: 0, percent: 0 });
   const [results, setResults] = useState({ success: [], failed: [] });
+  // SKUs without a confident match, waiting for the user to pick a product: [{ sku, message, candidates }]
+  const [pendingMatches, setPendingMatches] = useState([]);
+  const [resolvingSku, setResolvingSku] = useState(null);
+  // Set when StockX needs to be (re)connected before importing can continue
+  const [loginUrl, setLoginUrl] = useState(null);
+
+  // Adds an importSku result to the banners; returns true when the import has to stop (StockX login needed)
+  const recordOutcome = (sku, result) => {
+    if (result.outcome === "success") {
+      setResults(prev => ({ ...prev, success: [...prev.success, `${sku} (${result.title})`] }));
+    } else if (result.outcome === "ambiguous") {
+      setPendingMatches(prev => [...prev.filter(m => m.sku !== sku), { sku, message: result.message, candidates: result.candidates }]);
+    } else if (result.outcome === "auth") {
+      setLoginUrl(result.loginUrl);
+      return true;
+    } else {
+      setResults(prev => ({ ...prev, failed: [...prev.failed, `${sku}: ${result.message}`] }));
+    }
+    return false;
+  };
 
   const handleImport = async () => {
     const skuList = skus.split(/[\n,]+/).map(s => s.trim()).filter(Boolean);
@@ -30,119 +111,43 @@ export default function Index() {
     setIsImporting(true);
     setProgressState({ current: 0, total: skuList.length, percent: 0 });
     setResults({ success: [], failed: [] });
+    setPendingMatches([]);
+    setLoginUrl(null);
 
     let completed = 0;
     const total = skuList.length;
 
-    // Use the dedicated API route for import actions
-    const actionUrl = "/app/api/import";
-
     for (const sku of skuList) {
-      try {              // STEP 1: Fetch StockX Data
-        const fetchFormData = new FormData();
-        fetchFormData.append("intent", "fetch_stockx");
-        fetchFormData.append("sku", sku);
-
-        const fetchResponse = await fetch(actionUrl, {
-          method: "POST",
-          body: fetchFormData,
-          redirect: "manual" // IMPORTANT: Don't follow auth redirects
-        });
-
-        if (fetchResponse.type === "opaqueredirect" || fetchResponse.status === 0 || fetchResponse.status > 299) {
-          if (fetchResponse.status === 302 || fetchResponse.type === "opaqueredirect" || fetchResponse.status === 401) {
-            setResults(prev => ({ ...prev, failed: [...prev.failed, `${sku}: Session Expired (Please Refresh)`] }));
-            // Optional: Stop everything if auth is gone?
-            // setIsImporting(false); return; 
-            continue;
-          }
-          setResults(prev => ({ ...prev, failed: [...prev.failed, `${sku}: Fetch Network Error (${fetchResponse.status})`] }));
-          continue;
-        }
-
-        let fetchData;
-        try {
-          const text = await fetchResponse.text();
-          if (text.trim().startsWith("<")) {
-            console.log("FULL HTML RESPONSE (FETCH):", text);
-            throw new Error("Received HTML instead of JSON. Check Console for details.");
-          }
-          fetchData = JSON.parse(text);
-        } catch (err) {
-          setResults(prev => ({ ...prev, failed: [...prev.failed, `${sku}: ${err.message}`] }));
-          continue;
-        }
-
-        if (fetchData.status !== "success") {
-          // AUTH REQUIRED
-          if (fetchData.loginUrl) {
-            setResults(prev => ({
-              ...prev,
-              failed: [...prev.failed, `AUTH_REQUIRED:${fetchData.loginUrl}`] // Special flag for UI
-            }));
-            setIsImporting(false);
-            return;
-          }
-
-          setResults(prev => ({ ...prev, failed: [...prev.failed, `${sku}: ${fetchData.message}`] }));
-          continue;
-        }
-
-        // STEP 2: Create Shopify Product
-        const createFormData = new FormData();
-        createFormData.append("intent", "create_shopify");
-        createFormData.append("data", JSON.stringify(fetchData.data));
-
-        const createResponse = await fetch(actionUrl, {
-          method: "POST",
-          body: createFormData,
-          redirect: "manual"
-        });
-
-        if (createResponse.type === "opaqueredirect" || createResponse.status === 0 || createResponse.status > 299) {
-          if (createResponse.status === 302 || createResponse.type === "opaqueredirect" || createResponse.status === 401) {
-            setResults(prev => ({ ...prev, failed: [...prev.failed, `${sku}: Session Expired (Please Refresh)`] }));
-            continue;
-          }
-          setResults(prev => ({ ...prev, failed: [...prev.failed, `${sku}: Create Network Error (${createResponse.status})`] }));
-          continue;
-        }
-
-        let createData;
-        try {
-          const text = await createResponse.text();
-          if (text.trim().startsWith("<")) {
-            console.log("FULL HTML RESPONSE (CREATE):", text);
-            throw new Error("Received HTML instead of JSON. Check Console for details.");
-          }
-          createData = JSON.parse(text);
-        } catch (err) {
-          setResults(prev => ({ ...prev, failed: [...prev.failed, `${sku}: ${err.message}`] }));
-          continue;
-        }
-
-        if (createData.status === "success") {
-          setResults(prev => ({ ...prev, success: [...prev.success, `${sku} (${createData.title})`] }));
-        } else {
-          setResults(prev => ({ ...prev, failed: [...prev.failed, `${sku}: ${createData.message}`] }));
-        }
-
-      } catch (e) {
-        console.error("Client Loop Error:", e);
-        setResults(prev => ({ ...prev, failed: [...prev.failed, `${sku}: Error - ${e.message}`] }));
-      } finally {
-        completed++;
-        const percent = Math.round((completed / total) * 100);
-        setProgressState({ current: completed, total: total, percent: percent });
-
-        // Small delay between products
-        if (total > 1) await new Promise(r => setTimeout(r, 500));
+      const result = await importSku(sku);
+      if (recordOutcome(sku, result)) {
+        setIsImporting(false);
+        return;
       }
+
+      completed++;
+      const percent = Math.round((completed / total) * 100);
+      setProgressState({ current: completed, total: total, percent: percent });
+
+      // Small delay between products
+      if (total > 1) await new Promise(r => setTimeout(r, 500));
     }
 
     setIsImporting(false);
   };
 
+  const handlePickCandidate = async (match, candidate) => {
+    setResolvingSku(match.sku);
+    const result = await importSku(match.sku, candidate);
+    setPendingMatches(prev => prev.filter(m => m.sku !== match.sku));
+    recordOutcome(match.sku, result);
+    setResolvingSku(null);
+  };
+
+  const handleSkipMatch = (match) => {
+    setPendingMatches(prev => prev.filter(m => m.sku !== match.sku));
+    setResults(prev => ({ ...prev, failed: [...prev.failed, `${match.sku}: Skipped (no exact match)`] }));
+  };
+
   return (
     <AppProvider i18n={enTranslations}>
       <Page title="StockX Bulk Importer">
@@ -161,31 +166,70 @@ export default function Index() {
                   </Banner>
                 )}
 
-                {results.failed.some(f => f.startsWith("AUTH_REQUIRED:")) ? (
+                {loginUrl && (
                   <Banner tone="critical" title="StockX Connection Required">
                     <p>The app needs to reconnect to StockX to continue.</p>
                     <BlockStack gap="200">
-                      <Button
-                        variant="primary"
-                        onClick={() => {
-                          const url = results.failed.find(f => f.startsWith("AUTH_REQUIRED:")).split("AUTH_REQUIRED:")[1];
-                          window.open(url, "stockx_auth", "width=600,height=700");
-                        }}
-                      >
-                        Connect to StockX
-                      </Button>
+                      <InlineStack gap="200">
+                        <Button variant="primary" onClick={() => window.open(loginUrl, "stockx_auth", "width=600,height=700")}>
+                          Connect to StockX
+                        </Button>
+                        <Button url="/app/stockx_connection">Connection Details</Button>
+                      </InlineStack>
                       <Text as="p">After connecting (and the popup closes), please click "Start Bulk Import" again.</Text>
                     </BlockStack>
                   </Banner>
-                ) : (
-                  results.failed.length > 0 && !isImporting && (
-                    <Banner tone="warning" title="Some Imports Failed">
-                      <p>Failed to import {results.failed.length} products.</p>
-                      <ul>
-                        {results.failed.map((s, i) => <li key={i}>{s}</li>)}
-                      </ul>
-                    </Banner>
-                  )
+                )}
+
+                {results.failed.length > 0 && !isImporting && (
+                  <Banner tone="warning" title="Some Imports Failed">
+                    <p>Failed to import {results.failed.length} products.</p>
+                    <ul>
+                      {results.failed.map((s, i) => <li key={i}>{s}</li>)}
+                    </ul>
+                  </Banner>
+                )}
+
+                {pendingMatches.length > 0 && (
+                  <Card background="bg-surface-secondary">
+                    <BlockStack gap="400">
+                      <Text variant="headingMd" as="h2">Choose the Right Product ({pendingMatches.length})</Text>
+                      {pendingMatches.map((match) => (
+                        <BlockStack key={match.sku} gap="300">
+                          <InlineStack align="space-between" blockAlign="center">
+                            <BlockStack gap="050">
+                              <Text variant="headingSm" as="h3">{match.sku}</Text>
+                              <Text as="p" variant="bodySm" tone="subdued">{match.message}</Text>
+                            </BlockStack>
+                            <Button variant="plain" onClick={() => handleSkipMatch(match)} disabled={!!resolvingSku}>
+                              Skip
+                            </Button>
+                          </InlineStack>
+                          {match.candidates.map((candidate) => (
+                            <InlineStack key={candidate.productId} gap="300" blockAlign="center" wrap={false}>
+                              <Thumbnail source={candidate.image || ""} alt={candidate.title} size="small" />
+                              <BlockStack gap="050">
+                                <InlineStack gap="200">
+                                  <Text as="span" variant="bodyMd" fontWeight="semibold">{candidate.title}</Text>
+                                  <Badge tone={scoreTone(candidate.score)}>{`${Math.round(candidate.score * 100)}% match`}</Badge>
+                                </InlineStack>
+                                <Text as="span" variant="bodySm" tone="subdued">
+                                  {candidate.sku}{candidate.brand ? ` · ${candidate.brand}` : ""} · {candidate.reasons.join(", ") || "No matching details"}
+                                </Text>
+                              </BlockStack>
+                              <Button
+                                onClick={() => handlePickCandidate(match, candidate)}
+                                loading={resolvingSku === match.sku}
+                                disabled={!!resolvingSku || isImporting}
+                              >
+                                Import This
+                              </Button>
+                            </InlineStack>
+                          ))}
+                        </BlockStack>
+                      ))}
+                    </BlockStack>
+                  </Card>
                 )}
 
                 <Text as="p" variant="bodyMd">
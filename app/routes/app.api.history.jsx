@@ -0,0 +1,25 @@
+import { authenticate } from "../shopify.server";
+import { getPriceHistory } from "../price-history.server";
+
+// Helper for consistent JSON responses
+const jsonResponse = (data, status = 200) => {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: { "Content-Type": "application/json" },
+    });
+};
+
+// JSON endpoint for the price history of one product, grouped by size
+export const loader = async ({ request }) => {
+    const { session } = await authenticate.admin(request);
+    const productId = new URL(request.url).searchParams.get("productId");
+    if (!productId) return jsonResponse({ status: "error", message: "Missing Product ID" }, 400);
+
+    try {
+        const history = await getPriceHistory(session.shop, productId);
+        return jsonResponse({ status: "success", productId, history });
+    } catch (e) {
+        console.error("[History API Error]", e);
+        return jsonResponse({ status: "error", message: e.message }, 500);
+    }
+};
@@ -1,6 +1,11 @@
 import { authenticate } from "../shopify.server";
-import { fetchStockXData } from "../stockx.server";
-import { calculateMarkupPrice } from "../shopify.sync";
+import { fetchMarketData, fetchProductContent } from "../market-data.server";
+import { calculateMarkupPriceForProduct, marketPriceForVariant, pricingMetafields } from "../shopify.sync";
+import { getPricingRules } from "../pricing.server";
+import { getCurrencyContext } from "../fx.server";
+import { getSizeSettings, sizeOptionName, sizeOptionValue, productSizeType } from "../size-system.server";
+import { compareSizes } from "../size-order";
+import { withStockXRecording } from "../stockx-recorder.server";
 
 // Helper for consistent JSON responses
 const jsonResponse = (data, status = 200) => {
@@ -10,29 +15,95 @@ const jsonResponse = (data, status = 200) => {
     });
 };
 
+// Shopify allows up to 250 media per product
+const MAX_PRODUCT_MEDIA = 250;
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Product body from the StockX content: the description (one paragraph per blank-line separated block)
+// followed by a list of the product details
+function productDescriptionHtml(content) {
+    if (!content) return "";
+
+    const paragraphs = String(content.description || "")
+        .split(/\n\s*\n/)
+        .map(p => p.trim())
+        .filter(Boolean)
+        .map(p => `<p>${escapeHtml(p).replace(/\n/g, "<br>")}</p>`);
+
+    const details = [
+        ["Colorway", content.colorway],
+        ["Release date", content.releaseDate],
+        ["Retail price", content.retailPrice ? `$${content.retailPrice}` : null]
+    ].filter(([, value]) => value);
+    if (details.length > 0) {
+        paragraphs.push(`<ul>${details.map(([label, value]) => `<li><strong>${label}:</strong> ${escapeHtml(value)}</li>`).join("")}</ul>`);
+    }
+    return paragraphs.join("\n");
+}
+
+// Structured product metafields (namespace stockx_sync) for the StockX content, so themes and filters can use it
+function productContentMetafields(content) {
+    if (!content) return [];
+
+    const field = (key, type, value) => ({ namespace: "stockx_sync", key, type, value: String(value) });
+    return [
+        content.colorway && field("colorway", "single_line_text_field", content.colorway),
+        content.releaseDate && field("release_date", "date", content.releaseDate),
+        content.retailPrice && field("retail_price_usd", "number_decimal", content.retailPrice),
+        content.gender && field("gender", "single_line_text_field", content.gender)
+    ].filter(Boolean);
+}
+
 // Helper function to only create the product in Shopify (using pre-fetched data)
-async function createShopifyProductFromData(admin, data) {
+async function createShopifyProductFromData(admin, data, pricingRules, currency, sizeSettings) {
+    // Women's, GS, ... products get their own option name and tag, so their sizes never mix with men's
+    const sizeType = productSizeType(data.variants);
+    const optionName = sizeOptionName(sizeSettings, sizeType);
+    const tags = ["stockx-sync", data.product_info.sku, ...(sizeType ? [`size-type:${sizeType}`] : [])];
+
+    // 1. Resolve brand/tag overrides against what the new product will look like
+    const productContext = {
+        vendor: data.product_info.brand,
+        tags,
+        collections: data.product_info.brand ? [{ title: data.product_info.brand }] : []
+    };
+
     // 2. Prepare Variants
     const variantsForShopify = data.variants.map((v) => {
-        if (v.price === "No Ask") return null;
-        const rawPrice = parseFloat(v.price.split(" ")[0]);
+        const market = marketPriceForVariant(v, pricingRules, currency);
+        if (!market) return null;
+        const { price, rule, landedCost, margin } = calculateMarkupPriceForProduct(market.marketPrice, pricingRules, productContext, market.priceSource);
 
         return {
-            options: [v.size_eu],
-            price: calculateMarkupPrice(rawPrice),
+            options: [sizeOptionValue(v, sizeSettings.systems, sizeSettings.mappings)],
+            ...market,
+            price,
+            pricingRule: rule,
+            landedCost,
+            margin,
             sku: `${data.product_info.sku}-${v.size_eu.replace(/\s/g, "")}`,
             inventoryManagement: "SHOPIFY"
         };
-    }).filter(Boolean);
+    }).filter(Boolean).sort((a, b) => compareSizes(a.options[0], b.options[0]));
 
     if (variantsForShopify.length === 0) {
         return { status: "error", message: "No valid prices found for this product." };
     }
 
     const sizeValues = variantsForShopify.map(v => ({ name: v.options[0] }));
-    const mediaInput = data.product_info.image
-        ? [{ originalSource: data.product_info.image, mediaContentType: "IMAGE" }]
-        : [];
+    // The full gallery (with 360° frames) when the provider has one, otherwise the search image
+    const content = data.product_info.content || null;
+    const images = content?.images?.length > 0 ? content.images : [data.product_info.image].filter(Boolean);
+    const mediaInput = images.slice(0, MAX_PRODUCT_MEDIA).map(url => ({
+        originalSource: url,
+        mediaContentType: "IMAGE",
+        alt: data.product_info.title
+    }));
 
     // --- STEP 0: Ensure Collection Exists (Brand) ---
     const brand = data.product_info.brand;
@@ -176,13 +247,15 @@ async function createShopifyProductFromData(admin, data) {
                         vendor: finalVendor,
                         productType: "Sneakers",
                         status: "ACTIVE",
+                        descriptionHtml: productDescriptionHtml(content),
+                        metafields: productContentMetafields(content),
                         productOptions: [
                             {
-                                name: "Size (EU)",
+                                name: optionName,
                                 values: sizeValues
                             }
                         ],
-                        tags: ["stockx-sync", data.product_info.sku]
+                        tags
                     },
                     media: mediaInput
                 },
@@ -207,7 +280,7 @@ async function createShopifyProductFromData(admin, data) {
 
     // --- STEP A.5: Create Missing Variants ---
     const existingSizeValues = createdVariants.map(v =>
-        v.selectedOptions.find(opt => opt.name === "Size (EU)")?.value
+        v.selectedOptions.find(opt => opt.name === optionName)?.value
     ).filter(Boolean);
 
     const variantsToCreate = variantsForShopify.filter(v =>
@@ -221,10 +294,11 @@ async function createShopifyProductFromData(admin, data) {
             price: v.price,
             optionValues: [
                 {
-                    optionName: "Size (EU)",
+                    optionName,
                     name: v.options[0]
                 }
-            ]
+            ],
+            metafields: pricingMetafields(v)
         }));
 
         const bulkCreateResponse = await admin.graphql(
@@ -259,7 +333,7 @@ async function createShopifyProductFromData(admin, data) {
     // Combine variants
     const allVariants = [...createdVariants, ...newlyCreatedVariants];
     const matchedVariants = allVariants.map((createdVariant) => {
-        const sizeOption = createdVariant.selectedOptions.find(opt => opt.name === "Size (EU)");
+        const sizeOption = createdVariant.selectedOptions.find(opt => opt.name === optionName);
         const sizeValue = sizeOption ? sizeOption.value : null;
         const sourceVariant = variantsForShopify.find(v => v.options[0] === sizeValue);
         if (!sourceVariant) return null;
@@ -280,7 +354,11 @@ async function createShopifyProductFromData(admin, data) {
             {
                 variables: {
                     productId: createdProduct.id,
-                    variants: [{ id: initialVariantToUpdate.id, price: initialVariantToUpdate.source.price }]
+                    variants: [{
+                        id: initialVariantToUpdate.id,
+                        price: initialVariantToUpdate.source.price,
+                        metafields: pricingMetafields(initialVariantToUpdate.source)
+                    }]
                 }
             }
         );
@@ -348,7 +426,7 @@ async function createShopifyProductFromData(admin, data) {
 }
 
 export const action = async ({ request }) => {
-    const { admin } = await authenticate.admin(request);
+    const { admin, session } = await authenticate.admin(request);
     const formData = await request.formData();
     const intent = formData.get("intent");
 
@@ -359,21 +437,38 @@ export const action = async ({ request }) => {
             const sku = formData.get("sku");
             if (!sku) return jsonResponse({ status: "error", message: "Missing SKU" });
 
-            const result = await fetchStockXData(sku, appUrl);
+            // Set when the user picked one of the candidates of an earlier ambiguous search
+            const candidateJson = formData.get("candidate");
+            const product = candidateJson ? JSON.parse(candidateJson) : null;
 
-            if (result.status === 401) return jsonResponse({
-                status: "error",
-                message: result.action || "Unauthorized",
-                loginUrl: result.loginUrl
-            });
-            if (result.status !== 200) return jsonResponse({ status: "error", message: result.error || "Failed to fetch data." });
+            const response = await withStockXRecording(session.shop, { kind: "import", sku, productId: null, title: null }, async (note) => {
+                const currency = await getCurrencyContext(admin, session.shop);
+                note({ currencyCode: currency.sourceCurrency, product });
 
-            const data = result.data;
-            if (!data?.product_info || !data?.variants) {
-                return jsonResponse({ status: "error", message: "Product not found or invalid API response." });
-            }
+                const result = await fetchMarketData(session.shop, { sku, product }, { currencyCode: currency.sourceCurrency, baseUrl: appUrl });
+
+                if (result.status === 300) return {
+                    status: "ambiguous",
+                    message: result.error,
+                    candidates: result.candidates
+                };
+
+                if (result.status === 401) return {
+                    status: "error",
+                    message: result.action || "Unauthorized",
+                    loginUrl: result.loginUrl
+                };
+                if (result.status !== 200) return { status: "error", message: result.error || "Failed to fetch data." };
 
-            return jsonResponse({ status: "success", data: data });
+                const data = result.data;
+                if (!data?.product_info || !data?.variants) {
+                    return { status: "error", message: "Product not found or invalid API response." };
+                }
+                data.product_info.content = await fetchProductContent(session.shop, data.product_info);
+
+                return { status: "success", data: data };
+            });
+            return jsonResponse(response);
         }
 
         if (intent === "create_shopify") {
@@ -381,7 +476,10 @@ export const action = async ({ request }) => {
             if (!dataJson) return jsonResponse({ status: "error", message: "Missing Data" });
 
             const data = JSON.parse(dataJson);
-            const res = await createShopifyProductFromData(admin, data);
+            const pricingRules = await getPricingRules(session.shop);
+            const currency = await getCurrencyContext(admin, session.shop);
+            const sizeSettings = await getSizeSettings(session.shop);
+            const res = await createShopifyProductFromData(admin, data, pricingRules, currency, sizeSettings);
             return jsonResponse(res);
         }
 
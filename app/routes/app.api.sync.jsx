@@ -0,0 +1,52 @@
+import { authenticate } from "../shopify.server";
+import { runProductSync, applyReviewedPlan } from "../product-sync.server";
+
+// Helper for consistent JSON responses
+const jsonResponse = (data, status = 200) => {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: { "Content-Type": "application/json" },
+    });
+};
+
+// JSON endpoint used by the update-prices page to preview (dry run) and apply syncs.
+// Previews are kept on the server, so applying one only sends its plan id and the selected entry keys.
+export const action = async ({ request }) => {
+    const { admin, session } = await authenticate.admin(request);
+    const formData = await request.formData();
+    const intent = formData.get("intent");
+
+    try {
+        if (intent === "preview") {
+            const result = await runProductSync(admin, session.shop, {
+                productId: formData.get("productId"),
+                sku: formData.get("sku"),
+                title: formData.get("title")
+            }, { dryRun: true, forceRefresh: formData.get("forceRefresh") === "true" });
+            return jsonResponse(result);
+        }
+
+        if (intent === "apply_plan") {
+            const planId = formData.get("planId");
+            if (!planId) return jsonResponse({ status: "error", message: "Missing Plan" });
+
+            let selectedKeys = null;
+            const selectedJson = formData.get("selectedKeys");
+            if (selectedJson) {
+                try {
+                    selectedKeys = JSON.parse(selectedJson);
+                } catch {
+                    return jsonResponse({ status: "error", message: "Invalid selected changes" }, 400);
+                }
+            }
+
+            return jsonResponse(await applyReviewedPlan(admin, session.shop, planId, selectedKeys));
+        }
+
+        return jsonResponse({ status: "error", message: "Unknown Intent" });
+
+    } catch (e) {
+        console.error("[Sync API Error]", e);
+        return jsonResponse({ status: "error", message: e.message }, 500);
+    }
+};
@@ -0,0 +1,325 @@
+import { useState } from "react";
+import { useLoaderData, useActionData, useNavigation, useSubmit } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  FormLayout,
+  Text,
+  TextField,
+  Checkbox,
+  Button,
+  Badge,
+  Banner,
+  AppProvider
+} from "@shopify/polaris";
+import enTranslations from "@shopify/polaris/locales/en.json";
+import "@shopify/polaris/build/esm/styles.css";
+import { authenticate } from "../shopify.server";
+import { getShopCurrency } from "../fx.server";
+import { applyHeldPrice } from "../shopify.sync";
+import { recordPriceHistory } from "../price-history.server";
+import {
+  getGuardrails,
+  saveGuardrails,
+  getPendingApprovals,
+  getApproval,
+  removeApproval
+} from "../guardrails.server";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const [approvals, guardrails, currencyCode] = await Promise.all([
+    getPendingApprovals(session.shop),
+    getGuardrails(session.shop),
+    getShopCurrency(admin)
+  ]);
+  return { approvals, guardrails, currencyCode };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "save_guardrails") {
+    let guardrails;
+    try {
+      guardrails = JSON.parse(formData.get("guardrails"));
+    } catch (e) {
+      return { status: "error", errors: ["Invalid guardrails payload."] };
+    }
+    const result = await saveGuardrails(session.shop, guardrails);
+    if (!result.success) return { status: "error", errors: result.errors };
+    return { status: "success", message: "Guardrails saved." };
+  }
+
+  const id = formData.get("id");
+  const item = await getApproval(session.shop, id);
+  if (!item) return { status: "error", errors: ["This price change was already handled."] };
+
+  if (intent === "reject") {
+    await removeApproval(session.shop, id);
+    return { status: "success", message: `Rejected ${item.productTitle} size ${item.size}; price left unchanged.` };
+  }
+
+  if (intent === "approve") {
+    const price = Number(formData.get("price"));
+    if (!Number.isFinite(price) || price <= 0) {
+      return { status: "error", errors: ["Approved price must be a positive number."] };
+    }
+
+    try {
+      const result = await applyHeldPrice(admin, item, price.toFixed(2));
+      if (result.status !== "success") return { status: "error", errors: [result.message] };
+      await removeApproval(session.shop, id);
+      await recordPriceHistory(session.shop, item.productId, [{
+        variantId: result.variantId,
+        size: item.size,
+        ask: item.ask,
+        price: price.toFixed(2),
+        previousPrice: item.currentPrice,
+        pricingRule: item.pricingRule
+      }]);
+      return { status: "success", message: result.message };
+    } catch (e) {
+      console.error("[Approvals] Failed to apply held price:", e);
+      return { status: "error", errors: [e.message] };
+    }
+  }
+
+  return null;
+};
+
+const numberToField = (value) => (value === null || value === undefined ? "" : String(value));
+const fieldToNumber = (value) => (value === "" || value === null || value === undefined ? null : Number(value));
+
+const toFormState = (guardrails) => ({
+  enabled: !!guardrails.enabled,
+  maxChangePercent: numberToField(guardrails.maxChangePercent),
+  floor: numberToField(guardrails.floor),
+  ceiling: numberToField(guardrails.ceiling),
+  productLimits: (guardrails.productLimits || []).map(l => ({
+    productId: l.productId,
+    floor: numberToField(l.floor),
+    ceiling: numberToField(l.ceiling)
+  }))
+});
+
+const fromFormState = (form) => ({
+  enabled: form.enabled,
+  maxChangePercent: fieldToNumber(form.maxChangePercent),
+  floor: fieldToNumber(form.floor),
+  ceiling: fieldToNumber(form.ceiling),
+  productLimits: form.productLimits.map(l => ({
+    productId: l.productId.trim(),
+    floor: fieldToNumber(l.floor),
+    ceiling: fieldToNumber(l.ceiling)
+  }))
+});
+
+export default function ApprovalsPage() {
+  const { approvals, guardrails, currencyCode } = useLoaderData();
+  const actionData = useActionData();
+  const nav = useNavigation();
+  const submit = useSubmit();
+
+  const [form, setForm] = useState(() => toFormState(guardrails));
+  // Edited prices per queue item, defaulting to the proposed price
+  const [editedPrices, setEditedPrices] = useState({});
+
+  const isBusy = nav.state !== "idle";
+  const busyId = isBusy && nav.formData?.get("id");
+
+  const formatPrice = (amount) =>
+    amount === null || amount === undefined
+      ? "—"
+      : new Intl.NumberFormat(undefined, { style: "currency", currency: currencyCode }).format(Number(amount));
+
+  const updateLimit = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      productLimits: prev.productLimits.map((l, i) => (i === index ? { ...l, [field]: value } : l))
+    }));
+  };
+
+  const handleSaveGuardrails = () => {
+    submit({ intent: "save_guardrails", guardrails: JSON.stringify(fromFormState(form)) }, { method: "post" });
+  };
+
+  const handleApprove = (item) => {
+    submit({ intent: "approve", id: item.id, price: editedPrices[item.id] ?? item.proposedPrice }, { method: "post" });
+  };
+
+  const handleReject = (item) => {
+    submit({ intent: "reject", id: item.id }, { method: "post" });
+  };
+
+  return (
+    <AppProvider i18n={enTranslations}>
+      <Page title="Price Approvals">
+        <Layout>
+          <Layout.Section>
+            <BlockStack gap="500">
+              {actionData?.status === "success" && (
+                <Banner tone="success"><p>{actionData.message}</p></Banner>
+              )}
+              {actionData?.status === "error" && (
+                <Banner tone="critical">
+                  <ul>
+                    {actionData.errors.map((err, i) => <li key={i}>{err}</li>)}
+                  </ul>
+                </Banner>
+              )}
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Held Price Changes ({approvals.length})</Text>
+
+                  {approvals.length === 0 ? (
+                    <Text as="p" tone="subdued">Nothing waiting for approval.</Text>
+                  ) : (
+                    approvals.map((item) => (
+                      <div key={item.id} style={{ borderBottom: '1px solid #e1e3e5', paddingBottom: '1rem' }}>
+                        <InlineStack align="space-between" blockAlign="end" gap="400">
+                          <BlockStack gap="100">
+                            <InlineStack gap="200">
+                              <Text variant="headingSm" as="h3">{item.productTitle}</Text>
+                              <Badge>{`Size ${item.size}`}</Badge>
+                              {!item.variantId && <Badge tone="info">New size</Badge>}
+                            </InlineStack>
+                            <Text as="p" variant="bodySm">
+                              Current {formatPrice(item.currentPrice)} → proposed {formatPrice(item.proposedPrice)}
+                              {item.ask ? ` (StockX ask ${formatPrice(item.ask.amount)})` : ""}
+                            </Text>
+                            <Text as="p" variant="bodySm" tone="critical">{item.reasons.join(" · ")}</Text>
+                            <Text as="p" variant="bodySm" tone="subdued">
+                              {item.pricingRule} · held {new Date(item.createdAt).toLocaleString()}
+                            </Text>
+                          </BlockStack>
+
+                          <InlineStack gap="200" blockAlign="end">
+                            <TextField
+                              label="Price"
+                              labelHidden
+                              type="number"
+                              value={editedPrices[item.id] ?? item.proposedPrice}
+                              onChange={(value) => setEditedPrices(prev => ({ ...prev, [item.id]: value }))}
+                              autoComplete="off"
+                            />
+                            <Button
+                              variant="primary"
+                              onClick={() => handleApprove(item)}
+                              loading={busyId === item.id && nav.formData?.get("intent") === "approve"}
+                              disabled={isBusy}
+                            >
+                              Approve
+                            </Button>
+                            <Button
+                              tone="critical"
+                              onClick={() => handleReject(item)}
+                              loading={busyId === item.id && nav.formData?.get("intent") === "reject"}
+                              disabled={isBusy}
+                            >
+                              Reject
+                            </Button>
+                          </InlineStack>
+                        </InlineStack>
+                      </div>
+                    ))
+                  )}
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Guardrails</Text>
+                  <FormLayout>
+                    <Checkbox
+                      label="Hold price changes that break a guardrail"
+                      checked={form.enabled}
+                      onChange={(value) => setForm(prev => ({ ...prev, enabled: value }))}
+                    />
+                    <FormLayout.Group>
+                      <TextField
+                        label="Maximum change per sync (%)"
+                        type="number"
+                        value={form.maxChangePercent}
+                        onChange={(value) => setForm(prev => ({ ...prev, maxChangePercent: value }))}
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label={`Floor (${currencyCode})`}
+                        type="number"
+                        value={form.floor}
+                        onChange={(value) => setForm(prev => ({ ...prev, floor: value }))}
+                        placeholder="None"
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label={`Ceiling (${currencyCode})`}
+                        type="number"
+                        value={form.ceiling}
+                        onChange={(value) => setForm(prev => ({ ...prev, ceiling: value }))}
+                        placeholder="None"
+                        autoComplete="off"
+                      />
+                    </FormLayout.Group>
+                  </FormLayout>
+
+                  <Text variant="headingSm" as="h3">Per-Product Limits</Text>
+                  {form.productLimits.map((limit, index) => (
+                    <InlineStack key={index} gap="300" blockAlign="end" wrap={false}>
+                      <TextField
+                        label="Product ID"
+                        value={limit.productId}
+                        onChange={(value) => updateLimit(index, "productId", value)}
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="Floor"
+                        type="number"
+                        value={limit.floor}
+                        onChange={(value) => updateLimit(index, "floor", value)}
+                        placeholder="Shop floor"
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="Ceiling"
+                        type="number"
+                        value={limit.ceiling}
+                        onChange={(value) => updateLimit(index, "ceiling", value)}
+                        placeholder="Shop ceiling"
+                        autoComplete="off"
+                      />
+                      <Button
+                        variant="plain"
+                        tone="critical"
+                        onClick={() => setForm(prev => ({ ...prev, productLimits: prev.productLimits.filter((_, i) => i !== index) }))}
+                      >
+                        Remove
+                      </Button>
+                    </InlineStack>
+                  ))}
+
+                  <InlineStack gap="200">
+                    <Button
+                      onClick={() => setForm(prev => ({ ...prev, productLimits: [...prev.productLimits, { productId: "", floor: "", ceiling: "" }] }))}
+                    >
+                      Add Product Limit
+                    </Button>
+                    <Button variant="primary" onClick={handleSaveGuardrails} disabled={isBusy}>
+                      Save Guardrails
+                    </Button>
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+      </Page>
+    </AppProvider>
+  );
+}
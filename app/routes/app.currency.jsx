@@ -0,0 +1,228 @@
+import { useState } from "react";
+import { useLoaderData, useActionData, useNavigation, useSubmit } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  FormLayout,
+  Text,
+  TextField,
+  Select,
+  Button,
+  Banner,
+  AppProvider
+} from "@shopify/polaris";
+import enTranslations from "@shopify/polaris/locales/en.json";
+import "@shopify/polaris/build/esm/styles.css";
+import { authenticate } from "../shopify.server";
+import {
+  getFxSettings,
+  saveFxSettings,
+  getShopCurrency,
+  getRateTable,
+  STOCKX_CURRENCIES,
+  RATE_SOURCES,
+  RATES_FILE
+} from "../fx.server";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const [settings, shopCurrency] = await Promise.all([getFxSettings(session.shop), getShopCurrency(admin)]);
+
+  return {
+    settings,
+    shopCurrency,
+    activeRates: getRateTable(settings),
+    ratesFile: RATES_FILE,
+    stockxCurrencies: STOCKX_CURRENCIES,
+    rateSources: RATE_SOURCES
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("intent") !== "save") return null;
+
+  let settings;
+  try {
+    settings = JSON.parse(formData.get("settings"));
+  } catch (e) {
+    return { status: "error", errors: ["Invalid settings payload."] };
+  }
+
+  const result = await saveFxSettings(session.shop, { ...settings, updatedAt: new Date().toISOString() });
+  if (!result.success) return { status: "error", errors: result.errors };
+  return { status: "success", message: "Currency settings saved." };
+};
+
+const toFormState = (settings) => ({
+  sourceCurrency: settings.sourceCurrency || "",
+  rateSource: settings.rateSource,
+  base: settings.base,
+  rates: Object.entries(settings.rates || {}).map(([currency, rate]) => ({ currency, rate: String(rate) }))
+});
+
+const fromFormState = (form) => ({
+  sourceCurrency: form.sourceCurrency,
+  rateSource: form.rateSource,
+  base: form.base.trim().toUpperCase(),
+  rates: Object.fromEntries(
+    form.rates
+      .filter(r => r.currency.trim())
+      .map(r => [r.currency.trim().toUpperCase(), Number(r.rate)])
+  )
+});
+
+export default function CurrencySettingsPage() {
+  const { settings, shopCurrency, activeRates, ratesFile, stockxCurrencies, rateSources } = useLoaderData();
+  const actionData = useActionData();
+  const nav = useNavigation();
+  const submit = useSubmit();
+
+  const [form, setForm] = useState(() => toFormState(settings));
+  const isSaving = nav.state === "submitting";
+
+  const updateRate = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      rates: prev.rates.map((r, i) => (i === index ? { ...r, [field]: value } : r))
+    }));
+  };
+
+  const handleSave = () => {
+    submit({ intent: "save", settings: JSON.stringify(fromFormState(form)) }, { method: "post" });
+  };
+
+  const sourceOptions = [
+    { label: `Shop currency (${shopCurrency})`, value: "" },
+    ...stockxCurrencies.map(c => ({ label: c, value: c }))
+  ];
+  const rateSourceOptions = rateSources.map(s => ({
+    label: s === "manual" ? "Manually maintained rates" : "Local rates file",
+    value: s
+  }));
+
+  return (
+    <AppProvider i18n={enTranslations}>
+      <Page
+        title="Currency & FX"
+        primaryAction={{ content: "Save", onAction: handleSave, loading: isSaving, disabled: isSaving }}
+      >
+        <Layout>
+          <Layout.Section>
+            <BlockStack gap="500">
+              {actionData?.status === "success" && (
+                <Banner tone="success"><p>{actionData.message}</p></Banner>
+              )}
+              {actionData?.status === "error" && (
+                <Banner tone="critical" title="Currency settings were not saved">
+                  <ul>
+                    {actionData.errors.map((err, i) => <li key={i}>{err}</li>)}
+                  </ul>
+                </Banner>
+              )}
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">StockX Market Data</Text>
+                  <Text as="p" tone="subdued">
+                    Your shop sells in {shopCurrency}. StockX asks are requested in the source currency below and
+                    converted to {shopCurrency} before pricing rules are applied.
+                  </Text>
+                  <FormLayout>
+                    <Select
+                      label="Source currency"
+                      options={sourceOptions}
+                      value={form.sourceCurrency}
+                      onChange={(value) => setForm(prev => ({ ...prev, sourceCurrency: value }))}
+                    />
+                  </FormLayout>
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Exchange Rates</Text>
+                  <FormLayout>
+                    <FormLayout.Group>
+                      <Select
+                        label="Rate source"
+                        options={rateSourceOptions}
+                        value={form.rateSource}
+                        onChange={(value) => setForm(prev => ({ ...prev, rateSource: value }))}
+                        helpText={form.rateSource === "file" ? `Read from ${ratesFile}` : undefined}
+                      />
+                      <TextField
+                        label="Base currency"
+                        value={form.base}
+                        onChange={(value) => setForm(prev => ({ ...prev, base: value }))}
+                        disabled={form.rateSource === "file"}
+                        helpText="Rates below are units of each currency per 1 base currency."
+                        autoComplete="off"
+                      />
+                    </FormLayout.Group>
+                  </FormLayout>
+
+                  {form.rateSource === "manual" ? (
+                    <BlockStack gap="300">
+                      {form.rates.map((rate, index) => (
+                        <InlineStack key={index} gap="300" blockAlign="end" wrap={false}>
+                          <TextField
+                            label="Currency"
+                            value={rate.currency}
+                            onChange={(value) => updateRate(index, "currency", value)}
+                            placeholder="USD"
+                            autoComplete="off"
+                          />
+                          <TextField
+                            label={`Rate (per 1 ${form.base})`}
+                            type="number"
+                            value={rate.rate}
+                            onChange={(value) => updateRate(index, "rate", value)}
+                            autoComplete="off"
+                          />
+                          <Button
+                            variant="plain"
+                            tone="critical"
+                            onClick={() => setForm(prev => ({ ...prev, rates: prev.rates.filter((_, i) => i !== index) }))}
+                          >
+                            Remove
+                          </Button>
+                        </InlineStack>
+                      ))}
+                      <InlineStack>
+                        <Button onClick={() => setForm(prev => ({ ...prev, rates: [...prev.rates, { currency: "", rate: "" }] }))}>
+                          Add Rate
+                        </Button>
+                      </InlineStack>
+                    </BlockStack>
+                  ) : (
+                    <BlockStack gap="200">
+                      <Text as="p">
+                        Active rates (base {activeRates.base}
+                        {activeRates.updatedAt ? `, updated ${new Date(activeRates.updatedAt).toLocaleString()}` : ""}):
+                      </Text>
+                      {Object.keys(activeRates.rates || {}).length > 0 ? (
+                        <ul>
+                          {Object.entries(activeRates.rates).map(([currency, rate]) => (
+                            <li key={currency}>{currency}: {rate}</li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <Text as="p" tone="subdued">No rates loaded.</Text>
+                      )}
+                    </BlockStack>
+                  )}
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+      </Page>
+    </AppProvider>
+  );
+}
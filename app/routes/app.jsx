@@ -19,6 +19,14 @@ export default function App() {
       <NavMenu>
         <a href="/app" rel="home">Import Item</a>
         <a href="/app/update_prices">Update Prices</a>
+        <a href="/app/pricing">Pricing Rules</a>
+        <a href="/app/currency">Currency</a>
+        <a href="/app/sizes">Sizes</a>
+        <a href="/app/market_data">Market Data</a>
+        <a href="/app/approvals">Price Approvals</a>
+        <a href="/app/stockx_connection">StockX Connection</a>
+        <a href="/app/stockx_asks">StockX Asks</a>
+        <a href="/app/stockx_recordings">StockX Recordings</a>
       </NavMenu>
       <Outlet />
     </AppProvider>
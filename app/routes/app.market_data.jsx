@@ -0,0 +1,321 @@
+import { useState } from "react";
+import { useLoaderData, useActionData, useNavigation, useSubmit } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  FormLayout,
+  Text,
+  TextField,
+  Select,
+  Checkbox,
+  Button,
+  Badge,
+  Banner,
+  AppProvider
+} from "@shopify/polaris";
+import enTranslations from "@shopify/polaris/locales/en.json";
+import "@shopify/polaris/build/esm/styles.css";
+import { authenticate } from "../shopify.server";
+import { getShopCurrency, STOCKX_CURRENCIES } from "../fx.server";
+import { getMarketDataSettings, saveMarketDataSettings, MARKET_DATA_PROVIDERS } from "../market-data.server";
+import {
+  getPriceFeed,
+  savePriceFeed,
+  deletePriceFeed,
+  parsePriceFeed,
+  describePriceFeed,
+  FEED_COLUMNS
+} from "../price-feed.server";
+
+// Only the first few row errors of an upload are shown
+const MAX_REPORTED_FEED_ERRORS = 10;
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const [settings, feed, shopCurrency] = await Promise.all([
+    getMarketDataSettings(session.shop),
+    getPriceFeed(session.shop),
+    getShopCurrency(admin)
+  ]);
+
+  return {
+    settings,
+    feed: describePriceFeed(feed),
+    shopCurrency,
+    providers: MARKET_DATA_PROVIDERS.map(p => ({ id: p.id, label: p.label })),
+    feedColumns: FEED_COLUMNS,
+    currencies: STOCKX_CURRENCIES
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "save") {
+    let settings;
+    try {
+      settings = JSON.parse(formData.get("settings"));
+    } catch (e) {
+      return { status: "error", errors: ["Invalid settings payload."] };
+    }
+    const result = await saveMarketDataSettings(session.shop, settings);
+    if (!result.success) return { status: "error", errors: result.errors };
+    return { status: "success", message: "Market data settings saved." };
+  }
+
+  if (intent === "upload_feed") {
+    const file = formData.get("feed");
+    if (!file || typeof file === "string" || file.size === 0) {
+      return { status: "error", errors: ["Choose a CSV or JSON file to upload."] };
+    }
+
+    const { feed, errors } = parsePriceFeed(await file.text(), {
+      fileName: file.name,
+      currency: formData.get("currency") || "EUR"
+    });
+    const reported = errors.slice(0, MAX_REPORTED_FEED_ERRORS);
+    if (errors.length > reported.length) reported.push(`...and ${errors.length - reported.length} more.`);
+
+    if (!feed || feed.rows.length === 0) return { status: "error", errors: reported };
+
+    await savePriceFeed(session.shop, feed);
+    return {
+      status: "success",
+      message: `Uploaded ${feed.rows.length} prices from ${file.name}.`,
+      warnings: reported
+    };
+  }
+
+  if (intent === "delete_feed") {
+    await deletePriceFeed(session.shop);
+    return { status: "success", message: "Price feed removed." };
+  }
+
+  return null;
+};
+
+export default function MarketDataSettingsPage() {
+  const { settings, feed, shopCurrency, providers, feedColumns, currencies } = useLoaderData();
+  const actionData = useActionData();
+  const nav = useNavigation();
+  const submit = useSubmit();
+
+  const [order, setOrder] = useState(settings.order);
+  const [productProviders, setProductProviders] = useState(settings.productProviders);
+  const [marketCacheMinutes, setMarketCacheMinutes] = useState(String(settings.marketCacheMinutes));
+  const [feedFile, setFeedFile] = useState(null);
+  const [feedCurrency, setFeedCurrency] = useState(currencies.includes(shopCurrency) ? shopCurrency : "EUR");
+
+  const isBusy = nav.state !== "idle";
+  const busyIntent = isBusy && nav.formData?.get("intent");
+  const labelOf = (id) => providers.find(p => p.id === id)?.label || id;
+  const providerOptions = providers.map(p => ({ label: p.label, value: p.id }));
+
+  const toggleProvider = (id, enabled) => {
+    setOrder(prev => (enabled ? [...prev, id] : prev.filter(p => p !== id)));
+  };
+
+  const moveProvider = (index, offset) => {
+    setOrder(prev => {
+      const next = [...prev];
+      const [moved] = next.splice(index, 1);
+      next.splice(index + offset, 0, moved);
+      return next;
+    });
+  };
+
+  const updateProductProvider = (index, field, value) => {
+    setProductProviders(prev => prev.map((c, i) => (i === index ? { ...c, [field]: value } : c)));
+  };
+
+  const handleSave = () => {
+    const cleaned = productProviders.map(c => ({ productId: c.productId.trim(), provider: c.provider }));
+    const payload = { order, productProviders: cleaned, marketCacheMinutes: Number(marketCacheMinutes) };
+    submit({ intent: "save", settings: JSON.stringify(payload) }, { method: "post" });
+  };
+
+  const handleUpload = () => {
+    const formData = new FormData();
+    formData.append("intent", "upload_feed");
+    formData.append("currency", feedCurrency);
+    formData.append("feed", feedFile);
+    submit(formData, { method: "post", encType: "multipart/form-data" });
+  };
+
+  return (
+    <AppProvider i18n={enTranslations}>
+      <Page
+        title="Market Data"
+        primaryAction={{ content: "Save", onAction: handleSave, loading: busyIntent === "save", disabled: isBusy }}
+      >
+        <Layout>
+          <Layout.Section>
+            <BlockStack gap="500">
+              {actionData?.status === "success" && (
+                <Banner tone="success">
+                  <p>{actionData.message}</p>
+                  {actionData.warnings?.length > 0 && (
+                    <ul>
+                      {actionData.warnings.map((w, i) => <li key={i}>{w}</li>)}
+                    </ul>
+                  )}
+                </Banner>
+              )}
+              {actionData?.status === "error" && (
+                <Banner tone="critical">
+                  <ul>
+                    {actionData.errors.map((err, i) => <li key={i}>{err}</li>)}
+                  </ul>
+                </Banner>
+              )}
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Provider Order</Text>
+                  <Text as="p" tone="subdued">
+                    Imports and price updates try the enabled providers from top to bottom and use the first one
+                    that lists the SKU.
+                  </Text>
+
+                  {order.map((id, index) => (
+                    <InlineStack key={id} gap="300" blockAlign="center">
+                      <Badge>{String(index + 1)}</Badge>
+                      <Text as="span" variant="bodyMd">{labelOf(id)}</Text>
+                      <Button variant="plain" onClick={() => moveProvider(index, -1)} disabled={index === 0}>Move up</Button>
+                      <Button variant="plain" onClick={() => moveProvider(index, 1)} disabled={index === order.length - 1}>Move down</Button>
+                    </InlineStack>
+                  ))}
+
+                  <InlineStack gap="400">
+                    {providers.map(p => (
+                      <Checkbox
+                        key={p.id}
+                        label={p.label}
+                        checked={order.includes(p.id)}
+                        onChange={(checked) => toggleProvider(p.id, checked)}
+                      />
+                    ))}
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">StockX Cache</Text>
+                  <Text as="p" tone="subdued">
+                    Catalog searches and size lists are cached for days. Market data is reused for the time below;
+                    use Force refresh on the Update Prices page to skip the cache for a run.
+                  </Text>
+                  <TextField
+                    label="Reuse market data for (minutes)"
+                    type="number"
+                    min={0}
+                    value={marketCacheMinutes}
+                    onChange={setMarketCacheMinutes}
+                    helpText="0 fetches fresh market data on every sync."
+                    autoComplete="off"
+                  />
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Per-Product Provider</Text>
+                  <Text as="p" tone="subdued">
+                    These products always use the chosen provider and skip the fallback order.
+                  </Text>
+
+                  {productProviders.map((choice, index) => (
+                    <InlineStack key={index} gap="300" blockAlign="end" wrap={false}>
+                      <TextField
+                        label="Product ID"
+                        value={choice.productId}
+                        onChange={(value) => updateProductProvider(index, "productId", value)}
+                        autoComplete="off"
+                      />
+                      <Select
+                        label="Provider"
+                        options={providerOptions}
+                        value={choice.provider}
+                        onChange={(value) => updateProductProvider(index, "provider", value)}
+                      />
+                      <Button
+                        variant="plain"
+                        tone="critical"
+                        onClick={() => setProductProviders(prev => prev.filter((_, i) => i !== index))}
+                      >
+                        Remove
+                      </Button>
+                    </InlineStack>
+                  ))}
+
+                  <InlineStack>
+                    <Button onClick={() => setProductProviders(prev => [...prev, { productId: "", provider: providers[0].id }])}>
+                      Add Product
+                    </Button>
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Price Feed</Text>
+                  <Text as="p" tone="subdued">
+                    A CSV (with a header row) or JSON file with one row per SKU and size. Columns: {feedColumns.join(", ")}.
+                    Only sku, size and price are required.
+                  </Text>
+
+                  {feed ? (
+                    <InlineStack align="space-between" blockAlign="center">
+                      <Text as="p" variant="bodySm">
+                        {feed.fileName}: {feed.rowCount} prices for {feed.skuCount} SKUs in {feed.currency},
+                        uploaded {new Date(feed.uploadedAt).toLocaleString()}
+                      </Text>
+                      <Button
+                        tone="critical"
+                        onClick={() => submit({ intent: "delete_feed" }, { method: "post" })}
+                        loading={busyIntent === "delete_feed"}
+                        disabled={isBusy}
+                      >
+                        Remove Feed
+                      </Button>
+                    </InlineStack>
+                  ) : (
+                    <Text as="p" tone="subdued">No feed uploaded.</Text>
+                  )}
+
+                  <FormLayout>
+                    <FormLayout.Group>
+                      <input
+                        type="file"
+                        accept=".csv,.json,text/csv,application/json"
+                        onChange={(e) => setFeedFile(e.target.files?.[0] || null)}
+                      />
+                      <Select
+                        label="Feed currency"
+                        options={currencies.map(c => ({ label: c, value: c }))}
+                        value={feedCurrency}
+                        onChange={setFeedCurrency}
+                        helpText="Used for rows without a currency column."
+                      />
+                    </FormLayout.Group>
+                  </FormLayout>
+                  <InlineStack>
+                    <Button onClick={handleUpload} disabled={!feedFile || isBusy} loading={busyIntent === "upload_feed"}>
+                      {feed ? "Replace Feed" : "Upload Feed"}
+                    </Button>
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+      </Page>
+    </AppProvider>
+  );
+}
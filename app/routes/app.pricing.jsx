@@ -0,0 +1,535 @@
+import { useState } from "react";
+import { useLoaderData, useActionData, useNavigation, useSubmit } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  FormLayout,
+  Text,
+  TextField,
+  Select,
+  Checkbox,
+  Button,
+  Banner,
+  AppProvider
+} from "@shopify/polaris";
+import enTranslations from "@shopify/polaris/locales/en.json";
+import "@shopify/polaris/build/esm/styles.css";
+import { authenticate } from "../shopify.server";
+import { getShopCurrency } from "../fx.server";
+import {
+  getPricingRules,
+  savePricingRules,
+  resetPricingRules,
+  MARKUP_TYPES,
+  ROUNDING_STRATEGIES,
+  OVERRIDE_SCOPES,
+  PRICING_MODES,
+  PRICING_STRATEGIES,
+  STRATEGY_LABELS
+} from "../pricing.server";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const [rules, currencyCode] = await Promise.all([getPricingRules(session.shop), getShopCurrency(admin)]);
+  return {
+    rules,
+    currencyCode,
+    markupTypes: MARKUP_TYPES,
+    roundingStrategies: ROUNDING_STRATEGIES,
+    overrideScopes: OVERRIDE_SCOPES,
+    pricingModes: PRICING_MODES,
+    pricingStrategies: PRICING_STRATEGIES.map(s => ({ label: STRATEGY_LABELS[s], value: s }))
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "reset") {
+    const rules = await resetPricingRules(session.shop);
+    return { status: "success", message: "Pricing rules reset to defaults.", rules };
+  }
+
+  if (intent === "save") {
+    let rules;
+    try {
+      rules = JSON.parse(formData.get("rules"));
+    } catch (e) {
+      return { status: "error", errors: ["Invalid rules payload."] };
+    }
+
+    const result = await savePricingRules(session.shop, rules);
+    if (!result.success) return { status: "error", errors: result.errors };
+    return { status: "success", message: "Pricing rules saved.", rules: result.rules };
+  }
+
+  return null;
+};
+
+// Form fields are edited as strings; convert them back to numbers (empty = no value).
+const toNumberOrNull = (value) => {
+  if (value === "" || value === null || value === undefined) return null;
+  const num = Number(value);
+  return Number.isNaN(num) ? value : num;
+};
+
+const tiersToForm = (tiers) => tiers.map(t => ({
+  upTo: t.upTo === null || t.upTo === undefined ? "" : String(t.upTo),
+  markupType: t.markupType,
+  markup: String(t.markup)
+}));
+
+const tiersFromForm = (tiers) => tiers.map(t => ({
+  upTo: toNumberOrNull(t.upTo),
+  markupType: t.markupType,
+  markup: toNumberOrNull(t.markup)
+}));
+
+const LANDED_COST_FIELDS = ["buyerFeePercent", "processingFeePercent", "shippingCost", "taxPercent", "targetMarginPercent"];
+
+const toFormState = (rules) => ({
+  mode: rules.mode || "markup",
+  strategy: rules.strategy || "lowest_ask",
+  minRecentSales: rules.minRecentSales === null || rules.minRecentSales === undefined ? "" : String(rules.minRecentSales),
+  costFloor: {
+    enabled: !!rules.costFloor?.enabled,
+    minMarginPercent: String(rules.costFloor?.minMarginPercent ?? 10)
+  },
+  landedCost: Object.fromEntries(LANDED_COST_FIELDS.map(f => [f, String(rules.landedCost?.[f] ?? 0)])),
+  tiers: tiersToForm(rules.tiers),
+  minPrice: rules.minPrice === null || rules.minPrice === undefined ? "" : String(rules.minPrice),
+  maxPrice: rules.maxPrice === null || rules.maxPrice === undefined ? "" : String(rules.maxPrice),
+  rounding: {
+    strategy: rules.rounding?.strategy || "none",
+    step: rules.rounding?.step === undefined ? "" : String(rules.rounding.step),
+    offset: rules.rounding?.offset === undefined ? "" : String(rules.rounding.offset)
+  },
+  overrides: (rules.overrides || []).map(o => ({
+    scope: o.scope,
+    value: o.value,
+    tiers: tiersToForm(o.tiers),
+    minPrice: o.minPrice === null || o.minPrice === undefined ? "" : String(o.minPrice),
+    maxPrice: o.maxPrice === null || o.maxPrice === undefined ? "" : String(o.maxPrice)
+  }))
+});
+
+const fromFormState = (form) => ({
+  mode: form.mode,
+  strategy: form.strategy,
+  minRecentSales: toNumberOrNull(form.minRecentSales),
+  costFloor: {
+    enabled: form.costFloor.enabled,
+    minMarginPercent: toNumberOrNull(form.costFloor.minMarginPercent) ?? 0
+  },
+  landedCost: Object.fromEntries(LANDED_COST_FIELDS.map(f => [f, toNumberOrNull(form.landedCost[f]) ?? 0])),
+  tiers: tiersFromForm(form.tiers),
+  minPrice: toNumberOrNull(form.minPrice),
+  maxPrice: toNumberOrNull(form.maxPrice),
+  rounding: {
+    strategy: form.rounding.strategy,
+    step: toNumberOrNull(form.rounding.step) ?? undefined,
+    offset: toNumberOrNull(form.rounding.offset) ?? 0
+  },
+  overrides: form.overrides.map(o => ({
+    scope: o.scope,
+    value: o.value.trim(),
+    tiers: tiersFromForm(o.tiers),
+    minPrice: toNumberOrNull(o.minPrice),
+    maxPrice: toNumberOrNull(o.maxPrice)
+  }))
+});
+
+const newTier = () => ({ upTo: "", markupType: "fixed", markup: "0" });
+
+// Insert before the open-ended last tier so the catch-all stays last
+const withTierAdded = (tiers) => {
+  const next = [...tiers];
+  next.splice(Math.max(next.length - 1, 0), 0, newTier());
+  return next;
+};
+
+// "€" for EUR, "CHF" for CHF...: amounts on this page are in the shop currency
+const currencySymbol = (currencyCode) =>
+  new Intl.NumberFormat(undefined, { style: "currency", currency: currencyCode })
+    .formatToParts(0)
+    .find(part => part.type === "currency")?.value || currencyCode;
+
+const OVERRIDE_VALUE_HELP = {
+  vendor: "Brand exactly as written in the product vendor, e.g. Nike",
+  collection: "Collection title, handle or ID",
+  tag: "Product tag, e.g. hyped",
+  product: "Product ID, e.g. 8123456789012"
+};
+
+export default function PricingRulesPage() {
+  const { rules, currencyCode, markupTypes, roundingStrategies, overrideScopes, pricingModes, pricingStrategies } = useLoaderData();
+  const symbol = currencySymbol(currencyCode);
+  const actionData = useActionData();
+  const nav = useNavigation();
+  const submit = useSubmit();
+
+  const [form, setForm] = useState(() => toFormState(rules));
+  const [lastSynced, setLastSynced] = useState(actionData);
+
+  // Pick up the canonical rules after a save/reset
+  if (actionData !== lastSynced) {
+    setLastSynced(actionData);
+    if (actionData?.rules) setForm(toFormState(actionData.rules));
+  }
+
+  const isSaving = nav.state === "submitting";
+
+  const updateOverride = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      overrides: prev.overrides.map((o, i) => (i === index ? { ...o, [field]: value } : o))
+    }));
+  };
+
+  const addOverride = () => {
+    setForm(prev => ({
+      ...prev,
+      overrides: [...prev.overrides, { scope: "vendor", value: "", tiers: prev.tiers.map(t => ({ ...t })), minPrice: "", maxPrice: "" }]
+    }));
+  };
+
+  const removeOverride = (index) => {
+    setForm(prev => ({ ...prev, overrides: prev.overrides.filter((_, i) => i !== index) }));
+  };
+
+  const updateLandedCost = (field, value) => {
+    setForm(prev => ({ ...prev, landedCost: { ...prev.landedCost, [field]: value } }));
+  };
+
+  const updateRounding = (field, value) => {
+    setForm(prev => ({ ...prev, rounding: { ...prev.rounding, [field]: value } }));
+  };
+
+  const handleSave = () => {
+    submit({ intent: "save", rules: JSON.stringify(fromFormState(form)) }, { method: "post" });
+  };
+
+  const handleReset = () => {
+    submit({ intent: "reset" }, { method: "post" });
+  };
+
+  const markupTypeOptions = markupTypes.map(t => ({ label: t === "fixed" ? `Fixed (${symbol})` : "Percentage (%)", value: t }));
+  const modeOptions = pricingModes.map(m => ({
+    label: m === "landed_cost" ? "Landed cost + target margin" : "Markup tiers",
+    value: m
+  }));
+  const scopeOptions = overrideScopes.map(s => ({ label: s.charAt(0).toUpperCase() + s.slice(1), value: s }));
+  const roundingOptions = roundingStrategies.map(s => ({ label: s.charAt(0).toUpperCase() + s.slice(1), value: s }));
+
+  // Shared by the shop tiers and every override
+  const renderTierEditor = (tiers, onChange) => {
+    const updateTier = (index, field, value) => {
+      onChange(tiers.map((t, i) => (i === index ? { ...t, [field]: value } : t)));
+    };
+
+    return (
+      <BlockStack gap="300">
+        {tiers.map((tier, index) => (
+          <InlineStack key={index} gap="300" blockAlign="end" wrap={false}>
+            <TextField
+              label={`Price below (${symbol})`}
+              type="number"
+              value={tier.upTo}
+              onChange={(value) => updateTier(index, "upTo", value)}
+              placeholder="No limit"
+              autoComplete="off"
+            />
+            <Select
+              label="Markup type"
+              options={markupTypeOptions}
+              value={tier.markupType}
+              onChange={(value) => updateTier(index, "markupType", value)}
+            />
+            <TextField
+              label="Markup"
+              type="number"
+              value={tier.markup}
+              onChange={(value) => updateTier(index, "markup", value)}
+              autoComplete="off"
+            />
+            <Button
+              variant="plain"
+              tone="critical"
+              onClick={() => onChange(tiers.filter((_, i) => i !== index))}
+              disabled={tiers.length <= 1}
+            >
+              Remove
+            </Button>
+          </InlineStack>
+        ))}
+
+        <InlineStack>
+          <Button onClick={() => onChange(withTierAdded(tiers))}>Add Tier</Button>
+        </InlineStack>
+      </BlockStack>
+    );
+  };
+
+  return (
+    <AppProvider i18n={enTranslations}>
+      <Page
+        title="Pricing Rules"
+        primaryAction={{ content: "Save", onAction: handleSave, loading: isSaving, disabled: isSaving }}
+        secondaryActions={[{ content: "Reset to Defaults", onAction: handleReset, disabled: isSaving }]}
+      >
+        <Layout>
+          <Layout.Section>
+            <BlockStack gap="500">
+              {actionData?.status === "success" && (
+                <Banner tone="success"><p>{actionData.message}</p></Banner>
+              )}
+              {actionData?.status === "error" && (
+                <Banner tone="critical" title="Pricing rules were not saved">
+                  <ul>
+                    {actionData.errors.map((err, i) => <li key={i}>{err}</li>)}
+                  </ul>
+                </Banner>
+              )}
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Market Price</Text>
+                  <FormLayout>
+                    <FormLayout.Group>
+                      <Select
+                        label="Price from"
+                        options={pricingStrategies}
+                        value={form.strategy}
+                        onChange={(value) => setForm(prev => ({ ...prev, strategy: value }))}
+                        helpText="The StockX figure the markup or landed cost is applied to. Midpoint and last sale fall back to the lowest ask when missing."
+                      />
+                      <TextField
+                        label="Minimum sales in last 72 hours"
+                        type="number"
+                        value={form.minRecentSales}
+                        onChange={(value) => setForm(prev => ({ ...prev, minRecentSales: value }))}
+                        placeholder="Always use last sale"
+                        helpText="Last sales of slower selling sizes are ignored."
+                        disabled={form.strategy === "lowest_ask" || form.strategy === "midpoint"}
+                        autoComplete="off"
+                      />
+                    </FormLayout.Group>
+                  </FormLayout>
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Pricing Mode</Text>
+                  <FormLayout>
+                    <Select
+                      label="Mode"
+                      options={modeOptions}
+                      value={form.mode}
+                      onChange={(value) => setForm(prev => ({ ...prev, mode: value }))}
+                      helpText={form.mode === "landed_cost"
+                        ? "Price = landed cost / (1 - target margin). Markup tiers and overrides are not used."
+                        : "Price = StockX ask + the markup of the matching tier. Landed cost below is only used to report margins."}
+                    />
+                    <FormLayout.Group>
+                      <TextField
+                        label="StockX buyer fee (%)"
+                        type="number"
+                        value={form.landedCost.buyerFeePercent}
+                        onChange={(value) => updateLandedCost("buyerFeePercent", value)}
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="Processing fee (%)"
+                        type="number"
+                        value={form.landedCost.processingFeePercent}
+                        onChange={(value) => updateLandedCost("processingFeePercent", value)}
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label={`Inbound shipping (${symbol})`}
+                        type="number"
+                        value={form.landedCost.shippingCost}
+                        onChange={(value) => updateLandedCost("shippingCost", value)}
+                        autoComplete="off"
+                      />
+                    </FormLayout.Group>
+                    <FormLayout.Group>
+                      <TextField
+                        label="Tax / VAT (%)"
+                        type="number"
+                        value={form.landedCost.taxPercent}
+                        onChange={(value) => updateLandedCost("taxPercent", value)}
+                        helpText="Applied on ask + fees + shipping"
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="Target margin (%)"
+                        type="number"
+                        value={form.landedCost.targetMarginPercent}
+                        onChange={(value) => updateLandedCost("targetMarginPercent", value)}
+                        disabled={form.mode !== "landed_cost"}
+                        autoComplete="off"
+                      />
+                    </FormLayout.Group>
+                  </FormLayout>
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Cost Floor</Text>
+                  <FormLayout>
+                    <Checkbox
+                      label="Never price below unit cost plus a minimum margin"
+                      helpText="Uses the cost per item of each Shopify variant. Sizes without a cost are priced from the market only."
+                      checked={form.costFloor.enabled}
+                      onChange={(value) => setForm(prev => ({ ...prev, costFloor: { ...prev.costFloor, enabled: value } }))}
+                    />
+                    <TextField
+                      label="Minimum margin over cost (%)"
+                      type="number"
+                      value={form.costFloor.minMarginPercent}
+                      onChange={(value) => setForm(prev => ({ ...prev, costFloor: { ...prev.costFloor, minMarginPercent: value } }))}
+                      disabled={!form.costFloor.enabled}
+                      autoComplete="off"
+                    />
+                  </FormLayout>
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Markup Tiers</Text>
+                  <Text as="p" tone="subdued">
+                    Tiers are evaluated top to bottom; the first tier whose upper bound is above the StockX price is used.
+                    Leave the last upper bound empty to cover every higher price.
+                  </Text>
+
+                  {renderTierEditor(form.tiers, (tiers) => setForm(prev => ({ ...prev, tiers })))}
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Overrides</Text>
+                  <Text as="p" tone="subdued">
+                    Give a brand, collection, tag or single product its own markup tiers.
+                    When several overrides match, the most specific wins: product, then tag, then collection, then brand.
+                  </Text>
+
+                  {form.overrides.length === 0 && (
+                    <Text as="p" tone="subdued">No overrides yet. Every product uses the markup tiers above.</Text>
+                  )}
+
+                  {form.overrides.map((override, index) => (
+                    <div key={index} style={{ borderTop: '1px solid #e1e3e5', paddingTop: '1rem' }}>
+                      <BlockStack gap="300">
+                        <InlineStack gap="300" blockAlign="end" wrap={false}>
+                          <Select
+                            label="Applies to"
+                            options={scopeOptions}
+                            value={override.scope}
+                            onChange={(value) => updateOverride(index, "scope", value)}
+                          />
+                          <TextField
+                            label="Value"
+                            value={override.value}
+                            onChange={(value) => updateOverride(index, "value", value)}
+                            helpText={OVERRIDE_VALUE_HELP[override.scope]}
+                            autoComplete="off"
+                          />
+                          <Button variant="plain" tone="critical" onClick={() => removeOverride(index)}>
+                            Remove Override
+                          </Button>
+                        </InlineStack>
+                        {renderTierEditor(override.tiers, (tiers) => updateOverride(index, "tiers", tiers))}
+                        <InlineStack gap="300" wrap={false}>
+                          <TextField
+                            label={`Minimum sell price (${symbol})`}
+                            type="number"
+                            value={override.minPrice}
+                            onChange={(value) => updateOverride(index, "minPrice", value)}
+                            placeholder="Shop default"
+                            autoComplete="off"
+                          />
+                          <TextField
+                            label={`Maximum sell price (${symbol})`}
+                            type="number"
+                            value={override.maxPrice}
+                            onChange={(value) => updateOverride(index, "maxPrice", value)}
+                            placeholder="Shop default"
+                            autoComplete="off"
+                          />
+                        </InlineStack>
+                      </BlockStack>
+                    </div>
+                  ))}
+
+                  <InlineStack>
+                    <Button onClick={addOverride}>Add Override</Button>
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Rounding &amp; Bounds</Text>
+                  <FormLayout>
+                    <FormLayout.Group>
+                      <Select
+                        label="Rounding strategy"
+                        options={roundingOptions}
+                        value={form.rounding.strategy}
+                        onChange={(value) => updateRounding("strategy", value)}
+                      />
+                      <TextField
+                        label="Round to multiple of"
+                        type="number"
+                        value={form.rounding.step}
+                        onChange={(value) => updateRounding("step", value)}
+                        disabled={form.rounding.strategy === "none"}
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="Offset after rounding"
+                        type="number"
+                        value={form.rounding.offset}
+                        onChange={(value) => updateRounding("offset", value)}
+                        helpText="e.g. -0.10 turns 245 into 244.90"
+                        autoComplete="off"
+                      />
+                    </FormLayout.Group>
+                    <FormLayout.Group>
+                      <TextField
+                        label={`Minimum sell price (${symbol})`}
+                        type="number"
+                        value={form.minPrice}
+                        onChange={(value) => setForm(prev => ({ ...prev, minPrice: value }))}
+                        placeholder="None"
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label={`Maximum sell price (${symbol})`}
+                        type="number"
+                        value={form.maxPrice}
+                        onChange={(value) => setForm(prev => ({ ...prev, maxPrice: value }))}
+                        placeholder="None"
+                        autoComplete="off"
+                      />
+                    </FormLayout.Group>
+                  </FormLayout>
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+      </Page>
+    </AppProvider>
+  );
+}
@@ -0,0 +1,235 @@
+import { useState } from "react";
+import { useLoaderData, useActionData, useNavigation, useSubmit } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Select,
+  TextField,
+  Checkbox,
+  Button,
+  Banner,
+  AppProvider
+} from "@shopify/polaris";
+import enTranslations from "@shopify/polaris/locales/en.json";
+import "@shopify/polaris/build/esm/styles.css";
+import { authenticate } from "../shopify.server";
+import {
+  getSizeSettings,
+  saveSizeSettings,
+  SIZE_SYSTEMS,
+  SIZE_SYSTEM_LABELS
+} from "../size-system.server";
+
+// A men's US 8.5 as StockX converts it, to preview the option value
+const EXAMPLE_SIZES = { eu: "42", us: "8.5", uk: "7.5", cm: "26.5" };
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  return {
+    settings: await getSizeSettings(session.shop),
+    systems: SIZE_SYSTEMS.map(id => ({ label: SIZE_SYSTEM_LABELS[id], value: id }))
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("intent") !== "save") return null;
+
+  let settings;
+  try {
+    settings = JSON.parse(formData.get("settings"));
+  } catch (e) {
+    return { status: "error", errors: ["Invalid settings payload."] };
+  }
+
+  const result = await saveSizeSettings(session.shop, {
+    systems: settings.systems,
+    labelSizeType: Boolean(settings.labelSizeType),
+    mappings: (settings.mappings || [])
+      .filter(m => m.match.trim() || m.value.trim())
+      .map(m => ({ system: m.system, match: m.match.trim(), value: m.value.trim(), regex: Boolean(m.regex) })),
+    updatedAt: new Date().toISOString()
+  });
+  if (!result.success) return { status: "error", errors: result.errors };
+  return { status: "success", message: "Size settings saved." };
+};
+
+export default function SizeSettingsPage() {
+  const { settings, systems } = useLoaderData();
+  const actionData = useActionData();
+  const nav = useNavigation();
+  const submit = useSubmit();
+
+  const [form, setForm] = useState(() => ({
+    systems: settings.systems,
+    labelSizeType: settings.labelSizeType,
+    mappings: settings.mappings
+  }));
+  const isSaving = nav.state === "submitting";
+
+  const setSystem = (index, value) => {
+    setForm(prev => ({ ...prev, systems: prev.systems.map((s, i) => (i === index ? value : s)) }));
+  };
+
+  const updateMapping = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      mappings: prev.mappings.map((m, i) => (i === index ? { ...m, [field]: value } : m))
+    }));
+  };
+
+  const mappingSystems = [{ label: "Any system", value: "" }, ...systems];
+  const unusedSystem = systems.find(s => !form.systems.includes(s.value));
+  const systemLabels = form.systems.map(id => systems.find(s => s.value === id)?.label).join(" / ");
+
+  const handleSave = () => {
+    submit({ intent: "save", settings: JSON.stringify(form) }, { method: "post" });
+  };
+
+  return (
+    <AppProvider i18n={enTranslations}>
+      <Page
+        title="Sizes"
+        primaryAction={{ content: "Save", onAction: handleSave, loading: isSaving, disabled: isSaving }}
+      >
+        <Layout>
+          <Layout.Section>
+            <BlockStack gap="500">
+              {actionData?.status === "success" && (
+                <Banner tone="success"><p>{actionData.message}</p></Banner>
+              )}
+              {actionData?.status === "error" && (
+                <Banner tone="critical" title="Size settings were not saved">
+                  <ul>
+                    {actionData.errors.map((err, i) => <li key={i}>{err}</li>)}
+                  </ul>
+                </Banner>
+              )}
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Size System</Text>
+                  <Text as="p" tone="subdued">
+                    Imported sizes are converted with the StockX size chart into these systems. With more than one
+                    system the size option shows them side by side. Products that already exist keep the systems
+                    in their option name.
+                  </Text>
+
+                  <BlockStack gap="300">
+                    {form.systems.map((system, index) => (
+                      <InlineStack key={index} gap="300" blockAlign="end" wrap={false}>
+                        <Select
+                          label={index === 0 ? "Size system" : `Also show (${index + 1})`}
+                          options={systems}
+                          value={system}
+                          onChange={(value) => setSystem(index, value)}
+                        />
+                        {form.systems.length > 1 && (
+                          <Button
+                            variant="plain"
+                            tone="critical"
+                            onClick={() => setForm(prev => ({ ...prev, systems: prev.systems.filter((_, i) => i !== index) }))}
+                          >
+                            Remove
+                          </Button>
+                        )}
+                      </InlineStack>
+                    ))}
+                    {unusedSystem && (
+                      <InlineStack>
+                        <Button onClick={() => setForm(prev => ({ ...prev, systems: [...prev.systems, unusedSystem.value] }))}>
+                          Add System
+                        </Button>
+                      </InlineStack>
+                    )}
+                  </BlockStack>
+
+                  <Checkbox
+                    label="Label women's, GS, PS and TD sizes"
+                    helpText="Adds the size type to the option name, so a women's 8 is never mistaken for a men's 8. Imported products are always tagged with their size type (e.g. size-type:women)."
+                    checked={form.labelSizeType}
+                    onChange={(value) => setForm(prev => ({ ...prev, labelSizeType: value }))}
+                  />
+
+                  <Text as="p">
+                    Example: Size ({systemLabels}) = {form.systems.map(id => EXAMPLE_SIZES[id]).join(" / ")}
+                    {form.labelSizeType ? `, women's products use Size (${systemLabels}, Women's)` : ""}
+                  </Text>
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Size Mapping</Text>
+                  <Text as="p" tone="subdued">
+                    Renames StockX sizes to the option values your shop uses, e.g. 42 2/3 to 42.5. Rules are checked
+                    top to bottom against the size as StockX writes it (US W 8) and without its prefix (8); the first
+                    match wins. A regular expression replaces what it matches, so $1 inserts its first group.
+                    Existing variants under the unmapped name are still matched, so they are repriced instead of
+                    recreated.
+                  </Text>
+
+                  <BlockStack gap="300">
+                    {form.mappings.map((mapping, index) => (
+                      <InlineStack key={index} gap="300" blockAlign="end" wrap={false}>
+                        <Select
+                          label="System"
+                          options={mappingSystems}
+                          value={mapping.system}
+                          onChange={(value) => updateMapping(index, "system", value)}
+                        />
+                        <TextField
+                          label={mapping.regex ? "StockX size (regex)" : "StockX size"}
+                          value={mapping.match}
+                          onChange={(value) => updateMapping(index, "match", value)}
+                          placeholder={mapping.regex ? "^(\\d+) 2/3$" : "42 2/3"}
+                          autoComplete="off"
+                        />
+                        <TextField
+                          label="Shopify value"
+                          value={mapping.value}
+                          onChange={(value) => updateMapping(index, "value", value)}
+                          placeholder={mapping.regex ? "$1.5" : "42.5"}
+                          autoComplete="off"
+                        />
+                        <Checkbox
+                          label="Regex"
+                          checked={mapping.regex}
+                          onChange={(value) => updateMapping(index, "regex", value)}
+                        />
+                        <Button
+                          variant="plain"
+                          tone="critical"
+                          onClick={() => setForm(prev => ({ ...prev, mappings: prev.mappings.filter((_, i) => i !== index) }))}
+                        >
+                          Remove
+                        </Button>
+                      </InlineStack>
+                    ))}
+                    <InlineStack>
+                      <Button
+                        onClick={() => setForm(prev => ({
+                          ...prev,
+                          mappings: [...prev.mappings, { system: "", match: "", value: "", regex: false }]
+                        }))}
+                      >
+                        Add Mapping
+                      </Button>
+                    </InlineStack>
+                  </BlockStack>
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+      </Page>
+    </AppProvider>
+  );
+}
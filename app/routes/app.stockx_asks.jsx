@@ -0,0 +1,256 @@
+import { useState } from "react";
+import { useLoaderData, useActionData, useNavigation, useSubmit } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  FormLayout,
+  Text,
+  TextField,
+  Select,
+  Checkbox,
+  Button,
+  Badge,
+  Banner,
+  AppProvider
+} from "@shopify/polaris";
+import enTranslations from "@shopify/polaris/locales/en.json";
+import "@shopify/polaris/build/esm/styles.css";
+import { authenticate } from "../shopify.server";
+import { getCurrencyContext } from "../fx.server";
+import {
+  getAskSettings,
+  saveAskSettings,
+  listAsks,
+  syncAllAsks,
+  withdrawAllAsks,
+  ASK_STRATEGIES,
+  ASK_STRATEGY_LABELS
+} from "../stockx-asks.server";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const [settings, asks, currency] = await Promise.all([
+    getAskSettings(session.shop),
+    listAsks(session.shop),
+    getCurrencyContext(admin, session.shop)
+  ]);
+  return {
+    settings,
+    asks,
+    currencyCode: currency.sourceCurrency,
+    strategies: ASK_STRATEGIES.map(id => ({ label: ASK_STRATEGY_LABELS[id], value: id }))
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "save") {
+    let settings;
+    try {
+      settings = JSON.parse(formData.get("settings"));
+    } catch (e) {
+      return { status: "error", errors: ["Invalid settings payload."] };
+    }
+    const result = await saveAskSettings(session.shop, settings);
+    if (!result.success) return { status: "error", errors: result.errors };
+    return { status: "success", message: "Ask settings saved." };
+  }
+
+  if (intent === "preview" || intent === "sync") {
+    try {
+      const result = await syncAllAsks(admin, session.shop, { dryRun: intent === "preview" });
+      return { status: result.status, message: result.message, results: result.results };
+    } catch (e) {
+      console.error("[StockX Asks] Sync failed:", e);
+      return { status: "error", errors: [e.message] };
+    }
+  }
+
+  if (intent === "withdraw") {
+    const { withdrawn, errors } = await withdrawAllAsks(session.shop);
+    if (errors.length > 0) return { status: "error", errors: [`Withdrew ${withdrawn} asks.`, ...errors] };
+    return { status: "success", message: `Withdrew ${withdrawn} asks.` };
+  }
+
+  return null;
+};
+
+const numberToField = (value) => (value === null || value === undefined ? "" : String(value));
+const fieldToNumber = (value) => (value === "" || value === null || value === undefined ? null : Number(value));
+
+export default function StockXAsksPage() {
+  const { settings, asks, currencyCode, strategies } = useLoaderData();
+  const actionData = useActionData();
+  const nav = useNavigation();
+  const submit = useSubmit();
+
+  const [form, setForm] = useState(() => ({
+    enabled: settings.enabled,
+    strategy: settings.strategy,
+    value: numberToField(settings.value),
+    minimumAsk: numberToField(settings.minimumAsk)
+  }));
+
+  const isBusy = nav.state !== "idle";
+  const busyIntent = isBusy && nav.formData?.get("intent");
+  const activeCount = asks.filter(a => a.status === "active").length;
+
+  const handleSave = () => {
+    submit({
+      intent: "save",
+      settings: JSON.stringify({
+        enabled: form.enabled,
+        strategy: form.strategy,
+        value: form.strategy === "match" ? 0 : fieldToNumber(form.value),
+        minimumAsk: fieldToNumber(form.minimumAsk)
+      })
+    }, { method: "post" });
+  };
+
+  const valueLabel = form.strategy === "beat_amount" ? `Amount (${currencyCode})` : "Percentage";
+
+  return (
+    <AppProvider i18n={enTranslations}>
+      <Page
+        title="StockX Asks"
+        primaryAction={{ content: "Save", onAction: handleSave, loading: busyIntent === "save", disabled: isBusy }}
+      >
+        <Layout>
+          <Layout.Section>
+            <BlockStack gap="500">
+              {actionData?.message && (
+                <Banner tone={actionData.status === "success" ? "success" : "warning"}><p>{actionData.message}</p></Banner>
+              )}
+              {actionData?.status === "error" && actionData.errors && (
+                <Banner tone="critical">
+                  <ul>
+                    {actionData.errors.map((err, i) => <li key={i}>{err}</li>)}
+                  </ul>
+                </Banner>
+              )}
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">List Stock on StockX</Text>
+                  <Text as="p" tone="subdued">
+                    Products tagged stockx-sync get one StockX ask for every size with Shopify inventory, priced from
+                    the current lowest ask. Asks are repriced when someone undercuts them and withdrawn as soon as the
+                    size is out of stock in Shopify. After a sale on StockX the size is not listed again until its
+                    Shopify inventory changes, so adjust the inventory when you ship the pair.
+                  </Text>
+                  <FormLayout>
+                    <Checkbox
+                      label="Create and update asks from Shopify inventory"
+                      checked={form.enabled}
+                      onChange={(value) => setForm(prev => ({ ...prev, enabled: value }))}
+                    />
+                    <FormLayout.Group>
+                      <Select
+                        label="Ask price"
+                        options={strategies}
+                        value={form.strategy}
+                        onChange={(value) => setForm(prev => ({ ...prev, strategy: value }))}
+                      />
+                      {form.strategy !== "match" && (
+                        <TextField
+                          label={valueLabel}
+                          type="number"
+                          value={form.value}
+                          onChange={(value) => setForm(prev => ({ ...prev, value }))}
+                          autoComplete="off"
+                        />
+                      )}
+                      <TextField
+                        label={`Minimum ask (${currencyCode})`}
+                        type="number"
+                        value={form.minimumAsk}
+                        onChange={(value) => setForm(prev => ({ ...prev, minimumAsk: value }))}
+                        placeholder="None"
+                        helpText="Asks never go below this, however low the market is."
+                        autoComplete="off"
+                      />
+                    </FormLayout.Group>
+                  </FormLayout>
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <Text variant="headingMd" as="h2">Asks ({activeCount} active)</Text>
+                    <InlineStack gap="200">
+                      <Button
+                        onClick={() => submit({ intent: "preview" }, { method: "post" })}
+                        loading={busyIntent === "preview"}
+                        disabled={isBusy}
+                      >
+                        Preview
+                      </Button>
+                      <Button
+                        variant="primary"
+                        onClick={() => submit({ intent: "sync" }, { method: "post" })}
+                        loading={busyIntent === "sync"}
+                        disabled={isBusy || !settings.enabled}
+                      >
+                        Sync Asks
+                      </Button>
+                      <Button
+                        tone="critical"
+                        onClick={() => submit({ intent: "withdraw" }, { method: "post" })}
+                        loading={busyIntent === "withdraw"}
+                        disabled={isBusy || activeCount === 0}
+                      >
+                        Withdraw All
+                      </Button>
+                    </InlineStack>
+                  </InlineStack>
+
+                  {actionData?.results?.map((result, i) => (
+                    <BlockStack key={i} gap="100">
+                      <Text as="p" fontWeight="semibold" tone={result.status === "error" ? "critical" : undefined}>
+                        {result.message}
+                      </Text>
+                      {(result.changes || []).map((change, j) => (
+                        <Text key={j} as="p" variant="bodySm" tone={change.error ? "critical" : undefined}>
+                          {change.description}{change.error ? ` — ${change.error}` : ""}
+                        </Text>
+                      ))}
+                      {(result.skipped || []).map((skip, j) => (
+                        <Text key={`skip-${j}`} as="p" variant="bodySm" tone="subdued">
+                          Size {skip.size}: {skip.reason}
+                        </Text>
+                      ))}
+                    </BlockStack>
+                  ))}
+
+                  {asks.length === 0 ? (
+                    <Text as="p" tone="subdued">No asks placed yet.</Text>
+                  ) : (
+                    asks.map((ask) => (
+                      <InlineStack key={ask.variantId} align="space-between" blockAlign="center" gap="400">
+                        <InlineStack gap="200" blockAlign="center">
+                          <Text as="span">{ask.productTitle}</Text>
+                          <Badge>{`Size ${ask.size}`}</Badge>
+                          {ask.status === "sold" ? <Badge tone="attention">Sold</Badge> : <Badge tone="success">Active</Badge>}
+                        </InlineStack>
+                        <Text as="span" variant="bodySm" tone="subdued">
+                          {ask.amount} {ask.currencyCode} · {new Date(ask.updatedAt).toLocaleString()}
+                        </Text>
+                      </InlineStack>
+                    ))
+                  )}
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+      </Page>
+    </AppProvider>
+  );
+}
@@ -0,0 +1,178 @@
+import { useEffect, useRef } from "react";
+import { useLoaderData, useActionData, useNavigation, useSubmit, useRevalidator } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  Badge,
+  Banner,
+  AppProvider
+} from "@shopify/polaris";
+import enTranslations from "@shopify/polaris/locales/en.json";
+import "@shopify/polaris/build/esm/styles.css";
+import { authenticate } from "../shopify.server";
+import {
+  getStockXConnection,
+  refreshAccessToken,
+  deleteStockXTokens,
+  stockxLoginUrl
+} from "../stockx-auth.server";
+import { isStockXSandbox, STOCKX_API_URL } from "../stockx-config.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  return {
+    connection: await getStockXConnection(session.shop),
+    sandbox: isStockXSandbox ? { url: STOCKX_API_URL } : null,
+    // eslint-disable-next-line no-undef
+    loginUrl: stockxLoginUrl(process.env.SHOPIFY_APP_URL || "", session.shop)
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "refresh") {
+    const refreshed = await refreshAccessToken(session.shop);
+    return refreshed
+      ? { status: "success", message: "StockX token refreshed." }
+      : { status: "error", message: "StockX did not accept the refresh token. Reconnect your StockX account." };
+  }
+
+  if (intent === "disconnect") {
+    await deleteStockXTokens(session.shop);
+    return { status: "success", message: "StockX account disconnected." };
+  }
+
+  return null;
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "Never");
+
+// Connected, expiring or disconnected, as a badge
+function connectionBadge(connection) {
+  if (!connection.connected) return <Badge tone="critical">Not connected</Badge>;
+  if (connection.expiresAt && new Date(connection.expiresAt) < new Date()) {
+    return <Badge tone={connection.canRefresh ? "attention" : "critical"}>Token expired</Badge>;
+  }
+  return <Badge tone="success">Connected</Badge>;
+}
+
+export default function StockXConnectionPage() {
+  const { connection, loginUrl, sandbox } = useLoaderData();
+  const actionData = useActionData();
+  const nav = useNavigation();
+  const submit = useSubmit();
+  const revalidator = useRevalidator();
+  const popupTimer = useRef(null);
+
+  const isBusy = nav.state !== "idle";
+  const busyIntent = isBusy && nav.formData?.get("intent");
+
+  useEffect(() => () => clearInterval(popupTimer.current), []);
+
+  // The login runs in a popup outside the admin; reload the status once it closes
+  const openLogin = () => {
+    const popup = window.open(loginUrl, "stockx_auth", "width=600,height=700");
+    clearInterval(popupTimer.current);
+    popupTimer.current = setInterval(() => {
+      if (!popup || popup.closed) {
+        clearInterval(popupTimer.current);
+        revalidator.revalidate();
+      }
+    }, 1000);
+  };
+
+  const account = connection.account;
+  const accountLabel = account ? account.email || account.name || account.id : "Unknown account";
+
+  return (
+    <AppProvider i18n={enTranslations}>
+      <Page title="StockX Connection">
+        <Layout>
+          <Layout.Section>
+            <BlockStack gap="500">
+              {sandbox && (
+                <Banner tone="warning" title="Sandbox mode">
+                  <p>
+                    The app talks to the local StockX stand-in at {sandbox.url}. Logins are fake and prices come from
+                    fixture files, not the live market.
+                  </p>
+                </Banner>
+              )}
+
+              {actionData?.status && (
+                <Banner tone={actionData.status === "success" ? "success" : "critical"}>
+                  <p>{actionData.message}</p>
+                </Banner>
+              )}
+
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <Text variant="headingMd" as="h2">StockX Account</Text>
+                    {connectionBadge(connection)}
+                  </InlineStack>
+
+                  {connection.connected ? (
+                    <BlockStack gap="200">
+                      <Text as="p">Account: {accountLabel}</Text>
+                      <Text as="p">Connected since: {formatDate(connection.connectedAt)}</Text>
+                      <Text as="p">
+                        Token expires: {formatDate(connection.expiresAt)}
+                        {connection.canRefresh ? " (refreshed automatically before it expires)" : " (cannot be refreshed, reconnect before then)"}
+                      </Text>
+                      <Text as="p">Last token refresh: {formatDate(connection.lastRefreshAt)}</Text>
+                      <Text as="p">Last successful StockX call: {formatDate(connection.lastSuccessAt)}</Text>
+                      {connection.lastFailure && (
+                        <Text as="p" tone="critical">
+                          Last problem ({formatDate(connection.lastFailureAt)}): {connection.lastFailure}
+                        </Text>
+                      )}
+                    </BlockStack>
+                  ) : (
+                    <Text as="p" tone="subdued">
+                      Connect the StockX account whose market data this shop should use for imports and price updates.
+                    </Text>
+                  )}
+
+                  <InlineStack gap="200">
+                    <Button variant="primary" onClick={openLogin} disabled={isBusy}>
+                      {connection.connected ? "Reconnect" : "Connect to StockX"}
+                    </Button>
+                    {connection.canRefresh && (
+                      <Button
+                        onClick={() => submit({ intent: "refresh" }, { method: "post" })}
+                        loading={busyIntent === "refresh"}
+                        disabled={isBusy}
+                      >
+                        Refresh Token Now
+                      </Button>
+                    )}
+                    {connection.connected && (
+                      <Button
+                        tone="critical"
+                        onClick={() => submit({ intent: "disconnect" }, { method: "post" })}
+                        loading={busyIntent === "disconnect"}
+                        disabled={isBusy}
+                      >
+                        Disconnect
+                      </Button>
+                    )}
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+      </Page>
+    </AppProvider>
+  );
+}
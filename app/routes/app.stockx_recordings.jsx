@@ -0,0 +1,244 @@
+import { useState } from "react";
+import { useLoaderData, useActionData, useNavigation, useSubmit } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  FormLayout,
+  Text,
+  TextField,
+  Checkbox,
+  Button,
+  Badge,
+  Banner,
+  AppProvider
+} from "@shopify/polaris";
+import enTranslations from "@shopify/polaris/locales/en.json";
+import "@shopify/polaris/build/esm/styles.css";
+import { authenticate } from "../shopify.server";
+import { replayRecordedRun } from "../product-sync.server";
+import {
+  getRecordingSettings,
+  saveRecordingSettings,
+  listRecordedRuns,
+  deleteRecordedRun
+} from "../stockx-recorder.server";
+
+const KIND_LABELS = { sync: "Sync", preview: "Preview", import: "Import" };
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [settings, runs] = await Promise.all([
+    getRecordingSettings(session.shop),
+    listRecordedRuns(session.shop)
+  ]);
+  return {
+    settings,
+    runs,
+    // eslint-disable-next-line no-undef
+    recordAll: process.env.STOCKX_RECORD === "true"
+  };
+};
+
+// One line per change of a replayed plan, e.g. "Size 42: 180.00 → 175.00 (Markup 10%)"
+const planLines = (plan) => [
+  ...plan.create.map(c => `Create size ${c.size} at ${c.price}`),
+  ...plan.delete.map(d => `Delete size ${d.size} (${d.price})`),
+  ...plan.reprice.filter(r => r.changed).map(r => `Size ${r.size}: ${r.oldPrice} → ${r.price} (${r.pricingRule})`),
+  ...plan.held.map(h => `Held size ${h.size} at ${h.proposedPrice}: ${h.reasons.join(", ")}`),
+  ...(plan.belowCost || []).map(b => `Below cost: size ${b.size}`)
+];
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "save") {
+    const result = await saveRecordingSettings(session.shop, {
+      enabled: formData.get("enabled") === "true",
+      keepRuns: formData.get("keepRuns")
+    });
+    if (!result.success) return { status: "error", errors: result.errors };
+    return { status: "success", message: "Recording settings saved." };
+  }
+
+  const id = formData.get("id");
+
+  if (intent === "delete") {
+    await deleteRecordedRun(session.shop, id);
+    return { status: "success", message: "Recorded run deleted." };
+  }
+
+  if (intent === "replay") {
+    try {
+      const result = await replayRecordedRun(admin, session.shop, id);
+      if (result.status !== "success") return { status: "error", errors: [result.message], id };
+
+      const variants = result.data.variants;
+      return {
+        status: "success",
+        id,
+        message: result.message,
+        replay: {
+          title: result.data.product_info.title,
+          pricedCount: variants.filter(v => v.price).length,
+          variantCount: variants.length,
+          lines: result.plan ? planLines(result.plan) : []
+        }
+      };
+    } catch (e) {
+      console.error("[StockX] Replay failed:", e);
+      return { status: "error", errors: [e.message], id };
+    }
+  }
+
+  return null;
+};
+
+export default function StockXRecordingsPage() {
+  const { settings, runs, recordAll } = useLoaderData();
+  const actionData = useActionData();
+  const nav = useNavigation();
+  const submit = useSubmit();
+
+  const [form, setForm] = useState(() => ({ enabled: settings.enabled, keepRuns: String(settings.keepRuns) }));
+
+  const isBusy = nav.state !== "idle";
+  const busyId = isBusy && nav.formData?.get("id");
+  const busyIntent = isBusy && nav.formData?.get("intent");
+
+  const handleSave = () => {
+    submit({ intent: "save", enabled: String(form.enabled), keepRuns: form.keepRuns }, { method: "post" });
+  };
+
+  const outcomeBadge = (outcome) => {
+    if (!outcome) return <Badge tone="attention">Unfinished</Badge>;
+    return outcome.status === "success" ? <Badge tone="success">Success</Badge> : <Badge tone="critical">{outcome.status || "Failed"}</Badge>;
+  };
+
+  return (
+    <AppProvider i18n={enTranslations}>
+      <Page
+        title="StockX Recordings"
+        primaryAction={{ content: "Save", onAction: handleSave, loading: busyIntent === "save", disabled: isBusy }}
+      >
+        <Layout>
+          <Layout.Section>
+            <BlockStack gap="500">
+              {actionData?.status === "success" && !actionData.replay && (
+                <Banner tone="success"><p>{actionData.message}</p></Banner>
+              )}
+              {actionData?.status === "error" && (
+                <Banner tone="critical">
+                  <ul>
+                    {actionData.errors.map((err, i) => <li key={i}>{err}</li>)}
+                  </ul>
+                </Banner>
+              )}
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Recording</Text>
+                  <Text as="p" tone="subdued">
+                    Stores every StockX request and raw response of a sync, preview or import, so a wrong price can be
+                    reproduced later. Recorded runs skip the StockX cache. Replaying a run feeds its responses through the
+                    same lookup and a dry-run sync with the pricing rules, guardrails, size settings and exchange rates it
+                    used; nothing is written to Shopify and StockX is not called.
+                  </Text>
+                  {recordAll && (
+                    <Banner tone="info">
+                      <p>STOCKX_RECORD=true is set, so every run is recorded regardless of this setting.</p>
+                    </Banner>
+                  )}
+                  <FormLayout>
+                    <Checkbox
+                      label="Record StockX responses"
+                      checked={form.enabled}
+                      onChange={(value) => setForm(prev => ({ ...prev, enabled: value }))}
+                    />
+                    <TextField
+                      label="Runs to keep"
+                      type="number"
+                      value={form.keepRuns}
+                      onChange={(value) => setForm(prev => ({ ...prev, keepRuns: value }))}
+                      helpText="Older runs are deleted when a new one is recorded."
+                      autoComplete="off"
+                    />
+                  </FormLayout>
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Recorded Runs ({runs.length})</Text>
+
+                  {runs.length === 0 ? (
+                    <Text as="p" tone="subdued">No runs recorded yet.</Text>
+                  ) : (
+                    runs.map((run) => (
+                      <div key={run.id} style={{ borderBottom: '1px solid #e1e3e5', paddingBottom: '1rem' }}>
+                        <BlockStack gap="200">
+                          <InlineStack align="space-between" blockAlign="center" gap="400">
+                            <BlockStack gap="100">
+                              <InlineStack gap="200">
+                                <Text variant="headingSm" as="h3">{run.title || run.sku}</Text>
+                                <Badge>{KIND_LABELS[run.kind] || run.kind}</Badge>
+                                {outcomeBadge(run.outcome)}
+                              </InlineStack>
+                              <Text as="p" variant="bodySm" tone="subdued">
+                                {run.sku} · {new Date(run.startedAt).toLocaleString()} · {run.requestCount} StockX requests
+                                {run.context?.currencyCode ? ` · ${run.context.currencyCode}` : ""}
+                              </Text>
+                              {run.outcome?.message && <Text as="p" variant="bodySm">{run.outcome.message}</Text>}
+                            </BlockStack>
+
+                            <InlineStack gap="200">
+                              <Button
+                                onClick={() => submit({ intent: "replay", id: run.id }, { method: "post" })}
+                                loading={busyId === run.id && busyIntent === "replay"}
+                                disabled={isBusy || run.requestCount === 0}
+                              >
+                                Replay
+                              </Button>
+                              <Button
+                                tone="critical"
+                                onClick={() => submit({ intent: "delete", id: run.id }, { method: "post" })}
+                                loading={busyId === run.id && busyIntent === "delete"}
+                                disabled={isBusy}
+                              >
+                                Delete
+                              </Button>
+                            </InlineStack>
+                          </InlineStack>
+
+                          {actionData?.id === run.id && actionData.replay && (
+                            <Card background="bg-surface-secondary">
+                              <BlockStack gap="100">
+                                <Text as="p" fontWeight="semibold">
+                                  Replay: {actionData.message}
+                                </Text>
+                                <Text as="p" variant="bodySm" tone="subdued">
+                                  {actionData.replay.title}: {actionData.replay.pricedCount} of {actionData.replay.variantCount} sizes with an ask
+                                </Text>
+                                {actionData.replay.lines.map((line, i) => (
+                                  <Text key={i} as="p" variant="bodySm">{line}</Text>
+                                ))}
+                              </BlockStack>
+                            </Card>
+                          )}
+                        </BlockStack>
+                      </div>
+                    ))
+                  )}
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+      </Page>
+    </AppProvider>
+  );
+}
@@ -16,17 +16,148 @@ import {
   ProgressBar,
   TextField,
   Pagination,
-  Modal
+  Modal,
+  Checkbox,
+  Select
 } from "@shopify/polaris";
 import enTranslations from "@shopify/polaris/locales/en.json";
 import "@shopify/polaris/build/esm/styles.css";
 import { authenticate } from "../shopify.server";
-import { fetchStockXData } from "../stockx.server";
-import { updateShopifyProduct } from "../shopify.sync";
+import { runProductSync } from "../product-sync.server";
+import { getBelowCostReport } from "../cost-report.server";
+import { getCacheStats } from "../stockx-cache.server";
+import { getPriceFetchMetrics } from "../stockx.server";
+import { sortSizes } from "../size-order";
+
+const SYNC_API_URL = "/app/api/sync";
+const HISTORY_API_URL = "/app/api/history";
+
+// Selectable entries of a dry-run plan (unchanged prices are always refreshed, so they are not listed)
+const planEntries = (plan) => [
+  ...plan.create,
+  ...plan.delete,
+  ...plan.reprice.filter(r => r.changed),
+  ...plan.skuChanges,
+  ...(plan.reorder ? [plan.reorder] : [])
+];
+
+// Reads the JSON of an API route response, mapping auth redirects to a readable error
+async function readApiResponse(response) {
+  if (response.type === "opaqueredirect" || response.status === 0 || response.status === 302 || response.status === 401) {
+    return { status: "error", message: "Session Expired (Please Refresh)" };
+  }
+
+  const text = await response.text();
+  if (text.trim().startsWith("<")) {
+    return { status: "error", message: "Received HTML instead of JSON." };
+  }
+  return JSON.parse(text);
+}
+
+// POSTs to the sync API route and returns its JSON
+async function postToSyncApi(fields) {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+
+  return readApiResponse(await fetch(SYNC_API_URL, { method: "POST", body: formData, redirect: "manual" }));
+}
+
+// "StockX cache: market 80% hits (120/150) · catalog 95% hits (38/40)" since the server started
+function describeCacheStats(stats) {
+  const describe = (label, { hits, misses }) => {
+    const total = hits + misses;
+    return total === 0 ? `${label} unused` : `${label} ${Math.round((hits / total) * 100)}% hits (${hits}/${total})`;
+  };
+  const catalog = {
+    hits: stats.search.hits + stats.products.hits + stats.variants.hits,
+    misses: stats.search.misses + stats.products.misses + stats.variants.misses
+  };
+  return `StockX cache: ${describe("market", stats.market)} · ${describe("catalog", catalog)}`;
+}
+
+const formatDuration = (ms) => (ms >= 60000 ? `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s` : `${(ms / 1000).toFixed(1)}s`);
+
+// Average StockX market data fetch time per product, for product-level requests and the per-size fallback
+function describePriceFetchMetrics(metrics) {
+  const describe = (label, { fetches, requests, totalMs }) =>
+    `${label} ${formatDuration(totalMs / fetches)} avg over ${fetches} products (${requests} requests)`;
+  const parts = [];
+  if (metrics.product.fetches > 0) parts.push(describe("one request", metrics.product));
+  if (metrics.variant.fetches > 0) parts.push(describe("per size", metrics.variant));
+  return `Market data fetch: ${parts.length > 0 ? parts.join(" · ") : "nothing fetched yet"}`;
+}
+
+async function fetchPriceHistory(productId) {
+  const url = `${HISTORY_API_URL}?productId=${encodeURIComponent(productId)}`;
+  return readApiResponse(await fetch(url, { redirect: "manual" }));
+}
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 240;
+const CHART_PADDING = { top: 16, right: 16, bottom: 28, left: 64 };
+
+// Line chart of StockX ask vs. Shopify sell price over time for one size (plain SVG, oldest entry first)
+function renderHistoryChart(entries, formatPrice) {
+  const points = entries.map(e => ({
+    time: new Date(e.timestamp).getTime(),
+    ask: e.ask ? Number(e.ask.amount) : null,
+    price: Number(e.price)
+  }));
+  const values = points.flatMap(p => [p.ask, p.price]).filter(v => Number.isFinite(v));
+  if (values.length === 0) return <Text tone="subdued">No prices recorded for this size.</Text>;
+
+  const minTime = points[0].time;
+  const maxTime = points[points.length - 1].time;
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+  const innerWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const innerHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+
+  const x = (time) => CHART_PADDING.left + (maxTime === minTime ? innerWidth / 2 : ((time - minTime) / (maxTime - minTime)) * innerWidth);
+  const y = (value) => CHART_PADDING.top + (maxValue === minValue ? innerHeight / 2 : (1 - (value - minValue) / (maxValue - minValue)) * innerHeight);
+  const line = (field) => points
+    .filter(p => Number.isFinite(p[field]))
+    .map(p => `${x(p.time).toFixed(1)},${y(p[field]).toFixed(1)}`)
+    .join(" ");
+
+  const series = [
+    { field: "ask", label: "StockX Ask", color: "#8a8a8a" },
+    { field: "price", label: "Sell Price", color: "#008060" }
+  ];
+
+  return (
+    <BlockStack gap="200">
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} width="100%" role="img" aria-label="Price history chart">
+        <line x1={CHART_PADDING.left} y1={CHART_PADDING.top} x2={CHART_PADDING.left} y2={CHART_HEIGHT - CHART_PADDING.bottom} stroke="#e1e3e5" />
+        <line x1={CHART_PADDING.left} y1={CHART_HEIGHT - CHART_PADDING.bottom} x2={CHART_WIDTH - CHART_PADDING.right} y2={CHART_HEIGHT - CHART_PADDING.bottom} stroke="#e1e3e5" />
+        <text x={CHART_PADDING.left - 8} y={y(maxValue) + 4} textAnchor="end" fontSize="11" fill="#616161">{formatPrice(maxValue)}</text>
+        <text x={CHART_PADDING.left - 8} y={y(minValue) + 4} textAnchor="end" fontSize="11" fill="#616161">{formatPrice(minValue)}</text>
+        <text x={CHART_PADDING.left} y={CHART_HEIGHT - 8} fontSize="11" fill="#616161">{new Date(minTime).toLocaleDateString()}</text>
+        <text x={CHART_WIDTH - CHART_PADDING.right} y={CHART_HEIGHT - 8} textAnchor="end" fontSize="11" fill="#616161">{new Date(maxTime).toLocaleDateString()}</text>
+        {series.map(s => (
+          <g key={s.field}>
+            <polyline points={line(s.field)} fill="none" stroke={s.color} strokeWidth="2" />
+            {points.filter(p => Number.isFinite(p[s.field])).map((p, i) => (
+              <circle key={i} cx={x(p.time)} cy={y(p[s.field])} r="3" fill={s.color} />
+            ))}
+          </g>
+        ))}
+      </svg>
+      <InlineStack gap="400">
+        {series.map(s => (
+          <InlineStack key={s.field} gap="100" blockAlign="center">
+            <span style={{ display: 'inline-block', width: 12, height: 12, borderRadius: 2, background: s.color }} />
+            <Text as="span" variant="bodySm">{s.label}</Text>
+          </InlineStack>
+        ))}
+      </InlineStack>
+    </BlockStack>
+  );
+}
 
 // --- LOADER: Fetch Products from Shopify ---
 export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const url = new URL(request.url);
   const query = url.searchParams.get("query") || "";
   const cursor = url.searchParams.get("cursor");
@@ -45,6 +176,9 @@ export const loader = async ({ request }) => {
   const response = await admin.graphql(
     `#graphql
     query getProducts($first: Int, $last: Int, $after: String, $before: String, $query: String) {
+      shop {
+        currencyCode
+      }
       products(first: $first, last: $last, after: $after, before: $before, query: $query, sortKey: TITLE) {
         pageInfo {
           hasNextPage
@@ -67,6 +201,12 @@ export const loader = async ({ request }) => {
               id
               title
               price
+              pricingRule: metafield(namespace: "stockx_sync", key: "pricing_rule") {
+                value
+              }
+              priceBreakdown: metafield(namespace: "stockx_sync", key: "price_breakdown") {
+                jsonValue
+              }
             }
           }
         }
@@ -92,36 +232,26 @@ export const loader = async ({ request }) => {
 
   return {
     products,
-    pageInfo: productsData.pageInfo
+    pageInfo: productsData.pageInfo,
+    currencyCode: responseJson.data.shop?.currencyCode || "EUR",
+    belowCost: await getBelowCostReport(session.shop),
+    cacheStats: getCacheStats(),
+    priceFetchMetrics: getPriceFetchMetrics()
   };
 };
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const formData = await request.formData();
   const intent = formData.get("intent");
-  const appUrl = process.env.SHOPIFY_APP_URL || "";
 
   if (intent === "update_single") {
-    const productId = formData.get("productId");
-    const sku = formData.get("sku");
-
-    if (!sku) return { status: "error", message: "Product has no SKU to search." };
-
     try {
-      const stockxResult = await fetchStockXData(sku, appUrl);
-      if (stockxResult.status !== 200) {
-        return {
-          status: "error",
-          message: stockxResult.error || "StockX Fetch Failed",
-          action: stockxResult.action,
-          loginUrl: stockxResult.loginUrl
-        };
-      }
-
-      const updateResult = await updateShopifyProduct(admin, { id: productId }, stockxResult.data);
-      return { status: "success", message: updateResult.message, productId };
-
+      return await runProductSync(admin, session.shop, {
+        productId: formData.get("productId"),
+        sku: formData.get("sku"),
+        title: formData.get("title")
+      }, { forceRefresh: formData.get("forceRefresh") === "true" });
     } catch (e) {
       console.error(e);
       return { status: "error", message: e.message };
@@ -132,7 +262,7 @@ export const action = async ({ request }) => {
 };
 
 export default function UpdatePricesPage() {
-  const { products, pageInfo } = useLoaderData();
+  const { products, pageInfo, currencyCode, belowCost, cacheStats, priceFetchMetrics } = useLoaderData();
   const actionData = useActionData();
   const nav = useNavigation();
   const submit = useSubmit();
@@ -153,6 +283,23 @@ export default function UpdatePricesPage() {
   const [progress, setProgress] = useState(0);
   const [updateResults, setUpdateResults] = useState(null);
 
+  // Skip cached StockX data for the next syncs and previews
+  const [forceRefresh, setForceRefresh] = useState(false);
+
+  // Dry Run / Review State
+  const [dryRunBulk, setDryRunBulk] = useState(true);
+  const [previewingId, setPreviewingId] = useState(null);
+  const [reviewPlans, setReviewPlans] = useState([]);
+  const [planSelections, setPlanSelections] = useState({}); // productId -> selected entry keys
+  const [reviewError, setReviewError] = useState(null);
+  const [isApplying, setIsApplying] = useState(false);
+
+  // Price history detail view
+  const [historyProduct, setHistoryProduct] = useState(null);
+  const [historyData, setHistoryData] = useState(null); // { [size]: entries }
+  const [historySize, setHistorySize] = useState("");
+  const [historyError, setHistoryError] = useState(null);
+
   const handleToggle = useCallback((id) => {
     setExpanded((prev) => ({
       ...prev,
@@ -161,7 +308,96 @@ export default function UpdatePricesPage() {
   }, []);
 
   const handleUpdateSingle = (product) => {
-    submit({ intent: "update_single", productId: product.id, sku: product.sku }, { method: "post" });
+    submit({
+      intent: "update_single", productId: product.id, sku: product.sku, title: product.title, forceRefresh: String(forceRefresh)
+    }, { method: "post" });
+  };
+
+  const startReview = (plans) => {
+    setReviewPlans(plans);
+    setPlanSelections(Object.fromEntries(plans.map(plan => [plan.productId, planEntries(plan).map(e => e.key)])));
+  };
+
+  const handlePreviewSingle = async (product) => {
+    setPreviewingId(product.id);
+    setReviewError(null);
+    try {
+      const result = await postToSyncApi({
+        intent: "preview", productId: product.id, sku: product.sku, title: product.title, forceRefresh: String(forceRefresh)
+      });
+      if (result.status === "success" && result.plan) {
+        startReview([result.plan]);
+      } else {
+        setReviewError(result.message || "Preview failed.");
+      }
+    } catch (e) {
+      console.error(e);
+      setReviewError(e.message);
+    } finally {
+      setPreviewingId(null);
+    }
+  };
+
+  const openHistory = async (product) => {
+    setHistoryProduct(product);
+    setHistoryData(null);
+    setHistoryError(null);
+    try {
+      const result = await fetchPriceHistory(product.id);
+      if (result.status !== "success") {
+        setHistoryError(result.message || "Could not load price history.");
+        return;
+      }
+      const sizes = sortSizes(Object.keys(result.history));
+      setHistoryData(result.history);
+      setHistorySize(sizes[0] || "");
+    } catch (e) {
+      console.error(e);
+      setHistoryError(e.message);
+    }
+  };
+
+  const closeHistory = () => {
+    setHistoryProduct(null);
+    setHistoryData(null);
+  };
+
+  const toggleEntry = (productId, key) => {
+    setPlanSelections(prev => {
+      const selected = prev[productId] || [];
+      return {
+        ...prev,
+        [productId]: selected.includes(key) ? selected.filter(k => k !== key) : [...selected, key]
+      };
+    });
+  };
+
+  const applyReview = async (applyAll) => {
+    setIsApplying(true);
+    let successCount = 0;
+    let failCount = 0;
+
+    for (const plan of reviewPlans) {
+      try {
+        const fields = { intent: "apply_plan", planId: plan.planId };
+        if (!applyAll) fields.selectedKeys = JSON.stringify(planSelections[plan.productId] || []);
+
+        const result = await postToSyncApi(fields);
+        if (result.status === "success") successCount++;
+        else failCount++;
+      } catch (e) {
+        console.error(e);
+        failCount++;
+      }
+    }
+
+    setIsApplying(false);
+    setReviewPlans([]);
+    setPlanSelections({});
+    setUpdateResults({ success: successCount, fail: failCount });
+
+    // Refresh list
+    submit(window.location.search);
   };
 
   // 1. Search Debounce
@@ -260,6 +496,8 @@ export default function UpdatePricesPage() {
     let failCount = 0;
     const total = productsToUpdate.length;
     const actionUrl = window.location.href; // Current URL for posting back
+    const collectedPlans = []; // Dry run: plans to review once every product is previewed
+    const startedAt = Date.now();
 
     // Concurrency Limit
     const CONCURRENCY = 1;
@@ -273,10 +511,27 @@ export default function UpdatePricesPage() {
       }
 
       try {
+        if (dryRunBulk) {
+          const result = await postToSyncApi({
+            intent: "preview", productId: p.id, sku: p.sku, title: p.title, forceRefresh: String(forceRefresh)
+          });
+          if (result.status !== "success") {
+            failCount++;
+            return;
+          }
+          successCount++;
+          if (result.plan && (planEntries(result.plan).length > 0 || result.plan.held.length > 0)) {
+            collectedPlans.push(result.plan);
+          }
+          return;
+        }
+
         const formData = new FormData();
         formData.append("intent", "update_single");
         formData.append("productId", p.id);
         formData.append("sku", p.sku);
+        formData.append("title", p.title);
+        formData.append("forceRefresh", String(forceRefresh));
 
         const res = await fetch(actionUrl, {
           method: "POST",
@@ -309,15 +564,35 @@ export default function UpdatePricesPage() {
     await Promise.all(workers);
 
     setIsUpdating(false);
-    setUpdateResults({ success: successCount, fail: failCount });
+    setUpdateResults({ success: successCount, fail: failCount, dryRun: dryRunBulk, elapsedMs: Date.now() - startedAt, total });
+
+    if (dryRunBulk) {
+      startReview(collectedPlans);
+      if (failCount > 0) setReviewError(`${failCount} products could not be previewed.`);
+      return;
+    }
 
     // Refresh list
     submit(window.location.search);
   };
 
+  const formatPrice = (amount) =>
+    new Intl.NumberFormat(undefined, { style: "currency", currency: currencyCode }).format(Number(amount));
+
   const isNavLoading = nav.state === "loading" || nav.state === "submitting";
   const updatingProductId = isNavLoading && nav.formData?.get("productId");
 
+  const describeEntry = (entry) => {
+    if (entry.key === "reorder") return `Reorder sizes: ${entry.to.join(", ")}`;
+    if (entry.key.startsWith("create:")) return `Create size ${entry.size} at ${formatPrice(entry.price)}`;
+    if (entry.key.startsWith("delete:")) return `Delete size ${entry.size} (no market price, was ${formatPrice(entry.price)})`;
+    if (entry.key.startsWith("reprice:")) return `Reprice size ${entry.size}: ${formatPrice(entry.oldPrice)} → ${formatPrice(entry.price)}`;
+    if (entry.key.startsWith("sku:")) return `SKU for size ${entry.size}: ${entry.oldSku || "(none)"} → ${entry.newSku}`;
+    return entry.key;
+  };
+
+  const isBusy = isNavLoading || isUpdating || isApplying || !!previewingId;
+
   return (
     <AppProvider i18n={enTranslations}>
       <Page
@@ -326,10 +601,35 @@ export default function UpdatePricesPage() {
           content: `Update All Prices`, // RENAMED
           onAction: handleUpdateAllClick,
           loading: isPreparingUpdate || isUpdating,
-          disabled: isNavLoading || isPreparingUpdate || isUpdating
+          disabled: isBusy || isPreparingUpdate
         }}
       >
         <Layout>
+          {belowCost.length > 0 && (
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="300">
+                  <Text variant="headingMd" as="h2">Market Below Cost ({belowCost.length})</Text>
+                  <Text as="p" tone="subdued">
+                    Sizes whose market price was below their unit cost at the last sync. Decide whether to hold them or sell them off.
+                  </Text>
+                  <DataTable
+                    columnContentTypes={["text", "text", "numeric", "numeric", "numeric", "text"]}
+                    headings={["Product", "Size", "Unit Cost", "Market Price", "Our Price", "Checked"]}
+                    rows={belowCost.map(item => [
+                      item.productTitle,
+                      item.size,
+                      formatPrice(item.unitCost),
+                      `${formatPrice(item.marketPrice.amount)} (${item.priceSource})`,
+                      formatPrice(item.price),
+                      new Date(item.checkedAt).toLocaleString()
+                    ])}
+                    density="compact"
+                  />
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          )}
           <Layout.Section>
             <Card>
               <BlockStack gap="500">
@@ -344,11 +644,28 @@ export default function UpdatePricesPage() {
                   placeholder="Search by Title or SKU"
                 />
 
+                <InlineStack align="space-between" blockAlign="center" gap="400">
+                  <Checkbox
+                    label="Force refresh: fetch fresh StockX data instead of using the cache"
+                    checked={forceRefresh}
+                    onChange={setForceRefresh}
+                  />
+                  <BlockStack gap="100" inlineAlign="end">
+                    <Text as="span" variant="bodySm" tone="subdued">{describeCacheStats(cacheStats)}</Text>
+                    <Text as="span" variant="bodySm" tone="subdued">{describePriceFetchMetrics(priceFetchMetrics)}</Text>
+                  </BlockStack>
+                </InlineStack>
+
                 {/* Result Banner from Single Update (Action Data) */}
                 {actionData?.status && !isUpdating && (
                   <Banner tone={actionData.status === "success" ? "success" : "critical"}>
                     <p>{actionData.message}</p>
                     {actionData.action && <p style={{ marginTop: '0.5rem' }}>{actionData.action}</p>}
+                    {actionData.heldCount > 0 && (
+                      <div style={{ marginTop: '0.5rem' }}>
+                        <Button url="/app/approvals">Review Held Prices</Button>
+                      </div>
+                    )}
                     {actionData.loginUrl && (
                       <div style={{ marginTop: '0.5rem' }}>
                         <Button url={actionData.loginUrl} target="_blank">Login to StockX</Button>
@@ -357,10 +674,73 @@ export default function UpdatePricesPage() {
                   </Banner>
                 )}
 
+                {reviewError && (
+                  <Banner tone="critical" onDismiss={() => setReviewError(null)}>
+                    <p>{reviewError}</p>
+                  </Banner>
+                )}
+
+                {/* Dry Run Review */}
+                {reviewPlans.length > 0 && (
+                  <Card background="bg-surface-secondary">
+                    <BlockStack gap="400">
+                      <InlineStack align="space-between" blockAlign="center">
+                        <Text variant="headingMd" as="h2">Review Changes ({reviewPlans.length} products)</Text>
+                        <InlineStack gap="200">
+                          <Button onClick={() => { setReviewPlans([]); setPlanSelections({}); }} disabled={isApplying}>
+                            Discard
+                          </Button>
+                          <Button onClick={() => applyReview(false)} loading={isApplying} disabled={isApplying}>
+                            Apply Selected
+                          </Button>
+                          <Button variant="primary" onClick={() => applyReview(true)} loading={isApplying} disabled={isApplying}>
+                            Apply All
+                          </Button>
+                        </InlineStack>
+                      </InlineStack>
+
+                      {reviewPlans.map((plan) => {
+                        const entries = planEntries(plan);
+                        const selected = planSelections[plan.productId] || [];
+                        return (
+                          <BlockStack key={plan.productId} gap="200">
+                            <Text variant="headingSm" as="h3">{plan.productTitle}</Text>
+                            {entries.length === 0 && plan.held.length === 0 && (
+                              <Text tone="subdued">No changes.</Text>
+                            )}
+                            {entries.map((entry) => (
+                              <Checkbox
+                                key={entry.key}
+                                label={describeEntry(entry)}
+                                checked={selected.includes(entry.key)}
+                                onChange={() => toggleEntry(plan.productId, entry.key)}
+                                disabled={isApplying}
+                              />
+                            ))}
+                            {plan.held.map((item) => (
+                              <Text key={`held:${item.size}`} tone="caution" variant="bodySm">
+                                Held for approval: size {item.size} → {formatPrice(item.proposedPrice)} ({item.reasons.join(", ")})
+                              </Text>
+                            ))}
+                            {(plan.belowCost || []).map((item) => (
+                              <Text key={`below:${item.variantId}`} tone="critical" variant="bodySm">
+                                Below cost: size {item.size} trades at {formatPrice(item.marketPrice.amount)}, cost {formatPrice(item.unitCost)}
+                              </Text>
+                            ))}
+                          </BlockStack>
+                        );
+                      })}
+                    </BlockStack>
+                  </Card>
+                )}
+
                 {/* Result Banner from Bulk Update (Client State) */}
                 {updateResults && !isUpdating && (
                   <Banner tone={updateResults.fail === 0 ? "success" : "warning"}>
-                    <p>Bulk update complete. Success: {updateResults.success}, Failed: {updateResults.fail}</p>
+                    <p>
+                      Bulk {updateResults.dryRun ? "preview" : "update"} complete. Success: {updateResults.success}, Failed: {updateResults.fail}.
+                      {" "}Took {formatDuration(updateResults.elapsedMs)} ({formatDuration(updateResults.elapsedMs / updateResults.total)} per product).
+                    </p>
                   </Banner>
                 )}
 
@@ -368,7 +748,7 @@ export default function UpdatePricesPage() {
                 {isUpdating && (
                   <BlockStack gap="200">
                     <Text as="p" variant="bodyMd">
-                      Updating {productsToUpdate.length} products... {Math.round(progress)}%
+                      {dryRunBulk ? "Previewing" : "Updating"} {productsToUpdate.length} products... {Math.round(progress)}%
                     </Text>
                     <ProgressBar progress={progress} tone="primary" />
                   </BlockStack>
@@ -395,7 +775,18 @@ export default function UpdatePricesPage() {
                     <Text variant="headingMd" as="h2">Products (Page View)</Text>
                     {products.map((product) => {
                       const isOpen = !!expanded[product.id];
-                      const rows = product.variants.nodes.map(v => [v.title, `€${v.price}`]);
+                      const rows = product.variants.nodes.map(v => {
+                        const breakdown = v.priceBreakdown?.jsonValue;
+                        return [
+                          v.title,
+                          breakdown?.ask ? formatPrice(breakdown.ask.amount) : "—",
+                          breakdown?.marketPrice ? `${formatPrice(breakdown.marketPrice.amount)} (${breakdown.priceSource})` : "—",
+                          breakdown?.landedCost ? formatPrice(breakdown.landedCost) : "—",
+                          formatPrice(v.price),
+                          breakdown?.margin ? `${breakdown.margin}%` : "—",
+                          v.pricingRule?.value || "—"
+                        ];
+                      });
                       const isUpdatingThis = updatingProductId === product.id;
 
                       return (
@@ -413,13 +804,23 @@ export default function UpdatePricesPage() {
                               </BlockStack>
 
                               <InlineStack gap="300">
+                                <Button
+                                  onClick={() => handlePreviewSingle(product)}
+                                  loading={previewingId === product.id}
+                                  disabled={isBusy}
+                                >
+                                  Preview
+                                </Button>
                                 <Button
                                   onClick={() => handleUpdateSingle(product)}
                                   loading={isUpdatingThis}
-                                  disabled={isNavLoading || isUpdating}
+                                  disabled={isBusy}
                                 >
                                   Update
                                 </Button>
+                                <Button onClick={() => openHistory(product)} disabled={isBusy}>
+                                  History
+                                </Button>
                                 <Button
                                   onClick={() => handleToggle(product.id)}
                                   variant="plain"
@@ -438,8 +839,8 @@ export default function UpdatePricesPage() {
                               <div style={{ marginTop: '0.5rem', paddingLeft: '1rem' }}>
                                 {rows.length > 0 ? (
                                   <DataTable
-                                    columnContentTypes={["text", "numeric"]}
-                                    headings={["Size / Variant", "Price (EUR)"]}
+                                    columnContentTypes={["text", "numeric", "numeric", "numeric", "numeric", "numeric", "text"]}
+                                    headings={["Size / Variant", "StockX Ask", "Priced From", "Landed Cost", `Price (${currencyCode})`, "Margin", "Pricing Rule"]}
                                     rows={rows}
                                     density="compact"
                                   />
@@ -477,7 +878,7 @@ export default function UpdatePricesPage() {
           onClose={() => setShowConfirmModal(false)}
           title="Confirm Bulk Update"
           primaryAction={{
-            content: `Update ${productsToUpdate.length} Products`,
+            content: dryRunBulk ? `Preview ${productsToUpdate.length} Products` : `Update ${productsToUpdate.length} Products`,
             onAction: confirmUpdate,
             destructive: false,
           }}
@@ -493,6 +894,11 @@ export default function UpdatePricesPage() {
               <p>
                 You are about to update prices for <strong>{productsToUpdate.length}</strong> products.
               </p>
+              <Checkbox
+                label="Dry run: preview every change and choose what to apply"
+                checked={dryRunBulk}
+                onChange={setDryRunBulk}
+              />
               <Banner tone="warning">
                 <p>This process may take a while depending on the number of products. Please do not close this tab.</p>
               </Banner>
@@ -500,6 +906,47 @@ export default function UpdatePricesPage() {
           </Modal.Section>
         </Modal>
 
+        {/* Price History Modal */}
+        <Modal
+          open={!!historyProduct}
+          onClose={closeHistory}
+          title={historyProduct ? `Price History · ${historyProduct.title}` : "Price History"}
+          size="large"
+          secondaryActions={[{ content: "Close", onAction: closeHistory }]}
+        >
+          <Modal.Section>
+            {historyError ? (
+              <Banner tone="critical"><p>{historyError}</p></Banner>
+            ) : !historyData ? (
+              <Text tone="subdued">Loading history...</Text>
+            ) : Object.keys(historyData).length === 0 ? (
+              <Text tone="subdued">No price changes recorded yet. History is kept from the next sync onwards.</Text>
+            ) : (
+              <BlockStack gap="400">
+                <Select
+                  label="Size"
+                  options={sortSizes(Object.keys(historyData)).map(size => ({ label: size, value: size }))}
+                  value={historySize}
+                  onChange={setHistorySize}
+                />
+                {renderHistoryChart(historyData[historySize] || [], formatPrice)}
+                <DataTable
+                  columnContentTypes={["text", "numeric", "numeric", "numeric", "text"]}
+                  headings={["Date", "StockX Ask", "Previous Price", "New Price", "Pricing Rule"]}
+                  rows={[...(historyData[historySize] || [])].reverse().map(e => [
+                    new Date(e.timestamp).toLocaleString(),
+                    e.ask ? formatPrice(e.ask.amount) : "—",
+                    e.previousPrice ? formatPrice(e.previousPrice) : "—",
+                    formatPrice(e.price),
+                    e.pricingRule || "—"
+                  ])}
+                  density="compact"
+                />
+              </BlockStack>
+            )}
+          </Modal.Section>
+        </Modal>
+
       </Page>
     </AppProvider>
   );
@@ -1,28 +1,52 @@
-import { redirect } from "react-router";
-import { exchangeCodeForToken } from "../stockx.server";
+import { exchangeCodeForToken, consumeLoginState, hasLoginSecret, loginStateCookie, stockxLoginPage } from "../stockx-auth.server";
 
 export const loader = async ({ request }) => {
+    if (!hasLoginSecret()) {
+        console.error("[StockX] Cannot finish login: SHOPIFY_API_SECRET is missing");
+        return stockxLoginPage({
+            title: "StockX login failed",
+            message: "The app is missing its StockX configuration. Please contact the app developer.",
+            status: 500
+        });
+    }
+
     const url = new URL(request.url);
-    const code = url.searchParams.get("code");
+    // The login cookie is single-use, whatever the outcome
+    const headers = { "Set-Cookie": await loginStateCookie().serialize("", { maxAge: 0 }) };
+    const failed = (message, status = 400) =>
+        stockxLoginPage({ title: "StockX login failed", message, status, headers });
+
     // Check for error from provider
     const error = url.searchParams.get("error");
     if (error) {
-        return new Response(`Error from StockX: ${error}`, { status: 400 });
+        return failed(`StockX did not authorize the app: ${url.searchParams.get("error_description") || error}.`);
     }
 
-    const BASE_URL = process.env.SHOPIFY_APP_URL || "";
-
+    const code = url.searchParams.get("code");
     if (!code) {
-        return new Response("Missing code", { status: 400 });
+        return failed("StockX did not send an authorization code.");
     }
 
-    const result = await exchangeCodeForToken(code, `${BASE_URL}/callback`);
+    // Only the browser that started the login (and holds its state cookie) may finish it
+    const cookieState = await loginStateCookie().parse(request.headers.get("Cookie"));
+    const login = await consumeLoginState(url.searchParams.get("state"), cookieState);
+    if (login.error) {
+        console.warn(`[StockX] Rejected login callback: ${login.error}`);
+        return failed(`${login.error} Start the StockX login again from the app.`, 403);
+    }
 
-    if (result.success) {
-        return new Response('<html><body><h1>Authorized!</h1><p>Closing window...</p><script>window.close();</script></body></html>', {
-            headers: { "Content-Type": "text/html" }
-        });
-    } else {
-        return new Response(`Failed to auth: ${JSON.stringify(result.error)}`, { status: 500 });
+    const BASE_URL = process.env.SHOPIFY_APP_URL || "";
+    const result = await exchangeCodeForToken(login.shop, code, `${BASE_URL}/callback`, login.codeVerifier);
+
+    if (!result.success) {
+        const reason = result.error?.error_description || result.error?.error || "unknown error";
+        return failed(`StockX rejected the login (${reason}). Please try again.`, 502);
     }
+
+    return stockxLoginPage({
+        title: "StockX connected",
+        message: `Your StockX account is now connected to ${login.shop}. This window closes automatically.`,
+        closeWindow: true,
+        headers
+    });
 };
@@ -1,30 +1,49 @@
 import { redirect } from "react-router";
+import { verifyStockXLoginUrl, hasLoginSecret, createLoginState, loginStateCookie, stockxLoginPage } from "../stockx-auth.server";
+import { STOCKX_CLIENT_ID, stockxAccountsUrl } from "../stockx-config.server";
 
+// Starts the StockX login for the shop in the signed link (see stockxLoginUrl).
+// The state goes into a cookie as well, so only this browser can complete the login.
 export const loader = async ({ request }) => {
-    const stockxAuthUrl = 'https://accounts.stockx.com/authorize';
-    const state = Math.random().toString(36).substring(7);
-    const CLIENT_ID = process.env.STOCKX_CLIENT_ID;
+    const stockxAuthUrl = stockxAccountsUrl('/authorize');
+    const CLIENT_ID = STOCKX_CLIENT_ID;
     const BASE_URL = process.env.SHOPIFY_APP_URL || "";
 
-    if (!CLIENT_ID) {
-        return new Response("STOCKX_CLIENT_ID is missing from .env", { status: 500 });
+    const missing = !CLIENT_ID ? "STOCKX_CLIENT_ID"
+        : !BASE_URL ? "SHOPIFY_APP_URL"
+        : !hasLoginSecret() ? "SHOPIFY_API_SECRET"
+        : null;
+    if (missing) {
+        console.error(`[StockX] Cannot start login: ${missing} is missing`);
+        return stockxLoginPage({
+            title: "StockX login is not set up",
+            message: "The app is missing its StockX configuration. Please contact the app developer.",
+            status: 500
+        });
     }
 
-    if (!BASE_URL) {
-        // Fallback or error?
-        // In dev, sometimes SHOPIFY_APP_URL is not set if not using 'shopify app dev'? 
-        // But we need it for the redirect uri.
-        return new Response("SHOPIFY_APP_URL is missing", { status: 500 });
+    const shop = verifyStockXLoginUrl(new URL(request.url));
+    if (!shop) {
+        return stockxLoginPage({
+            title: "Login link expired",
+            message: "This StockX login link is invalid or has expired. Start the login again from the app.",
+            status: 403
+        });
     }
 
+    const { state, codeChallenge } = await createLoginState(shop);
     const queryParams = new URLSearchParams({
         client_id: CLIENT_ID,
         response_type: 'code',
         redirect_uri: `${BASE_URL}/callback`,
         scope: 'offline_access openid',
         audience: 'gateway.stockx.com',
-        state: state
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
     });
 
-    return redirect(`${stockxAuthUrl}?${queryParams.toString()}`);
+    return redirect(`${stockxAuthUrl}?${queryParams.toString()}`, {
+        headers: { "Set-Cookie": await loginStateCookie().serialize(state) }
+    });
 };
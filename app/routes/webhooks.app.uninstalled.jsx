@@ -1,4 +1,5 @@
 import { authenticate, sessionStorage } from "../shopify.server";
+import { deleteStockXTokens } from "../stockx-auth.server";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -21,5 +22,8 @@ export const action = async ({ request }) => {
     console.error("Failed to clean up sessions for shop:", shop, e);
   }
 
+  // The shop's StockX login is useless once the app is gone
+  await deleteStockXTokens(shop);
+
   return new Response();
 };
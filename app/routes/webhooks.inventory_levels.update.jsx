@@ -0,0 +1,19 @@
+import { authenticate } from "../shopify.server";
+import { handleInventoryChange } from "../stockx-asks.server";
+
+// Keeps the StockX asks of products tagged stockx-sync in line with their Shopify inventory
+export const action = async ({ request }) => {
+  const { admin, payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // No admin context once the app was uninstalled. Shopify wants an answer within seconds,
+  // so the asks are updated after responding.
+  if (admin && payload?.inventory_item_id) {
+    handleInventoryChange(admin, shop, payload.inventory_item_id).catch(e => {
+      console.error(`[StockX Asks] Inventory update for ${shop} failed:`, e);
+    });
+  }
+
+  return new Response();
+};
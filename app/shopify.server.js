@@ -5,6 +5,13 @@ import {
 } from "@shopify/shopify-app-react-router/server";
 import { FileSessionStorage } from "./file-session-storage";
 import { restResources } from "@shopify/shopify-api/rest/admin/2024-10";
+import { assertStorageEncryptionKey } from "./encryption.server";
+import { startTokenRefresher } from "./stockx-auth.server";
+
+// Sessions and StockX tokens are encrypted at rest; never run production without a proper key
+assertStorageEncryptionKey();
+// Keep every shop's StockX token fresh ahead of its expiry
+startTokenRefresher();
 
 const shopify = shopifyApp({
   apiKey: process.env.SHOPIFY_API_KEY,
@@ -1,59 +1,139 @@
-export function calculateMarkupPrice(basePrice) {
-    let markup = 0;
-    if (basePrice < 100) markup = 70;
-    else if (basePrice < 200) markup = 75;
-    else if (basePrice < 300) markup = 80;
-    else if (basePrice < 400) markup = 85;
-    else if (basePrice < 500) markup = 90;
-    else if (basePrice < 600) markup = 100;
-    else if (basePrice < 700) markup = 110;
-    else markup = 130;
-
-    let price = basePrice + markup;
-
-    // Round up to nearest 5
-    price = Math.ceil(price / 5) * 5;
-    console.log(`[Shopify Sync] Rounded price to: ${price}`);
-
-    // Subtract 0.10 to get .90
-    price = price - 0.10;
-    console.log(`[Shopify Sync] Subtracted 0.10 to get: ${price}`);
-
-    return price.toFixed(2);
+import {
+    calculatePrice,
+    calculatePriceWithRule,
+    calculateCostFloor,
+    calculateMargin,
+    resolvePricingRules,
+    selectMarketPrice,
+    STRATEGY_LABELS,
+    DEFAULT_PRICING_RULES
+} from "./pricing.server";
+import { checkGuardrails } from "./guardrails.server";
+import {
+    DEFAULT_SIZE_SETTINGS,
+    sizeOptionName,
+    sizeOptionValue,
+    parseSizeOptionName,
+    productSizeType
+} from "./size-system.server";
+import { compareSizes, sortSizes } from "./size-order";
+
+// Variant metafield recording which pricing rule produced the current price (shown on the update-prices page)
+export const PRICING_RULE_METAFIELD = { namespace: "stockx_sync", key: "pricing_rule" };
+
+export const pricingRuleMetafield = (rule) => ({
+    ...PRICING_RULE_METAFIELD,
+    type: "single_line_text_field",
+    value: rule
+});
+
+// Variant metafield with the ask, the market price used, landed cost, sell price and margin behind the current price
+export const PRICE_BREAKDOWN_METAFIELD = { namespace: "stockx_sync", key: "price_breakdown" };
+
+export const priceBreakdownMetafield = (variant) => ({
+    ...PRICE_BREAKDOWN_METAFIELD,
+    type: "json",
+    value: JSON.stringify({
+        ask: variant.ask,
+        marketPrice: variant.marketPrice,
+        priceSource: variant.priceSource,
+        landedCost: variant.landedCost,
+        unitCost: variant.unitCost ?? null,
+        price: variant.price,
+        margin: variant.margin
+    })
+});
+
+export const pricingMetafields = (variant) => [pricingRuleMetafield(variant.pricingRule), priceBreakdownMetafield(variant)];
+
+// Evaluates the shop's pricing rules (tiers, rounding, bounds) for a single market price.
+export function calculateMarkupPrice(basePrice, rules = DEFAULT_PRICING_RULES) {
+    const price = calculatePrice(basePrice, rules);
+    console.log(`[Shopify Sync] Priced ${basePrice} at: ${price}`);
+    return price;
 }
 
-export async function updateShopifyProduct(admin, product, stockxData) {
-    console.log(`[Shopify Sync] Starting update for product ID: ${product.id}`);
-    const timeLabel = `Shopify Sync Total (${product.id})`;
-    console.time(timeLabel);
+// Like calculateMarkupPrice, but resolves brand/collection/tag/product overrides first
+// and also returns the label of the rule that was applied.
+// basePrice: the market price from marketPriceForVariant ({ amount, currency }, in the shop currency).
+// priceSource (from marketPriceForVariant) is added to the label unless it is the plain lowest ask.
+export function calculateMarkupPriceForProduct(basePrice, rules, productContext, priceSource = null) {
+    const effectiveRules = resolvePricingRules(rules, productContext);
+    const result = calculatePriceWithRule(basePrice.amount, effectiveRules, basePrice.currency);
+    if (priceSource && priceSource !== STRATEGY_LABELS.lowest_ask) {
+        result.rule = `${result.rule} · ${priceSource}`;
+    }
+    console.log(`[Shopify Sync] Priced ${basePrice.amount} ${basePrice.currency} at: ${result.price} (${result.rule})`);
+    return result;
+}
+
+// Picks the market price of a StockX variant with the shop's strategy (see selectMarketPrice),
+// converted into the shop currency. Variants without a market snapshot fall back to their lowest ask.
+// Returns { ask, marketPrice, priceSource }, or null when there is nothing to price with.
+export function marketPriceForVariant(variant, rules = DEFAULT_PRICING_RULES, currency = null) {
+    const selected = selectMarketPrice(variant.market || { lowestAsk: variant.price }, rules);
+    if (!selected) return null;
+
+    const toShopCurrency = (value) => (value && currency ? currency.toShopCurrency(value) : value || null);
+    return {
+        ask: toShopCurrency(variant.price),
+        marketPrice: toShopCurrency(selected.price),
+        priceSource: selected.source
+    };
+}
+
+// Short human readable summary of a plan, e.g. "2 to create, 1 to delete, 5 repriced"
+export function describePlan(plan) {
+    const parts = [];
+    const repriced = plan.reprice.filter(r => r.changed).length;
+    if (plan.create.length > 0) parts.push(`${plan.create.length} to create`);
+    if (plan.delete.length > 0) parts.push(`${plan.delete.length} to delete`);
+    if (repriced > 0) parts.push(`${repriced} repriced`);
+    if (plan.skuChanges.length > 0) parts.push(`${plan.skuChanges.length} SKU changes`);
+    if (plan.reorder) parts.push("sizes reordered");
+    if (plan.held.length > 0) parts.push(`${plan.held.length} held for approval`);
+    if (plan.belowCost?.length > 0) parts.push(`${plan.belowCost.length} below cost`);
+    return parts.length > 0 ? parts.join(", ") : "No changes";
+}
+
+// Works out everything a sync would change for a product without writing anything to Shopify.
+// Returns { status, message, plan } where plan lists variants to create, delete and reprice
+// (old vs new price), SKU changes, the option reorder and changes held by the guardrails.
+// Existing variants with a Shopify unit cost are kept above cost + minimum margin when
+// pricingRules.costFloor is enabled; variants whose market price is below their cost are always
+// listed in plan.belowCost so staff can decide whether to hold or liquidate them.
+// Every plan entry has a `key` so callers can apply a subset with applyShopifyProductPlan.
+export async function planShopifyProductUpdate(admin, product, stockxData, options = {}) {
+    // currency: context from getCurrencyContext, used to convert StockX asks into the shop currency
+    // guardrails: shop guardrails; violating prices end up in plan.held instead of being written
+    // sizeSettings: shop size settings (see size-system.server.js); the systems are used for products without
+    // a size option of ours, the size mappings for every product
+    const { pricingRules = DEFAULT_PRICING_RULES, currency, guardrails, sizeSettings = DEFAULT_SIZE_SETTINGS } = options;
+    console.log(`[Shopify Sync] Planning update for product ID: ${product.id}`);
 
     // 1. Prepare StockX Variants
     const variantsForShopify = stockxData.variants.map((v) => {
-        if (v.price === "No Ask") return null;
-        const rawPrice = parseFloat(v.price.split(" ")[0]);
+        const market = marketPriceForVariant(v, pricingRules, currency);
+        if (!market) return null;
 
         return {
-            options: [v.size_eu],
-            price: calculateMarkupPrice(rawPrice),
+            // Option values are filled in once the product's size option is known (step 2)
+            sizes: v.sizes,
+            rawSizes: v.rawSizes,
+            size_eu: v.size_eu,
+            ...market,
             sku: `${stockxData.product_info.sku}-${v.size_eu.replace(/\s/g, "")}`,
             inventoryManagement: "SHOPIFY"
         };
-    }).filter(Boolean).sort((a, b) => {
-        const sizeA = parseFloat(a.options[0]);
-        const sizeB = parseFloat(b.options[0]);
-        return sizeA - sizeB;
-    });
+    }).filter(Boolean);
 
     if (variantsForShopify.length === 0) {
         console.warn("[Shopify Sync] No valid prices found.");
         return { status: "warning", message: "No valid prices found to update." };
     }
 
-    // 2. Fetch Existing Variants (if not full provided)
-    // We expect 'product' to have 'id' and 'variants'. 
-    // If the variants data is thin, we might need to refetch, but let's assume valid start or fetch here.
-    // Ideally, we fetch fresh data to be safe.
-
+    // 2. Fetch Existing Variants
+    // We always fetch fresh data to be safe; 'product' only needs an 'id'.
     console.time(`Sync: Fetch Current Variants (${product.id})`);
     const productQuery = await admin.graphql(
         `#graphql
@@ -61,6 +141,11 @@ export async function updateShopifyProduct(admin, product, stockxData) {
       product(id: $id) {
         id
         title
+        vendor
+        tags
+        collections(first: 50) {
+          nodes { id, title, handle }
+        }
         options {
           id
           name
@@ -70,7 +155,12 @@ export async function updateShopifyProduct(admin, product, stockxData) {
           nodes {
             id
             price
-            inventoryItem { id }
+            sku
+            inventoryItem {
+              id
+              tracked
+              unitCost { amount }
+            }
             selectedOptions { name, value }
           }
         }
@@ -85,49 +175,223 @@ export async function updateShopifyProduct(admin, product, stockxData) {
     const currentVariants = currentProduct.variants.nodes;
     console.log(`[Shopify Sync] Fetched ${currentVariants.length} existing variants.`);
 
+    // Price each size with the most specific override for this product (brand, collection, tag, product)
+    const productContext = {
+        productId: currentProduct.id,
+        vendor: currentProduct.vendor,
+        tags: currentProduct.tags || [],
+        collections: currentProduct.collections?.nodes || []
+    };
+    for (const v of variantsForShopify) {
+        const { price, rule, landedCost, margin } = calculateMarkupPriceForProduct(v.marketPrice, pricingRules, productContext, v.priceSource);
+        v.price = price;
+        v.pricingRule = rule;
+        v.landedCost = landedCost;
+        v.margin = margin;
+    }
+
     // DETERMINE THE OPTION NAME DYNAMICALLY
     // We assume the first option is the "Size" option if not found explicitly
     const productOptions = currentProduct.options || [];
-    let targetOptionName = "Size (EU)"; // Default fallback
+    let targetOption = null;
+    let targetOptionName = sizeOptionName(sizeSettings, productSizeType(stockxData.variants)); // Default fallback
 
     if (productOptions.length > 0) {
         // Try to find one named "Size" or "Size (EU)"
-        const sizeOpt = productOptions.find(o => o.name.includes("Size"));
-        if (sizeOpt) {
-            targetOptionName = sizeOpt.name;
-        } else {
-            // Otherwise just take the first one (e.g. "Title" for single-variant, or custom name)
-            targetOptionName = productOptions[0].name;
-        }
+        // Otherwise just take the first one (e.g. "Title" for single-variant, or custom name)
+        targetOption = productOptions.find(o => o.name.includes("Size")) || productOptions[0];
+        targetOptionName = targetOption.name;
     }
     console.log(`[Shopify Sync] Using Option Name: "${targetOptionName}"`);
 
+    // Sizes are written in the systems of the product's own option ("Size (EU / US)"), so changing
+    // the shop setting does not rename the sizes of products that already exist
+    const sizeSystems = parseSizeOptionName(targetOptionName) || sizeSettings.systems;
+    for (const v of variantsForShopify) {
+        v.options = [sizeOptionValue(v, sizeSystems, sizeSettings.mappings)];
+        v.unmappedOption = sizeOptionValue(v, sizeSystems);
+    }
+    variantsForShopify.sort((a, b) => compareSizes(a.options[0], b.options[0]));
+
+    const sizeOf = (variant) => variant.selectedOptions.find(opt => opt.name === targetOptionName)?.value;
+    // Variants still named after the plain StockX size (created before a mapping was added) match too
+    const sourceFor = (size) => variantsForShopify.find(v => v.options[0] === size)
+        || variantsForShopify.find(v => v.unmappedOption === size);
+
+    // Fields every priced entry carries, so it can be written (or held) on its own later
+    const pricingFields = (source) => ({
+        size: source.options[0],
+        sku: source.sku,
+        ask: source.ask,
+        marketPrice: source.marketPrice,
+        priceSource: source.priceSource,
+        landedCost: source.landedCost,
+        margin: source.margin,
+        unitCost: source.unitCost ?? null,
+        pricingRule: source.pricingRule
+    });
+
+    const plan = {
+        productId: currentProduct.id,
+        productTitle: currentProduct.title,
+        optionName: targetOptionName,
+        create: [],
+        delete: [],
+        reprice: [],
+        skuChanges: [],
+        reorder: null,
+        held: [],
+        belowCost: []
+    };
+
+    // Price changes that break a guardrail are held for the approval queue
+    const holdIfUnsafe = (source, currentVariant) => {
+        const reasons = checkGuardrails(guardrails, {
+            productId: currentProduct.id,
+            currentPrice: currentVariant ? currentVariant.price : null,
+            proposedPrice: source.price
+        });
+        if (reasons.length === 0) return false;
+
+        console.warn(`[Shopify Sync] Holding price ${source.price} for size ${source.options[0]}: ${reasons.join(", ")}`);
+        plan.held.push({
+            ...pricingFields(source),
+            productId: currentProduct.id,
+            productTitle: currentProduct.title,
+            variantId: currentVariant ? currentVariant.id : null,
+            optionName: targetOptionName,
+            currentPrice: currentVariant ? currentVariant.price : null,
+            proposedPrice: source.price,
+            reasons
+        });
+        return true;
+    };
 
     // 3. Identify Missing Variants (to Create) AND Extra Variants (to Delete)
-    const existingSizeValues = currentVariants.map(v =>
-        v.selectedOptions.find(opt => opt.name === targetOptionName)?.value
-    ).filter(Boolean);
-
-    // Filter our source list to find ones that do NOT exist yet
-    const variantsToCreate = variantsForShopify.map(v => ({ ...v })) // clone
-        .filter(v => !existingSizeValues.includes(v.options[0]));
-
-    // Identify variants that exist in Shopify but NOT in the valid StockX list (No Ask)
-    // We only delete variants if they belong to "Size (EU)" options.
-    const validNewSizes = variantsForShopify.map(v => v.options[0]);
-
-    // Find Shopify variants whose size is NOT in validNewSizes
-    const variantsToDelete = currentVariants.filter(v => {
-        const sizeVal = v.selectedOptions.find(opt => opt.name === targetOptionName)?.value;
-        // If we found a size value, and it's NOT in our valid list, mark for deletion
-        return sizeVal && !validNewSizes.includes(sizeVal) && sizeVal !== "Default Title";
+    const existingSizeValues = currentVariants.map(sizeOf).filter(Boolean);
+
+    for (const source of variantsForShopify) {
+        const exists = existingSizeValues.some(size => sourceFor(size) === source);
+        if (exists || holdIfUnsafe(source, null)) continue;
+        plan.create.push({ key: `create:${source.options[0]}`, ...pricingFields(source), price: source.price });
+    }
+
+    // Shopify variants whose size has no valid StockX price (No Ask) are deleted
+    for (const variant of currentVariants) {
+        const sizeVal = sizeOf(variant);
+        if (sizeVal && !sourceFor(sizeVal) && sizeVal !== "Default Title") {
+            plan.delete.push({ key: `delete:${variant.id}`, variantId: variant.id, size: sizeVal, price: variant.price });
+        }
+    }
+
+    // Applies the cost floor to an existing variant's price and reports it when the market is below cost
+    const withUnitCost = (source, variant) => {
+        const amount = variant.inventoryItem?.unitCost?.amount;
+        if (amount === undefined || amount === null) return source;
+
+        const unitCost = Number(amount);
+        let priced = { ...source, unitCost: unitCost.toFixed(2) };
+        const floor = calculateCostFloor(unitCost, pricingRules);
+        if (floor !== null && Number(source.price) < floor) {
+            console.log(`[Shopify Sync] Size ${source.options[0]}: raising ${source.price} to cost floor ${floor.toFixed(2)} (cost ${unitCost})`);
+            priced = {
+                ...priced,
+                price: floor.toFixed(2),
+                pricingRule: `${source.pricingRule} · Cost floor`,
+                margin: calculateMargin(floor, Number(source.landedCost)).toFixed(1)
+            };
+        }
+
+        if (source.marketPrice && source.marketPrice.amount < unitCost) {
+            plan.belowCost.push({
+                variantId: variant.id,
+                size: source.options[0],
+                unitCost: priced.unitCost,
+                marketPrice: source.marketPrice,
+                priceSource: source.priceSource,
+                currentPrice: variant.price,
+                price: priced.price
+            });
+        }
+        return priced;
+    };
+
+    // 4. Reprice and SKU changes for existing variants
+    for (const variant of currentVariants) {
+        const marketSource = sourceFor(sizeOf(variant));
+        if (!marketSource) continue;
+        const source = withUnitCost(marketSource, variant);
+
+        if (!holdIfUnsafe(source, variant)) {
+            plan.reprice.push({
+                key: `reprice:${variant.id}`,
+                ...pricingFields(source),
+                variantId: variant.id,
+                oldPrice: variant.price,
+                price: source.price,
+                changed: Number(variant.price) !== Number(source.price)
+            });
+        }
+
+        if (variant.inventoryItem?.id && (variant.sku !== source.sku || !variant.inventoryItem.tracked)) {
+            plan.skuChanges.push({
+                key: `sku:${variant.id}`,
+                variantId: variant.id,
+                inventoryItemId: variant.inventoryItem.id,
+                size: source.options[0],
+                oldSku: variant.sku || "",
+                newSku: source.sku
+            });
+        }
+    }
+
+    // 5. Expected option order once sizes are created/deleted
+    if (targetOption) {
+        const deletedSizes = plan.delete.map(d => d.size);
+        const expectedValues = [
+            ...targetOption.values.filter(v => !deletedSizes.includes(v)),
+            ...plan.create.map(c => c.size)
+        ];
+        const sortedValues = sortSizes(expectedValues);
+        if (JSON.stringify(expectedValues) !== JSON.stringify(sortedValues)) {
+            plan.reorder = { key: "reorder", from: expectedValues, to: sortedValues };
+        }
+    }
+
+    const message = describePlan(plan);
+    console.log(`[Shopify Sync] Plan for ${currentProduct.title}: ${message}`);
+    return { status: "success", message, plan };
+}
+
+// Writes a plan from planShopifyProductUpdate to Shopify.
+// selectedKeys: optional list of plan entry keys to apply; everything is applied when omitted.
+// Unchanged prices are always rewritten so the pricing metafields stay current.
+export async function applyShopifyProductPlan(admin, plan, selectedKeys = null) {
+    const productId = plan.productId;
+    const isSelected = (entry) => !selectedKeys || selectedKeys.includes(entry.key);
+    const timeLabel = `Shopify Sync Total (${productId})`;
+    console.time(timeLabel);
+
+    const variantsToDelete = plan.delete.filter(isSelected);
+    const variantsToCreate = plan.create.filter(isSelected);
+    const variantsToReprice = plan.reprice.filter(r => !r.changed || isSelected(r));
+    const skuChanges = plan.skuChanges.filter(isSelected);
+    // Prices that actually reached Shopify, for the price history
+    const written = [];
+    const writtenEntry = (entry, variantId, previousPrice) => ({
+        variantId,
+        size: entry.size,
+        ask: entry.ask,
+        price: entry.price,
+        previousPrice,
+        pricingRule: entry.pricingRule
     });
 
+    // 1. Delete variants without an ask
     if (variantsToDelete.length > 0) {
         console.log(`[Shopify] Deleting ${variantsToDelete.length} variants (No Ask)...`);
         try {
-            const deleteIds = variantsToDelete.map(v => v.id);
-            console.time(`Sync: Delete Variants (${product.id})`);
+            console.time(`Sync: Delete Variants (${productId})`);
             const deleteResponse = await admin.graphql(
                 `#graphql
                 mutation productVariantsBulkDelete($productId: ID!, $variantsIds: [ID!]!) {
@@ -140,8 +404,8 @@ export async function updateShopifyProduct(admin, product, stockxData) {
                 }`,
                 {
                     variables: {
-                        productId: currentProduct.id,
-                        variantsIds: deleteIds
+                        productId,
+                        variantsIds: variantsToDelete.map(v => v.variantId)
                     }
                 }
             );
@@ -150,21 +414,20 @@ export async function updateShopifyProduct(admin, product, stockxData) {
             if (deleteJson.data?.productVariantsBulkDelete?.userErrors?.length > 0) {
                 console.error("Delete Errors:", deleteJson.data.productVariantsBulkDelete.userErrors);
             }
-            console.timeEnd(`Sync: Delete Variants (${product.id})`);
+            console.timeEnd(`Sync: Delete Variants (${productId})`);
         } catch (err) {
             console.error("Failed to delete variants:", err);
         }
     }
 
-    let newlyCreatedVariants = [];
-
-    // 4. Bulk Create Missing
+    // 2. Bulk Create Missing
     if (variantsToCreate.length > 0) {
         console.log(`[Shopify Sync] Creating ${variantsToCreate.length} new variants...`);
-        console.time(`Sync: Create Variants (${product.id})`);
+        console.time(`Sync: Create Variants (${productId})`);
         const variantsCreateInput = variantsToCreate.map(v => ({
             price: v.price,
-            optionValues: [{ optionName: targetOptionName, name: v.options[0] }]
+            optionValues: [{ optionName: plan.optionName, name: v.size }],
+            metafields: pricingMetafields(v)
         }));
 
         const bulkCreateResponse = await admin.graphql(
@@ -182,7 +445,7 @@ export async function updateShopifyProduct(admin, product, stockxData) {
       }`,
             {
                 variables: {
-                    productId: currentProduct.id,
+                    productId,
                     variants: variantsCreateInput
                 }
             }
@@ -192,33 +455,25 @@ export async function updateShopifyProduct(admin, product, stockxData) {
         if (bulkCreateJson.data?.productVariantsBulkCreate?.userErrors?.length > 0) {
             console.error("Bulk Create Errors:", bulkCreateJson.data.productVariantsBulkCreate.userErrors);
         } else {
-            newlyCreatedVariants = bulkCreateJson.data?.productVariantsBulkCreate?.productVariants || [];
+            // New variants still need their SKU and inventory tracking
+            const createdVariants = bulkCreateJson.data?.productVariantsBulkCreate?.productVariants || [];
+            for (const created of createdVariants) {
+                const size = created.selectedOptions.find(opt => opt.name === plan.optionName)?.value;
+                const source = variantsToCreate.find(v => v.size === size);
+                if (!source) continue;
+                written.push(writtenEntry(source, created.id, null));
+                if (created.inventoryItem?.id) {
+                    skuChanges.push({ variantId: created.id, inventoryItemId: created.inventoryItem.id, size, newSku: source.sku });
+                }
+            }
         }
-        console.timeEnd(`Sync: Create Variants (${product.id})`);
+        console.timeEnd(`Sync: Create Variants (${productId})`);
     }
 
-    // 5. Bulk Update Existing
-    const allVariants = [...currentVariants, ...newlyCreatedVariants];
-    const matchedVariants = allVariants.map((createdVariant) => {
-        const sizeOption = createdVariant.selectedOptions.find(opt => opt.name === targetOptionName);
-        const sizeValue = sizeOption ? sizeOption.value : null;
-        const sourceVariant = variantsForShopify.find(v => v.options[0] === sizeValue);
-        if (!sourceVariant) return null;
-        return { ...createdVariant, source: sourceVariant };
-    }).filter(Boolean);
-
-    // We only need to update the *prices* of the *existing* variants. New ones are already correct.
-    // Actually, let's just batch update ALL to be safe and simple, or filter.
-    // BulkUpdate is cheap.
-
-    const variantsToUpdate = matchedVariants.map(mv => ({
-        id: mv.id,
-        price: mv.source.price
-    }));
-
-    if (variantsToUpdate.length > 0) {
-        console.log(`[Shopify Sync] Updating prices for ${variantsToUpdate.length} variants...`);
-        console.time(`Sync: Update Prices (${product.id})`);
+    // 3. Bulk Update Existing Prices
+    if (variantsToReprice.length > 0) {
+        console.log(`[Shopify Sync] Updating prices for ${variantsToReprice.length} variants...`);
+        console.time(`Sync: Update Prices (${productId})`);
         const priceUpdateResponse = await admin.graphql(
             `#graphql
         mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
@@ -228,24 +483,30 @@ export async function updateShopifyProduct(admin, product, stockxData) {
         }`,
             {
                 variables: {
-                    productId: currentProduct.id,
-                    variants: variantsToUpdate
+                    productId,
+                    variants: variantsToReprice.map(r => ({
+                        id: r.variantId,
+                        price: r.price,
+                        metafields: pricingMetafields(r)
+                    }))
                 }
             }
         );
-        console.timeEnd(`Sync: Update Prices (${product.id})`);
+        const priceUpdateJson = await priceUpdateResponse.json();
+        if (priceUpdateJson.data?.productVariantsBulkUpdate?.userErrors?.length > 0) {
+            console.error("Price Update Errors:", priceUpdateJson.data.productVariantsBulkUpdate.userErrors);
+        } else {
+            written.push(...variantsToReprice.map(r => writtenEntry(r, r.variantId, r.oldPrice)));
+        }
+        console.timeEnd(`Sync: Update Prices (${productId})`);
     }
 
-    // 6. Update Inventory / SKU (Slow loop)
+    // 4. Update Inventory / SKU
     // We can't turbo this too much without hitting rate limits, but standard promise.all is ok for small batches
-    console.log(`[Shopify Sync] Updating Inventory/SKU for ${matchedVariants.length} variants...`);
-    console.time(`Sync: Inventory/SKU Update (${product.id})`);
+    console.log(`[Shopify Sync] Updating Inventory/SKU for ${skuChanges.length} variants...`);
+    console.time(`Sync: Inventory/SKU Update (${productId})`);
 
-    await Promise.all(matchedVariants.map(async (mv) => {
-        const inventoryItemId = mv.inventoryItem?.id;
-        if (!inventoryItemId) return;
-
-        // Only update if SKU is different usually, but blind update is fine for now
+    await Promise.all(skuChanges.map(async (change) => {
         await admin.graphql(
             `#graphql
       mutation inventoryItemUpdate($id: ID!, $input: InventoryItemInput!) {
@@ -255,22 +516,24 @@ export async function updateShopifyProduct(admin, product, stockxData) {
       }`,
             {
                 variables: {
-                    id: inventoryItemId,
-                    input: { sku: mv.source.sku, tracked: true }
+                    id: change.inventoryItemId,
+                    input: { sku: change.newSku, tracked: true }
                 }
             }
         );
     }));
-    console.timeEnd(`Sync: Inventory/SKU Update (${product.id})`);
+    console.timeEnd(`Sync: Inventory/SKU Update (${productId})`);
 
-    // 7. Reorder Option Values (Ensures variants are sorted by size)
+    // 5. Reorder Option Values (Ensures variants are sorted by size)
     // We must sort the option values, which implicitly sorts the variants in Shopify.
-    console.log("[Shopify Sync] Reordering option values for Size (EU)...");
-    console.time(`Sync: Reorder Options (${product.id})`);
+    // New sizes can make the order wrong even when the plan did not expect it, so check whenever sizes were added.
+    if ((plan.reorder && isSelected(plan.reorder)) || (!selectedKeys && variantsToCreate.length > 0)) {
+        console.log(`[Shopify Sync] Reordering option values for ${plan.optionName}...`);
+        console.time(`Sync: Reorder Options (${productId})`);
 
-    // Fetch fresh product data to get current option values (including new ones)
-    const freshProductQuery = await admin.graphql(
-        `#graphql
+        // Fetch fresh product data to get current option values (including new ones)
+        const freshProductQuery = await admin.graphql(
+            `#graphql
         query getProductOptions($id: ID!) {
             product(id: $id) {
                 options {
@@ -280,41 +543,20 @@ export async function updateShopifyProduct(admin, product, stockxData) {
                 }
             }
         }`,
-        { variables: { id: currentProduct.id } }
-    );
-    const freshProductJson = await freshProductQuery.json();
-    const freshOptions = freshProductJson.data?.product?.options || [];
-    const sizeOption = freshOptions.find(o => o.name === targetOptionName);
-
-    if (sizeOption) {
-        console.log("[Shopify Sync] Found option values to sort:", sizeOption.values);
-
-        // Helper to extract numeric value
-        const getNum = (str) => {
-            // Match digits, optional dot/comma, then more digits
-            // e.g. "42", "42.5", "42,5", "EU 42"
-            const match = String(str).match(/(\d+[.,]?\d*)/);
-            if (!match) return 0;
-            return parseFloat(match[0].replace(',', '.'));
-        };
-
-        // Sort values numerically
-        const sortedValues = [...sizeOption.values].sort((a, b) => {
-            const valA = getNum(a);
-            const valB = getNum(b);
-            return valA - valB;
-        });
-
-        console.log("[Shopify Sync] Sorted values:", sortedValues);
-
-        // Only reorder if needed (simple check, or just always do it safely)
-        // Check if order is different
-        const isDifferent = JSON.stringify(sizeOption.values) !== JSON.stringify(sortedValues);
-
-        if (isDifferent) {
-            console.log("[Shopify Sync] Order changed, updating Shopify...");
-            const reorderResponse = await admin.graphql(
-                `#graphql
+            { variables: { id: productId } }
+        );
+        const freshProductJson = await freshProductQuery.json();
+        const freshOptions = freshProductJson.data?.product?.options || [];
+        const sizeOption = freshOptions.find(o => o.name === plan.optionName);
+
+        if (sizeOption) {
+            const sortedValues = sortSizes(sizeOption.values);
+            console.log("[Shopify Sync] Sorted values:", sortedValues);
+
+            if (JSON.stringify(sizeOption.values) !== JSON.stringify(sortedValues)) {
+                console.log("[Shopify Sync] Order changed, updating Shopify...");
+                const reorderResponse = await admin.graphql(
+                    `#graphql
                 mutation productOptionsReorder($productId: ID!, $options: [OptionReorderInput!]!) {
                     productOptionsReorder(productId: $productId, options: $options) {
                         userErrors {
@@ -323,30 +565,125 @@ export async function updateShopifyProduct(admin, product, stockxData) {
                         }
                     }
                 }`,
-                {
-                    variables: {
-                        productId: currentProduct.id,
-                        options: [
-                            {
-                                id: sizeOption.id,
-                                values: sortedValues.map(v => ({ name: v }))
-                            }
-                        ]
+                    {
+                        variables: {
+                            productId,
+                            options: [
+                                {
+                                    id: sizeOption.id,
+                                    values: sortedValues.map(v => ({ name: v }))
+                                }
+                            ]
+                        }
                     }
-                }
-            );
+                );
 
-            const reorderJson = await reorderResponse.json();
-            if (reorderJson.data?.productOptionsReorder?.userErrors?.length > 0) {
-                console.error("Reorder Errors:", reorderJson.data.productOptionsReorder.userErrors);
+                const reorderJson = await reorderResponse.json();
+                if (reorderJson.data?.productOptionsReorder?.userErrors?.length > 0) {
+                    console.error("Reorder Errors:", reorderJson.data.productOptionsReorder.userErrors);
+                }
+            } else {
+                console.log("[Shopify Sync] Order is already correct.");
             }
-        } else {
-            console.log("[Shopify Sync] Order is already correct.");
         }
+        console.timeEnd(`Sync: Reorder Options (${productId})`);
     }
-    console.timeEnd(`Sync: Reorder Options (${product.id})`);
 
     console.timeEnd(timeLabel);
 
-    return { status: "success", message: `Updated ${matchedVariants.length} variants.` };
+    const updatedCount = variantsToCreate.length + variantsToReprice.length;
+    const heldMessage = plan.held.length > 0 ? ` ${plan.held.length} price changes held for approval.` : "";
+    const belowCost = plan.belowCost || [];
+    const belowCostMessage = belowCost.length > 0 ? ` ${belowCost.length} sizes trade below cost.` : "";
+    return {
+        status: "success",
+        message: `Updated ${updatedCount} variants.${heldMessage}${belowCostMessage}`,
+        productTitle: plan.productTitle,
+        held: plan.held,
+        belowCost,
+        written
+    };
+}
+
+// Plans and applies a full sync for one product.
+// With options.dryRun nothing is written and the plan is returned for review instead.
+export async function updateShopifyProduct(admin, product, stockxData, options = {}) {
+    const planResult = await planShopifyProductUpdate(admin, product, stockxData, options);
+    if (planResult.status !== "success") return planResult;
+    if (options.dryRun) return { ...planResult, dryRun: true };
+
+    return applyShopifyProductPlan(admin, planResult.plan);
+}
+
+// Writes a price that was held by the guardrails and approved (optionally edited) by staff.
+// Held sizes that did not exist yet are created with the approved price.
+export async function applyHeldPrice(admin, item, price) {
+    const source = { ...item, price };
+
+    if (item.variantId) {
+        const response = await admin.graphql(
+            `#graphql
+        mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+          productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+            userErrors { field, message }
+          }
+        }`,
+            {
+                variables: {
+                    productId: item.productId,
+                    variants: [{ id: item.variantId, price, metafields: pricingMetafields(source) }]
+                }
+            }
+        );
+        const json = await response.json();
+        const errors = json.data?.productVariantsBulkUpdate?.userErrors || [];
+        if (errors.length > 0) {
+            return { status: "error", message: errors.map(e => e.message).join(", ") };
+        }
+        return { status: "success", message: `Updated ${item.productTitle} size ${item.size} to ${price}.`, variantId: item.variantId };
+    }
+
+    const createResponse = await admin.graphql(
+        `#graphql
+      mutation productVariantsBulkCreate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+        productVariantsBulkCreate(productId: $productId, variants: $variants) {
+          productVariants {
+            id
+            inventoryItem { id }
+          }
+          userErrors { field, message }
+        }
+      }`,
+        {
+            variables: {
+                productId: item.productId,
+                variants: [{
+                    price,
+                    optionValues: [{ optionName: item.optionName, name: item.size }],
+                    metafields: pricingMetafields(source)
+                }]
+            }
+        }
+    );
+    const createJson = await createResponse.json();
+    const createErrors = createJson.data?.productVariantsBulkCreate?.userErrors || [];
+    if (createErrors.length > 0) {
+        return { status: "error", message: createErrors.map(e => e.message).join(", ") };
+    }
+
+    const createdVariant = createJson.data?.productVariantsBulkCreate?.productVariants?.[0];
+    const inventoryItemId = createdVariant?.inventoryItem?.id;
+    if (inventoryItemId) {
+        await admin.graphql(
+            `#graphql
+      mutation inventoryItemUpdate($id: ID!, $input: InventoryItemInput!) {
+        inventoryItemUpdate(id: $id, input: $input) {
+          userErrors { field, message }
+        }
+      }`,
+            { variables: { id: inventoryItemId, input: { sku: item.sku, tracked: true } } }
+        );
+    }
+
+    return { status: "success", message: `Created ${item.productTitle} size ${item.size} at ${price}.`, variantId: createdVariant?.id || null };
 }
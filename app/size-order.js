@@ -0,0 +1,95 @@
+// Ordering of size option values, shared by the sync, the importer and the UI (no server-only imports).
+//
+// Understands numeric sizes with decimals, fractions and unicode fractions ("42.5", "42,5", "36 2/3", "42⅔"),
+// kids/youth suffixes ("10C", "4Y"), letter sizes ("XS", "2XL", "X-Large"), waist/length pairs
+// ("32x34", "W32 L34", "32/34") and "One Size". Combined values ("42 / 8.5") are ordered by their first size.
+
+const UNICODE_FRACTIONS = {
+    '½': 1 / 2, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 1 / 4, '¾': 3 / 4, '⅕': 1 / 5, '⅖': 2 / 5, '⅗': 3 / 5,
+    '⅘': 4 / 5, '⅙': 1 / 6, '⅚': 5 / 6, '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8
+};
+const UNICODE_FRACTION_CHARS = Object.keys(UNICODE_FRACTIONS).join('');
+
+// Groups, in the order they are listed when a product mixes them
+const GROUP = { numeric: 0, waistLength: 1, letter: 2, oneSize: 3, other: 4 };
+
+// Kids sizes come before youth sizes, which come before adult sizes with the same number
+const SUFFIX_RANK = { T: 0, C: 1, K: 1, Y: 2, '': 3 };
+
+const LETTER_WORDS = {
+    'EXTRA SMALL': 'XS', 'X-SMALL': 'XS', 'XX-SMALL': 'XXS', 'SMALL': 'S', 'MEDIUM': 'M',
+    'LARGE': 'L', 'X-LARGE': 'XL', 'EXTRA LARGE': 'XL', 'XX-LARGE': 'XXL', 'XXX-LARGE': 'XXXL'
+};
+
+// XXS -3, XS -2, S -1, M 0, L 1, XL 2, XXL 3, 3XL 4 ...
+function letterRank(text) {
+    const word = LETTER_WORDS[text] || text;
+    const match = word.match(/^(?:(\d)X|(X*))(S|M|L)$/);
+    if (!match) return null;
+
+    const [, count, xs, base] = match;
+    const extra = count ? Number(count) : xs.length;
+    if (base === 'M') return extra === 0 ? 0 : null;
+    return base === 'S' ? -1 - extra : 1 + extra;
+}
+
+// "36 2/3" -> 36.667, "42⅔" -> 42.667, "42,5" -> 42.5, "⅔" -> 0.667; null when not a number
+function parseNumber(text) {
+    const match = text.match(new RegExp(`^(\\d+(?:[.,]\\d+)?)?\\s*(?:(\\d+)/(\\d+)|([${UNICODE_FRACTION_CHARS}]))?$`));
+    if (!match || (!match[1] && !match[2] && !match[4])) return null;
+
+    const [, whole, numerator, denominator, unicode] = match;
+    let value = whole ? parseFloat(whole.replace(',', '.')) : 0;
+    if (numerator && Number(denominator) > 0) value += Number(numerator) / Number(denominator);
+    if (unicode) value += UNICODE_FRACTIONS[unicode];
+    return value;
+}
+
+// Sort key of a size value: { group, values: [numbers compared in order] }
+export function sizeSortKey(value) {
+    const text = String(value ?? '')
+        .split(/\s+\/\s+/)[0]
+        .trim()
+        .toUpperCase()
+        .replace(/^(US\s*[MWCY]?|[MW]|UK|EU|FR|IT|JP|CM)\s+(?=[\d.,])/, '')
+        .replace(/\s*CM$/, '')
+        .replace(/^(US|UK|EU)\s+(?=[A-Z])/, '');
+
+    if (/^(ONE SIZE|ONESIZE|OS|O\/S|OSFA|OSFM)$/.test(text)) return { group: GROUP.oneSize, values: [] };
+
+    const waistLength = text.match(/^(?:W\s*(\d+)\s*L\s*(\d+)|(\d+)\s*[X×]\s*(\d+)|(\d{2})\/(\d{2}))$/);
+    if (waistLength) {
+        const [waist, length] = waistLength.slice(1).filter(Boolean).map(Number);
+        return { group: GROUP.waistLength, values: [waist, length] };
+    }
+
+    const suffixed = text.match(/^(.*?)\s*([TCKY])$/);
+    const number = parseNumber(text) ?? (suffixed ? parseNumber(suffixed[1]) : null);
+    if (number !== null) {
+        const suffix = parseNumber(text) === null ? suffixed[2] : '';
+        return { group: GROUP.numeric, values: [SUFFIX_RANK[suffix], number] };
+    }
+
+    const letter = letterRank(text.replace(/\s+/g, ' '));
+    if (letter !== null) return { group: GROUP.letter, values: [letter] };
+
+    return { group: GROUP.other, values: [] };
+}
+
+// Comparator for size values, e.g. values.sort(compareSizes)
+export function compareSizes(a, b) {
+    const keyA = sizeSortKey(a);
+    const keyB = sizeSortKey(b);
+    if (keyA.group !== keyB.group) return keyA.group - keyB.group;
+
+    for (let i = 0; i < Math.max(keyA.values.length, keyB.values.length); i++) {
+        const diff = (keyA.values[i] ?? 0) - (keyB.values[i] ?? 0);
+        if (diff !== 0) return diff;
+    }
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+// Sorted copy of `items`; sizeOf picks the size value of an item (the item itself by default)
+export function sortSizes(items, sizeOf = (item) => item) {
+    return [...items].sort((a, b) => compareSizes(sizeOf(a), sizeOf(b)));
+}
@@ -0,0 +1,152 @@
+import path from 'path';
+import { DATA_DIR, JsonFileStore } from './json-store.server';
+
+// Size systems a shop can use for its size option values. Several can be combined, e.g. "EU / US" -> "42 / 8.5".
+export const SIZE_SYSTEMS = ['eu', 'us', 'uk', 'cm'];
+export const SIZE_SYSTEM_LABELS = { eu: 'EU', us: 'US', uk: 'UK', cm: 'CM' };
+
+// Size types (from the StockX size chart) that get their own label, so a women's 8 and a men's 8 never collide
+export const SIZE_TYPE_LABELS = { women: "Women's", gs: 'GS', ps: 'PS', td: 'TD' };
+
+const settingsStore = new JsonFileStore(path.join(DATA_DIR, 'size-settings'));
+
+export const DEFAULT_SIZE_SETTINGS = {
+    // Systems shown in the size option, in this order
+    systems: ['eu'],
+    // Adds the size type to the option name of women's, GS, PS and TD products, e.g. "Size (US, Women's)"
+    labelSizeType: true,
+    // StockX size -> Shopify option value, first match wins (see mapSize):
+    // [{ system ('' for any), match, value, regex }], e.g. { system: 'eu', match: '42 2/3', value: '42.5' }
+    mappings: []
+};
+
+export async function getSizeSettings(shop) {
+    const stored = await settingsStore.get(shop);
+    return { ...DEFAULT_SIZE_SETTINGS, ...(stored || {}) };
+}
+
+export function validateSizeSettings(settings) {
+    const errors = [];
+    if (!Array.isArray(settings.systems) || settings.systems.length === 0) {
+        errors.push('Choose at least one size system.');
+    } else {
+        settings.systems.filter(s => !SIZE_SYSTEMS.includes(s)).forEach(s => errors.push(`Unknown size system "${s}".`));
+        if (new Set(settings.systems).size !== settings.systems.length) errors.push('A size system can only be used once.');
+    }
+
+    (settings.mappings || []).forEach((mapping, index) => {
+        const row = `Mapping ${index + 1}`;
+        if (mapping.system && !SIZE_SYSTEMS.includes(mapping.system)) errors.push(`${row}: unknown size system "${mapping.system}".`);
+        if (!String(mapping.match || '').trim()) errors.push(`${row}: the StockX size is missing.`);
+        if (!String(mapping.value || '').trim()) errors.push(`${row}: the Shopify value is missing.`);
+        if (mapping.regex) {
+            try {
+                new RegExp(mapping.match, 'i');
+            } catch (e) {
+                errors.push(`${row}: invalid regular expression (${e.message}).`);
+            }
+        }
+    });
+    return errors;
+}
+
+export async function saveSizeSettings(shop, settings) {
+    const errors = validateSizeSettings(settings);
+    if (errors.length > 0) return { success: false, errors };
+
+    await settingsStore.set(shop, settings);
+    return { success: true, settings };
+}
+
+// "US M 10" -> "10", "W 8" -> "8", "EU 44" -> "44", "28.5 cm" -> "28.5", "UK 9" -> "9"; youth sizes keep their Y ("4Y")
+const cleanSize = (size) => String(size || '')
+    .trim()
+    .replace(/^(US\s*[MWCY]?|[MW]|UK|EU|CM)\s+/i, '')
+    .replace(/\s*cm$/i, '')
+    .trim() || null;
+
+// Size type of a StockX US conversion type ("us m", "us w", "us y", "us c")
+const SIZE_TYPE_BY_US_TYPE = { 'us w': 'women', 'us y': 'gs', 'us c': 'ps', 'us t': 'td', 'us m': 'men' };
+
+// Sizes of a StockX variant in every system we support, from its size chart:
+// { sizes: { eu, us, uk, cm }, rawSizes, defaultSize, sizeType } with null for conversions StockX does not list.
+// rawSizes are the sizes exactly as StockX wrote them ("US W 8", "EU 42 2/3"), for size mappings.
+// sizeType is men, women, gs, ps, td or null (apparel, which has no conversions, and anything StockX does not say).
+export function stockxSizeConversions(variant) {
+    const chart = variant.sizeChart || {};
+    const conversions = chart.availableConversions || [];
+    const defaultType = String(chart.defaultConversion?.type || '').toLowerCase();
+    const find = (test) => conversions.find(c => test(String(c.type || '').toLowerCase()))?.size || null;
+
+    const rawSizes = {
+        eu: find(type => type === 'eu'),
+        // Prefer the US conversion of the variant's own type (women's sizes are quoted in US W)
+        us: defaultType.startsWith('us') ? chart.defaultConversion.size || null : find(type => type.startsWith('us')),
+        uk: find(type => type === 'uk'),
+        cm: find(type => type === 'cm')
+    };
+
+    return {
+        sizes: Object.fromEntries(Object.entries(rawSizes).map(([system, size]) => [system, cleanSize(size)])),
+        rawSizes,
+        defaultSize: cleanSize(chart.defaultConversion?.size),
+        sizeType: conversions.length > 0 ? SIZE_TYPE_BY_US_TYPE[defaultType] || null : null
+    };
+}
+
+// Applies the shop's size mappings to one size of a system (null for a size of unknown system).
+// Rules are tried against the size as StockX wrote it ("US W 8") and as cleaned up ("8").
+// Plain mappings match the whole size (ignoring case); regex mappings replace what they match,
+// so "$1" style groups can be used in the value. Unmapped sizes are returned cleaned up.
+export function mapSize(size, system, mappings = [], rawSize = null) {
+    const texts = [...new Set([rawSize, size].filter(Boolean).map(text => String(text).trim()))];
+    for (const mapping of mappings) {
+        if (mapping.system && mapping.system !== system) continue;
+
+        for (const text of texts) {
+            if (!mapping.regex) {
+                if (text.toLowerCase() === String(mapping.match).trim().toLowerCase()) return mapping.value;
+                continue;
+            }
+            const pattern = new RegExp(mapping.match, 'i');
+            if (pattern.test(text)) return text.replace(pattern, mapping.value).trim();
+        }
+    }
+    return String(size).trim();
+}
+
+// Option value of a variant ({ sizes, size_eu }) in the given systems, e.g. "42 / 8.5", with the
+// shop's mappings applied to each size. Systems a variant has no conversion for are left out;
+// variants without any use their US size (apparel) or their only size (price feeds).
+export function sizeOptionValue(variant, systems, mappings = []) {
+    const map = (system) => mapSize(variant.sizes[system], system, mappings, variant.rawSizes?.[system]);
+    const values = systems.filter(system => variant.sizes?.[system]).map(map);
+    if (values.length > 0) return values.join(' / ');
+
+    return variant.sizes?.us ? map('us') : mapSize(variant.size_eu, null, mappings);
+}
+
+// The size type most variants of a product have (sizes of one StockX product share a type)
+export function productSizeType(variants) {
+    const counts = {};
+    variants.forEach(v => { if (v.sizeType) counts[v.sizeType] = (counts[v.sizeType] || 0) + 1; });
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+}
+
+// "Size (EU / US)", or "Size (US, Women's)" for a labelled size type
+export function sizeOptionName(settings, sizeType = null) {
+    const systems = settings.systems.map(s => SIZE_SYSTEM_LABELS[s]).join(' / ');
+    const typeLabel = settings.labelSizeType ? SIZE_TYPE_LABELS[sizeType] : null;
+    return typeLabel ? `Size (${systems}, ${typeLabel})` : `Size (${systems})`;
+}
+
+// Systems encoded in an option name made by sizeOptionName ("Size (EU / US, GS)" -> ['eu', 'us']),
+// or null for other names. Products keep the systems they were imported with when the shop setting changes.
+export function parseSizeOptionName(name) {
+    const match = String(name || '').match(/^Size \(([^),]+)(?:,[^)]*)?\)$/);
+    if (!match) return null;
+
+    const byLabel = Object.fromEntries(Object.entries(SIZE_SYSTEM_LABELS).map(([id, label]) => [label, id]));
+    const systems = match[1].split('/').map(label => byLabel[label.trim()]);
+    return systems.every(Boolean) ? systems : null;
+}
@@ -0,0 +1,88 @@
+// Scores catalog search hits against the SKU we were asked for, so a slightly different
+// style code never gets imported or repriced silently.
+
+// Matches at or above this score are accepted without asking
+export const AUTO_ACCEPT_SCORE = 0.9;
+// How many candidates are offered when a match is not accepted automatically
+export const MAX_CANDIDATES = 5;
+
+// Thrown by providers when a search has hits but none is a confident match.
+// candidates: product_info objects with { score, reasons }, best first.
+export class AmbiguousMatchError extends Error {
+    constructor(sku, candidates) {
+        super(`No exact match for SKU ${sku}. Choose the right product.`);
+        this.name = 'AmbiguousMatchError';
+        this.sku = sku;
+        this.candidates = candidates;
+    }
+}
+
+// "dd1391 100" / "DD1391-100" / "dd1391_100" -> "DD1391100"
+export const normalizeSku = (sku) => String(sku || '').toUpperCase().replace(/[\s\-_./]+/g, '');
+
+const tokenize = (text) => String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+// Dice coefficient over word tokens: 1 for the same words, 0 for nothing in common
+export function titleSimilarity(a, b) {
+    const tokensA = new Set(tokenize(a));
+    const tokensB = new Set(tokenize(b));
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+    const shared = [...tokensA].filter(t => tokensB.has(t)).length;
+    return (2 * shared) / (tokensA.size + tokensB.size);
+}
+
+// Scores one candidate ({ sku, title }) between 0 and 1 and explains why;
+// `exact` tells whether one of its style IDs is the requested SKU as written.
+// Some catalog style IDs list several codes ("DD1391-100/DD1391-100W"), so each is tried.
+// expectedTitle: what we think the product is called (e.g. the Shopify title when repricing).
+export function scoreCandidate(sku, candidate, { expectedTitle = null } = {}) {
+    const requested = String(sku || '').trim().toUpperCase();
+    const normalized = normalizeSku(sku);
+    const codes = String(candidate.sku || '').split(/[/,]/).map(c => c.trim().toUpperCase()).filter(Boolean);
+
+    let score = 0;
+    const reasons = [];
+    const exact = codes.includes(requested);
+    if (exact) {
+        score = 1;
+        reasons.push('Exact style ID');
+    } else if (codes.some(c => normalizeSku(c) === normalized)) {
+        score = 0.95;
+        reasons.push('Style ID matches ignoring dashes and spaces');
+    } else if (normalized.length >= 6 && codes.some(c => normalizeSku(c).includes(normalized) || normalized.includes(normalizeSku(c)))) {
+        score = 0.6;
+        reasons.push('Style ID partly matches');
+    }
+
+    const similarity = titleSimilarity(expectedTitle || sku, candidate.title);
+    if (similarity > 0) {
+        reasons.push(`Title ${Math.round(similarity * 100)}% similar`);
+        // Titles can confirm a style ID match but never make up for a missing one
+        score = score > 0 ? Math.min(1, score + 0.05 * similarity) : 0.5 * similarity;
+    }
+
+    return { score: Number(score.toFixed(2)), reasons, exact };
+}
+
+// Ranks search hits (product_info objects) for a SKU.
+// Returns { match, candidates }: `match` is set only when the best hit is confident and no other
+// hit is as good; otherwise callers should let the user choose from `candidates`.
+// Equal scores are broken by the exact style ID (scores are capped at 1, so a normalized match
+// with a matching title can tie with it); only ties between equally exact hits are ambiguous.
+export function rankCandidates(sku, hits, options = {}) {
+    const candidates = hits
+        .map(hit => ({ ...hit, ...scoreCandidate(sku, hit, options) }))
+        .sort((a, b) => b.score - a.score || Number(b.exact) - Number(a.exact));
+
+    const [best, runnerUp] = candidates;
+    const tied = runnerUp && runnerUp.score === best.score && runnerUp.exact === best.exact;
+    const confident = best && best.score >= AUTO_ACCEPT_SCORE && !tied;
+    if (best) {
+        console.log(`[SKU Match] ${sku}: best "${best.title}" (${best.sku}) scored ${best.score}${confident ? ', accepted' : ''}`);
+    }
+
+    return {
+        match: confident ? best : null,
+        candidates: candidates.slice(0, MAX_CANDIDATES)
+    };
+}
@@ -0,0 +1,453 @@
+import path from 'path';
+import { DATA_DIR, JsonFileStore } from './json-store.server';
+import { STOCKX_DATA_DIR } from './stockx-config.server';
+import { getCurrencyContext } from './fx.server';
+import { getSizeSettings, sizeOptionValue, parseSizeOptionName } from './size-system.server';
+import { stockxErrorMessage } from './stockx-client.server';
+import {
+    fetchStockXData,
+    createStockXListing,
+    updateStockXListing,
+    deleteStockXListing,
+    getStockXListing
+} from './stockx.server';
+
+// Reverse sync: lists the Shopify stock of products tagged stockx-sync on StockX.
+//
+// Every size with inventory gets one ask, priced from the current lowest ask of the size (see askAmount).
+// Asks are repriced when someone undercuts them and withdrawn when the Shopify inventory hits zero
+// (the inventory_levels/update webhook calls handleInventoryChange). A size sold on StockX is not listed
+// again until its Shopify inventory changes, so the same pair is never sold twice.
+
+const SYNC_TAG = 'stockx-sync';
+
+const settingsStore = new JsonFileStore(path.join(DATA_DIR, 'stockx-ask-settings'));
+// Asks belong to the StockX account, so sandbox asks are kept apart from live ones.
+// Key: shop + Shopify variant -> { listingId, status ("active" | "sold"), stockxVariantId, productId, productTitle,
+// variantId, size, amount, currencyCode, inventory (at the sale), updatedAt }
+const askStore = new JsonFileStore(path.join(STOCKX_DATA_DIR, 'stockx-asks'));
+
+export const ASK_STRATEGIES = ['match', 'beat_amount', 'beat_percent', 'markup_percent'];
+export const ASK_STRATEGY_LABELS = {
+    match: 'Match the lowest ask',
+    beat_amount: 'Beat the lowest ask by an amount',
+    beat_percent: 'Beat the lowest ask by a percentage',
+    markup_percent: 'Above the lowest ask by a percentage'
+};
+
+export const DEFAULT_ASK_SETTINGS = {
+    enabled: false,
+    strategy: 'beat_amount',
+    value: 1,
+    // Never ask less than this (in the StockX currency, see the Currency page); null = no minimum
+    minimumAsk: null
+};
+
+// Listings StockX reports once the item was sold
+const SOLD_STATUSES = ['MATCHED', 'READY_TO_SHIP', 'AWAITING_SHIPMENT', 'SHIPPED', 'COMPLETED', 'AUTHENTICATED'];
+// Listings that are gone without a sale (withdrawn on StockX itself, expired...)
+const CLOSED_STATUSES = ['CANCELED', 'CANCELLED', 'DELETED', 'EXPIRED'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+export async function getAskSettings(shop) {
+    const stored = await settingsStore.get(shop);
+    return { ...DEFAULT_ASK_SETTINGS, ...(stored || {}) };
+}
+
+export function validateAskSettings(settings) {
+    const errors = [];
+    if (!ASK_STRATEGIES.includes(settings.strategy)) errors.push('Choose how asks are priced.');
+    if (settings.strategy !== 'match' && (!isNumber(settings.value) || settings.value < 0)) {
+        errors.push('The amount or percentage must be zero or more.');
+    }
+    if (settings.strategy === 'beat_percent' && settings.value >= 100) {
+        errors.push('Beat the lowest ask by less than 100%.');
+    }
+    if (settings.minimumAsk !== null && (!isNumber(settings.minimumAsk) || settings.minimumAsk <= 0)) {
+        errors.push('The minimum ask must be a positive number.');
+    }
+    return errors;
+}
+
+export async function saveAskSettings(shop, settings) {
+    const errors = validateAskSettings(settings);
+    if (errors.length > 0) return { success: false, errors };
+
+    await settingsStore.set(shop, settings);
+    return { success: true, settings };
+}
+
+// Whole currency units, as StockX takes them; never below minimumAsk or 1
+export function askAmount(settings, lowestAsk) {
+    const lowest = Number(lowestAsk);
+    let amount;
+    switch (settings.strategy) {
+        case 'beat_amount':
+            amount = Math.floor(lowest - settings.value);
+            break;
+        case 'beat_percent':
+            amount = Math.floor(lowest * (1 - settings.value / 100));
+            break;
+        case 'markup_percent':
+            amount = Math.ceil(lowest * (1 + settings.value / 100));
+            break;
+        default:
+            amount = Math.round(lowest);
+    }
+    if (isNumber(settings.minimumAsk)) amount = Math.max(amount, Math.ceil(settings.minimumAsk));
+    return Math.max(1, amount);
+}
+
+// --- STORED ASKS ---
+
+const keyPrefix = (shop) => `${String(shop).replace(/[^a-zA-Z0-9._-]/g, '_')}__`;
+const numericId = (gid) => String(gid).split('/').pop();
+const askKey = (shop, variantId) => `${keyPrefix(shop)}${numericId(variantId)}`;
+
+// Every ask the app placed for the shop (active and sold), by product and size
+export async function listAsks(shop) {
+    const keys = (await askStore.keys()).filter(key => key.startsWith(keyPrefix(shop)));
+    const asks = [];
+    for (const key of keys) {
+        const ask = await askStore.get(key);
+        if (ask) asks.push(ask);
+    }
+    return asks.sort((a, b) => a.productTitle.localeCompare(b.productTitle) || String(a.size).localeCompare(String(b.size), undefined, { numeric: true }));
+}
+
+const productAsks = async (shop, productId) => (await listAsks(shop)).filter(a => a.productId === productId);
+
+const saveAsk = (shop, ask) => askStore.set(askKey(shop, ask.variantId), { ...ask, updatedAt: new Date().toISOString() });
+const forgetAsk = (shop, variantId) => askStore.delete(askKey(shop, variantId));
+
+// One reverse sync per product at a time, so overlapping webhooks cannot list a size twice
+const productLocks = new Map();
+function withProductLock(key, fn) {
+    const run = (productLocks.get(key) || Promise.resolve()).catch(() => {}).then(fn);
+    productLocks.set(key, run);
+    run.catch(() => {}).finally(() => {
+        if (productLocks.get(key) === run) productLocks.delete(key);
+    });
+    return run;
+}
+
+// --- PLANNING ---
+
+async function fetchShopifyProduct(admin, productId) {
+    const response = await admin.graphql(
+        `#graphql
+        query reverseSyncProduct($id: ID!) {
+            product(id: $id) {
+                id
+                title
+                tags
+                options { name }
+                variants(first: 200) {
+                    nodes {
+                        id
+                        sku
+                        inventoryQuantity
+                        selectedOptions { name, value }
+                    }
+                }
+            }
+        }`,
+        { variables: { id: productId } }
+    );
+    const json = await response.json();
+    return json.data?.product || null;
+}
+
+// Checks the asks of a product on StockX: sold ones are kept as "sold" with the Shopify inventory at that
+// moment, ones closed on StockX itself are forgotten. Returns the asks still worth acting on.
+async function refreshAskStatuses(shop, asks, variantsById) {
+    const current = [];
+    for (const ask of asks) {
+        if (ask.status !== 'active') {
+            current.push(ask);
+            continue;
+        }
+
+        const listing = await getStockXListing(shop, ask.listingId).catch(error => {
+            console.warn(`[StockX Asks] Could not check listing ${ask.listingId}: ${error.message}`);
+            return null;
+        });
+        const status = String(listing?.status || '').toUpperCase();
+
+        if (SOLD_STATUSES.includes(status)) {
+            const sold = { ...ask, status: 'sold', inventory: variantsById.get(ask.variantId)?.inventoryQuantity ?? null };
+            console.log(`[StockX Asks] ${ask.productTitle} size ${ask.size} sold on StockX for ${ask.amount} ${ask.currencyCode}`);
+            await saveAsk(shop, sold);
+            current.push(sold);
+        } else if (CLOSED_STATUSES.includes(status)) {
+            console.log(`[StockX Asks] Listing ${ask.listingId} (${ask.productTitle} size ${ask.size}) was closed on StockX (${status})`);
+            await forgetAsk(shop, ask.variantId);
+        } else {
+            current.push(ask);
+        }
+    }
+    return current;
+}
+
+// Works out the asks to create, update and cancel for one product. Returns { status, message, product, changes }
+// where each change is { type ("create" | "update" | "cancel"), variantId, size, amount, previousAmount, ask, ... }
+// and `skipped` lists sizes with stock that cannot be listed, with the reason.
+async function planProductAsks(admin, shop, productId, settings) {
+    const product = await fetchShopifyProduct(admin, productId);
+    if (!product) return { status: 'error', message: 'Product not found.' };
+    if (!product.tags.includes(SYNC_TAG)) return { status: 'error', message: `${product.title} is not tagged ${SYNC_TAG}.` };
+
+    const variants = product.variants.nodes;
+    const sku = variants[0]?.sku?.replace(/-[^-]+$/, '') || '';
+    if (!sku) return { status: 'error', message: `${product.title} has no SKU to look up on StockX.` };
+
+    const [currency, sizeSettings] = await Promise.all([getCurrencyContext(admin, shop), getSizeSettings(shop)]);
+    const stockx = await fetchStockXData(shop, sku, process.env.SHOPIFY_APP_URL || '', {
+        currencyCode: currency.sourceCurrency,
+        expectedTitle: product.title
+    });
+    if (stockx.status !== 200) {
+        return { status: 'error', message: `${product.title}: ${stockx.error}`, loginUrl: stockx.loginUrl };
+    }
+
+    // Shopify sizes are matched to StockX sizes the way the price sync matches them
+    const optionName = (product.options.find(o => o.name.includes('Size')) || product.options[0])?.name;
+    const systems = parseSizeOptionName(optionName) || sizeSettings.systems;
+    const stockxVariantFor = (size) => stockx.data.variants.find(v => sizeOptionValue(v, systems, sizeSettings.mappings) === size)
+        || stockx.data.variants.find(v => sizeOptionValue(v, systems) === size);
+
+    const variantsById = new Map(variants.map(v => [v.id, v]));
+    const asks = await refreshAskStatuses(shop, await productAsks(shop, product.id), variantsById);
+    const askFor = (variantId) => asks.find(a => a.variantId === variantId);
+
+    const changes = [];
+    const skipped = [];
+    for (const variant of variants) {
+        const size = variant.selectedOptions.find(o => o.name === optionName)?.value;
+        const quantity = variant.inventoryQuantity ?? 0;
+        let ask = askFor(variant.id);
+
+        if (ask?.status === 'sold') {
+            if (quantity === ask.inventory) {
+                if (quantity > 0) skipped.push({ size, reason: 'sold on StockX, waiting for the Shopify inventory to be updated' });
+                continue;
+            }
+            ask = null;
+        }
+
+        if (quantity <= 0) {
+            if (ask) changes.push({ type: 'cancel', variantId: variant.id, size, ask });
+            continue;
+        }
+
+        const stockxVariant = stockxVariantFor(size);
+        if (!stockxVariant) {
+            skipped.push({ size, reason: 'size not found on StockX' });
+            continue;
+        }
+        const lowestAsk = stockxVariant.price;
+        if (!lowestAsk) {
+            if (!ask) skipped.push({ size, reason: 'no lowest ask to price against' });
+            continue;
+        }
+
+        // Our own ask is usually the lowest one; it is only moved when someone asks less
+        if (ask && ask.amount <= Number(lowestAsk.amount)) continue;
+
+        const amount = askAmount(settings, lowestAsk.amount);
+        const fields = {
+            variantId: variant.id,
+            stockxVariantId: stockxVariant.variantId,
+            size,
+            amount,
+            currencyCode: currency.sourceCurrency,
+            lowestAsk: Number(lowestAsk.amount)
+        };
+        if (!ask) {
+            changes.push({ type: 'create', ...fields });
+        } else if (ask.amount !== amount || ask.currencyCode !== currency.sourceCurrency) {
+            changes.push({ type: 'update', ...fields, previousAmount: ask.amount, ask });
+        }
+    }
+
+    // Asks of sizes that were removed from the Shopify product
+    asks.filter(a => a.status === 'active' && !variantsById.has(a.variantId))
+        .forEach(ask => changes.push({ type: 'cancel', variantId: ask.variantId, size: ask.size, ask }));
+
+    return { status: 'success', product, changes, skipped };
+}
+
+// --- APPLYING ---
+
+async function applyChange(shop, product, change) {
+    if (change.type === 'cancel') {
+        await deleteStockXListing(shop, change.ask.listingId);
+        await forgetAsk(shop, change.variantId);
+        return;
+    }
+
+    const listing = change.type === 'create'
+        ? await createStockXListing(shop, { variantId: change.stockxVariantId, amount: change.amount, currencyCode: change.currencyCode })
+        : await updateStockXListing(shop, change.ask.listingId, { amount: change.amount, currencyCode: change.currencyCode });
+
+    await saveAsk(shop, {
+        listingId: listing?.listingId || change.ask?.listingId,
+        status: 'active',
+        stockxVariantId: change.stockxVariantId,
+        productId: product.id,
+        productTitle: product.title,
+        variantId: change.variantId,
+        size: change.size,
+        amount: change.amount,
+        currencyCode: change.currencyCode,
+        inventory: null
+    });
+}
+
+// "Create size 42 at 180 EUR", "Update size 42: 185 → 179 EUR", "Cancel size 42"
+export function describeAskChange(change) {
+    if (change.type === 'cancel') return `Cancel size ${change.size} (${change.ask.amount} ${change.ask.currencyCode})`;
+    if (change.type === 'create') return `Create size ${change.size} at ${change.amount} ${change.currencyCode} (lowest ask ${change.lowestAsk})`;
+    return `Update size ${change.size}: ${change.previousAmount} → ${change.amount} ${change.currencyCode} (lowest ask ${change.lowestAsk})`;
+}
+
+// Creates, updates and cancels the StockX asks of one product tagged stockx-sync.
+// With dryRun the changes are only listed. Returns { status, message, productTitle, changes, skipped }
+// where each change is { type, size, description, error (when it failed) }.
+export async function syncProductAsks(admin, shop, productId, { dryRun = false } = {}) {
+    const settings = await getAskSettings(shop);
+    if (!settings.enabled && !dryRun) return { status: 'error', message: 'Listing stock on StockX is turned off.' };
+
+    return withProductLock(`${shop}:${productId}`, async () => {
+        let planned;
+        try {
+            planned = await planProductAsks(admin, shop, productId, settings);
+        } catch (error) {
+            console.error(`[StockX Asks] Planning asks for ${productId} failed:`, error);
+            return { status: 'error', message: stockxErrorMessage(error) };
+        }
+        if (planned.status !== 'success') return planned;
+
+        const { product, changes, skipped } = planned;
+        const failed = [];
+        if (!dryRun) {
+            for (const change of changes) {
+                try {
+                    await applyChange(shop, product, change);
+                    console.log(`[StockX Asks] ${product.title}: ${describeAskChange(change)}`);
+                } catch (error) {
+                    console.error(`[StockX Asks] ${product.title}: ${describeAskChange(change)} failed:`, error);
+                    change.error = stockxErrorMessage(error);
+                    failed.push(change);
+                }
+            }
+        }
+
+        const counts = [['create', 'created'], ['update', 'updated'], ['cancel', 'cancelled']]
+            .map(([type, done]) => [type, done, changes.filter(c => c.type === type && !c.error).length])
+            .filter(([, , count]) => count > 0)
+            .map(([type, done, count]) => (dryRun ? `${count} to ${type}` : `${count} ${done}`));
+        const summary = counts.length > 0 ? counts.join(', ') : 'no changes';
+        return {
+            status: failed.length > 0 ? 'warning' : 'success',
+            message: `${product.title}: ${summary}${failed.length > 0 ? `, ${failed.length} failed` : ''}.`,
+            productTitle: product.title,
+            changes: changes.map(change => ({ type: change.type, size: change.size, description: describeAskChange(change), error: change.error || null })),
+            skipped
+        };
+    });
+}
+
+// Runs syncProductAsks for every product tagged stockx-sync. Returns { status, message, results }.
+export async function syncAllAsks(admin, shop, { dryRun = false } = {}) {
+    const productIds = [];
+    let cursor = null;
+    do {
+        const response = await admin.graphql(
+            `#graphql
+            query reverseSyncProducts($after: String) {
+                products(first: 100, after: $after, query: "tag:${SYNC_TAG}") {
+                    pageInfo { hasNextPage, endCursor }
+                    nodes { id }
+                }
+            }`,
+            { variables: { after: cursor } }
+        );
+        const { data } = await response.json();
+        productIds.push(...data.products.nodes.map(p => p.id));
+        cursor = data.products.pageInfo.hasNextPage ? data.products.pageInfo.endCursor : null;
+    } while (cursor);
+
+    const results = [];
+    for (const productId of productIds) {
+        const result = await syncProductAsks(admin, shop, productId, { dryRun });
+        results.push(result);
+        // Without a StockX login every other product fails the same way
+        if (result.loginUrl) break;
+    }
+
+    const failures = results.filter(r => r.status === 'error').length;
+    const changed = results.reduce((sum, r) => sum + (r.changes?.length || 0), 0);
+    return {
+        status: failures > 0 ? 'warning' : 'success',
+        message: `${dryRun ? 'Previewed' : 'Synced'} asks for ${results.length} products: ${changed} ${dryRun ? 'to change' : 'changed'}${failures > 0 ? `, ${failures} failed` : ''}.`,
+        results
+    };
+}
+
+// Withdraws every active ask of the shop, e.g. before turning the reverse sync off
+export async function withdrawAllAsks(shop) {
+    const asks = (await listAsks(shop)).filter(a => a.status === 'active');
+    let withdrawn = 0;
+    const errors = [];
+    for (const ask of asks) {
+        try {
+            await deleteStockXListing(shop, ask.listingId);
+            await forgetAsk(shop, ask.variantId);
+            withdrawn++;
+        } catch (error) {
+            console.error(`[StockX Asks] Withdrawing ${ask.productTitle} size ${ask.size} failed:`, error);
+            errors.push(`${ask.productTitle} size ${ask.size}: ${stockxErrorMessage(error)}`);
+        }
+    }
+    return { withdrawn, errors };
+}
+
+// Called for inventory_levels/update webhooks. A size that ran out has its ask withdrawn straight away
+// (no market data needed); any other change re-runs the reverse sync of the product.
+export async function handleInventoryChange(admin, shop, inventoryItemId) {
+    const settings = await getAskSettings(shop);
+    if (!settings.enabled) return;
+
+    const response = await admin.graphql(
+        `#graphql
+        query inventoryItemVariant($id: ID!) {
+            inventoryItem(id: $id) {
+                variant {
+                    id
+                    inventoryQuantity
+                    product { id, tags }
+                }
+            }
+        }`,
+        { variables: { id: `gid://shopify/InventoryItem/${numericId(inventoryItemId)}` } }
+    );
+    const variant = (await response.json()).data?.inventoryItem?.variant;
+    if (!variant || !variant.product.tags.includes(SYNC_TAG)) return;
+
+    if ((variant.inventoryQuantity ?? 0) <= 0) {
+        // Read under the lock, so a concurrent webhook or sync of the product cannot withdraw or replace it first
+        await withProductLock(`${shop}:${variant.product.id}`, async () => {
+            const ask = await askStore.get(askKey(shop, variant.id));
+            if (ask?.status !== 'active') return;
+            await deleteStockXListing(shop, ask.listingId);
+            await forgetAsk(shop, variant.id);
+            console.log(`[StockX Asks] ${ask.productTitle} size ${ask.size} is out of stock, ask withdrawn`);
+        });
+        return;
+    }
+
+    const result = await syncProductAsks(admin, shop, variant.product.id);
+    console.log(`[StockX Asks] Inventory changed: ${result.message}`);
+}
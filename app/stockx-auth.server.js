@@ -0,0 +1,339 @@
+import crypto from 'crypto';
+import path from 'path';
+import { createCookie } from 'react-router';
+import { JsonFileStore } from './json-store.server';
+import { StockXAuthError } from './stockx-client.server';
+import { STOCKX_CLIENT_ID, STOCKX_CLIENT_SECRET, STOCKX_DATA_DIR, stockxAccountsUrl } from './stockx-config.server';
+import { stockxRunMode } from './stockx-recorder.server';
+
+// StockX OAuth tokens, one StockX account per Shopify shop.
+// Tokens are kept encrypted under DATA_DIR (DATA_DIR/sandbox in sandbox mode) so they survive restarts;
+// the in-memory copy saves a file read per request.
+
+const CLIENT_ID = STOCKX_CLIENT_ID;
+const CLIENT_SECRET = STOCKX_CLIENT_SECRET;
+const TOKEN_URL = stockxAccountsUrl('/oauth/token');
+
+const tokenStore = new JsonFileStore(path.join(STOCKX_DATA_DIR, 'stockx-tokens'), { encrypted: true });
+// Connection health per shop: { lastSuccessAt, lastRefreshAt, lastFailureAt, lastFailure }
+const statusStore = new JsonFileStore(path.join(STOCKX_DATA_DIR, 'stockx-connection'));
+// Logins started from /stockx/login that wait for the callback: state -> { shop, codeVerifier, createdAt }
+const loginStateStore = new JsonFileStore(path.join(STOCKX_DATA_DIR, 'stockx-login-states'), { encrypted: true });
+
+const tokenCache = new Map();
+const statusCache = new Map();
+// In-flight refreshes per shop, so parallel 401s share one refresh
+const refreshing = new Map();
+
+// Tokens are refreshed when they expire within this margin, before a request and in the background
+const REFRESH_MARGIN_MS = 15 * 60 * 1000;
+const BACKGROUND_REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+// Successful calls are written to disk at most this often
+const SUCCESS_WRITE_INTERVAL_MS = 60 * 1000;
+
+export async function getStockXTokens(shop) {
+    if (!tokenCache.has(shop)) tokenCache.set(shop, await tokenStore.get(shop));
+    return tokenCache.get(shop);
+}
+
+// The StockX account an OpenID id_token belongs to (claims only; the token came straight from StockX)
+function accountFromIdToken(idToken) {
+    try {
+        const claims = JSON.parse(Buffer.from(idToken.split('.')[1], 'base64url').toString('utf8'));
+        return { id: claims.sub || null, email: claims.email || null, name: claims.name || claims.nickname || null };
+    } catch (e) {
+        return null;
+    }
+}
+
+async function saveStockXTokens(shop, tokenData) {
+    const previous = await getStockXTokens(shop);
+    const now = new Date();
+    const tokens = {
+        accessToken: tokenData.access_token,
+        // A refresh does not always return a new refresh token; keep the old one then
+        refreshToken: tokenData.refresh_token || previous?.refreshToken || null,
+        expiresIn: tokenData.expires_in,
+        expiresAt: tokenData.expires_in ? new Date(now.getTime() + tokenData.expires_in * 1000).toISOString() : null,
+        account: (tokenData.id_token && accountFromIdToken(tokenData.id_token)) || previous?.account || null,
+        connectedAt: previous?.connectedAt || now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+    await tokenStore.set(shop, tokens);
+    tokenCache.set(shop, tokens);
+    return tokens;
+}
+
+export async function deleteStockXTokens(shop) {
+    tokenCache.delete(shop);
+    statusCache.delete(shop);
+    await tokenStore.delete(shop);
+    await statusStore.delete(shop);
+}
+
+async function getConnectionStatus(shop) {
+    if (!statusCache.has(shop)) statusCache.set(shop, await statusStore.get(shop, {}));
+    return statusCache.get(shop);
+}
+
+async function updateConnectionStatus(shop, changes) {
+    const status = { ...(await getConnectionStatus(shop)), ...changes };
+    statusCache.set(shop, status);
+    await statusStore.set(shop, status);
+}
+
+// Called by the StockX client after every successful request
+async function recordSuccessfulCall(shop) {
+    const status = await getConnectionStatus(shop);
+    const last = status.lastSuccessAt ? new Date(status.lastSuccessAt).getTime() : 0;
+    if (Date.now() - last < SUCCESS_WRITE_INTERVAL_MS) return;
+    await updateConnectionStatus(shop, { lastSuccessAt: new Date().toISOString() });
+}
+
+// What the StockX connection page shows for a shop
+export async function getStockXConnection(shop) {
+    const [tokens, status] = await Promise.all([getStockXTokens(shop), getConnectionStatus(shop)]);
+    return {
+        connected: Boolean(tokens?.accessToken || tokens?.refreshToken),
+        account: tokens?.account || null,
+        connectedAt: tokens?.connectedAt || null,
+        expiresAt: tokens?.expiresAt || null,
+        canRefresh: Boolean(tokens?.refreshToken),
+        ...status
+    };
+}
+
+async function requestToken(params) {
+    const response = await fetch(TOKEN_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ client_id: CLIENT_ID, client_secret: CLIENT_SECRET, ...params })
+    });
+
+    // Gateway errors can come back as HTML, so parse the body ourselves
+    const text = await response.text();
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch {
+        return { ok: false, error: { error: `HTTP ${response.status}`, error_description: 'token endpoint returned a non-JSON response' } };
+    }
+    return response.ok ? { ok: true, tokenData: body } : { ok: false, error: body };
+}
+
+// codeVerifier: the PKCE verifier created with the login state
+export async function exchangeCodeForToken(shop, code, redirectUri, codeVerifier) {
+    const { ok, tokenData, error } = await requestToken({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier
+    });
+    if (!ok) {
+        console.error(`[StockX] Token exchange failed for ${shop}:`, error);
+        return { success: false, error };
+    }
+
+    await saveStockXTokens(shop, tokenData);
+    console.log(`[StockX] Connected StockX account for ${shop}`);
+    return { success: true };
+}
+
+async function refreshTokens(shop) {
+    const tokens = await getStockXTokens(shop);
+    if (!tokens?.refreshToken) {
+        console.error(`[StockX] No refresh token available for ${shop}`);
+        return false;
+    }
+
+    try {
+        const { ok, tokenData, error } = await requestToken({ grant_type: 'refresh_token', refresh_token: tokens.refreshToken });
+        if (!ok) {
+            console.error(`[StockX] Token refresh failed for ${shop}:`, error);
+            await updateConnectionStatus(shop, {
+                lastFailureAt: new Date().toISOString(),
+                lastFailure: `Token refresh rejected: ${error?.error_description || error?.error || 'unknown error'}`
+            });
+            return false;
+        }
+        await saveStockXTokens(shop, tokenData);
+        await updateConnectionStatus(shop, { lastRefreshAt: new Date().toISOString() });
+        console.log(`[StockX] Token refreshed for ${shop}`);
+        return true;
+    } catch (e) {
+        console.error(`[StockX] Token refresh exception for ${shop}:`, e);
+        await updateConnectionStatus(shop, { lastFailureAt: new Date().toISOString(), lastFailure: `Token refresh failed: ${e.message}` });
+        return false;
+    }
+}
+
+export function refreshAccessToken(shop) {
+    if (!refreshing.has(shop)) {
+        refreshing.set(shop, refreshTokens(shop).finally(() => refreshing.delete(shop)));
+    }
+    return refreshing.get(shop);
+}
+
+// Token access for the shared StockX client (see stockxGetJson), for one shop.
+// Throws StockXAuthError when the shop has not connected StockX or its token cannot be refreshed.
+export async function stockxAuthFor(shop) {
+    if (!shop) throw new Error('A shop is required to call StockX');
+    // A replay answers from a recording and needs no StockX login
+    if (stockxRunMode() === 'replay') return REPLAY_AUTH;
+
+    const tokens = await getStockXTokens(shop);
+    if (!tokens?.accessToken) {
+        console.log(`[StockX] No access token for ${shop}, attempting refresh...`);
+        if (!(await refreshAccessToken(shop))) throw new StockXAuthError(`No StockX token for ${shop}`);
+    } else if (expiresSoon(tokens)) {
+        // Still valid for a moment, so a failed refresh is not fatal here
+        await refreshAccessToken(shop);
+    }
+
+    return {
+        getAccessToken: () => tokenCache.get(shop)?.accessToken || null,
+        refreshAccessToken: () => refreshAccessToken(shop),
+        onSuccess: () => recordSuccessfulCall(shop)
+    };
+}
+
+const REPLAY_AUTH = { getAccessToken: () => null, refreshAccessToken: async () => true };
+
+const expiresSoon = (tokens) =>
+    Boolean(tokens?.refreshToken && tokens.expiresAt && new Date(tokens.expiresAt).getTime() - Date.now() < REFRESH_MARGIN_MS);
+
+// Refreshes every shop's token that expires soon, so syncs never start with an expired token
+export async function refreshExpiringTokens() {
+    for (const shop of await tokenStore.keys()) {
+        if (expiresSoon(await getStockXTokens(shop))) await refreshAccessToken(shop);
+    }
+}
+
+// Starts the background refresh once per process (dev server reloads re-run this module)
+export function startTokenRefresher() {
+    if (global.stockxTokenRefresher) return;
+    global.stockxTokenRefresher = setInterval(() => {
+        refreshExpiringTokens().catch(e => console.error('[StockX] Background token refresh failed:', e));
+    }, BACKGROUND_REFRESH_INTERVAL_MS);
+    global.stockxTokenRefresher.unref?.();
+}
+
+// --- LOGIN LINKS ---
+
+// Login links are opened in a new window outside the Shopify admin, so they carry the shop
+// signed with the app secret instead of relying on an admin session.
+const LOGIN_LINK_TTL_MS = 60 * 60 * 1000;
+const LOGIN_STATE_TTL_MS = 15 * 60 * 1000;
+
+// Constant-time comparison of two secret strings
+const sameSecret = (a, b) =>
+    typeof a === 'string' && typeof b === 'string' && a.length === b.length &&
+    crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Login links, states and cookies are signed with the app secret; never fall back to a known key
+function loginSecret() {
+    const secret = process.env.SHOPIFY_API_SECRET;
+    if (!secret) throw new Error('SHOPIFY_API_SECRET is not set, StockX logins cannot be signed');
+    return secret;
+}
+
+export const hasLoginSecret = () => Boolean(process.env.SHOPIFY_API_SECRET);
+
+const signShop = (shop, issuedAt) =>
+    crypto.createHmac('sha256', loginSecret()).update(`${shop}:${issuedAt}`).digest('hex');
+
+export function stockxLoginUrl(baseUrl, shop) {
+    const issuedAt = String(Date.now());
+    const params = new URLSearchParams({ shop, issuedAt, signature: signShop(shop, issuedAt) });
+    return `${baseUrl}/stockx/login?${params.toString()}`;
+}
+
+// The shop of a signed login link, or null when the link is forged or expired
+export function verifyStockXLoginUrl(url) {
+    const shop = url.searchParams.get('shop');
+    const issuedAt = url.searchParams.get('issuedAt');
+    if (!shop || !issuedAt) return null;
+
+    const valid = sameSecret(url.searchParams.get('signature'), signShop(shop, issuedAt));
+    if (!valid || Date.now() - Number(issuedAt) > LOGIN_LINK_TTL_MS) return null;
+    return shop;
+}
+
+// --- LOGIN STATE (CSRF) AND PKCE ---
+
+// Cookie holding the state of the login this browser started, so a callback with someone
+// else's state (or a code injected without starting a login) is rejected.
+// Created on first use so a missing secret fails the login routes, not the whole app.
+let stateCookie = null;
+export function loginStateCookie() {
+    if (!stateCookie) {
+        stateCookie = createCookie('stockx_login_state', {
+            httpOnly: true,
+            secure: true,
+            sameSite: 'lax',
+            path: '/',
+            maxAge: LOGIN_STATE_TTL_MS / 1000,
+            secrets: [loginSecret()]
+        });
+    }
+    return stateCookie;
+}
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const isExpired = (pending) => Date.now() - new Date(pending.createdAt).getTime() > LOGIN_STATE_TTL_MS;
+
+// Drops logins that were never completed
+async function pruneLoginStates() {
+    for (const key of await loginStateStore.keys()) {
+        const pending = await loginStateStore.get(key);
+        if (!pending || isExpired(pending)) await loginStateStore.delete(key);
+    }
+}
+
+// Starts a login for the shop: returns the OAuth state and the PKCE (S256) code challenge to send to StockX.
+// The code verifier stays on the server with the state.
+export async function createLoginState(shop) {
+    const state = base64Url(crypto.randomBytes(32));
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await pruneLoginStates();
+    await loginStateStore.set(state, { shop, codeVerifier, createdAt: new Date().toISOString() });
+    return { state, codeChallenge };
+}
+
+// Checks the state StockX sent back against the one in this browser's cookie. Each state works once.
+// Returns { shop, codeVerifier } or { error } with a reason that can be shown to the user.
+export async function consumeLoginState(state, cookieState) {
+    if (!state) return { error: 'StockX did not send back a login state.' };
+    if (!sameSecret(state, cookieState)) {
+        return { error: 'This login was not started from this browser, or the login cookie expired.' };
+    }
+
+    const pending = await loginStateStore.get(state);
+    await loginStateStore.delete(state);
+    if (!pending) return { error: 'This login was already used or is unknown.' };
+    if (isExpired(pending)) {
+        return { error: 'This login took too long and expired.' };
+    }
+    return { shop: pending.shop, codeVerifier: pending.codeVerifier };
+}
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+// Minimal HTML page for the login window (it is opened outside the Shopify admin, so no Polaris)
+export function stockxLoginPage({ title, message, status = 200, closeWindow = false, headers = {} }) {
+    const html = `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 32rem; margin: 4rem auto; padding: 0 1rem;">
+<h1 style="font-size: 1.5rem;">${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>
+${closeWindow ? '<script>window.close();</script>' : '<p>You can close this window and try again from the app.</p>'}
+</body>
+</html>`;
+    return new Response(html, { status, headers: { 'Content-Type': 'text/html; charset=utf-8', ...headers } });
+}
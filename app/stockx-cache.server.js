@@ -0,0 +1,87 @@
+import path from 'path';
+import { JsonFileStore } from './json-store.server';
+import { STOCKX_DATA_DIR } from './stockx-config.server';
+import { stockxRunMode } from './stockx-recorder.server';
+
+// Local cache in front of the StockX API. Catalog data (search hits, product details, variant lists) barely changes,
+// so it is kept for days; market data goes stale quickly and uses a per-shop TTL (see market-data settings).
+// Entries are shared between shops: callers check the shop's StockX login (stockxAuthFor) before reading them.
+const CACHE_DIR = path.join(STOCKX_DATA_DIR, 'stockx-cache');
+const stores = {
+    search: new JsonFileStore(path.join(CACHE_DIR, 'search')),
+    products: new JsonFileStore(path.join(CACHE_DIR, 'products')),
+    variants: new JsonFileStore(path.join(CACHE_DIR, 'variants')),
+    // One file per product and currency: { [variantId]: { fetchedAt, data } }
+    market: new JsonFileStore(path.join(CACHE_DIR, 'market'))
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const CATALOG_CACHE_MS = (Number(process.env.STOCKX_CATALOG_CACHE_DAYS) || 7) * DAY_MS;
+export const DEFAULT_MARKET_CACHE_MINUTES = 60;
+
+// Hit/miss counters since the server started, per kind of data
+const stats = {
+    search: { hits: 0, misses: 0 },
+    products: { hits: 0, misses: 0 },
+    variants: { hits: 0, misses: 0 },
+    market: { hits: 0, misses: 0 }
+};
+const startedAt = new Date().toISOString();
+
+export const getCacheStats = () => ({ startedAt, ...JSON.parse(JSON.stringify(stats)) });
+
+const isFresh = (entry, maxAgeMs) => entry && Date.now() - new Date(entry.fetchedAt).getTime() < maxAgeMs;
+
+// Returns the cached value for kind/key when it is younger than maxAgeMs, otherwise calls load()
+// and caches its result. forceRefresh skips the read but still stores the fresh value.
+// Recorded runs always load (so the recording is complete); replays neither read nor write the cache.
+export async function cachedFetch(kind, key, maxAgeMs, load, { forceRefresh = false } = {}) {
+    const store = stores[kind];
+    const runMode = stockxRunMode();
+    if (!forceRefresh && !runMode) {
+        const entry = await store.get(key);
+        if (isFresh(entry, maxAgeMs)) {
+            stats[kind].hits++;
+            return entry.data;
+        }
+    }
+
+    stats[kind].misses++;
+    const data = await load();
+    if (runMode !== 'replay') await store.set(key, { fetchedAt: new Date().toISOString(), data });
+    return data;
+}
+
+const marketKey = (productId, currencyCode) => `${productId}__${currencyCode}`;
+
+// Cached market data of a product's variants. Returns { cached: { [variantId]: data }, missing: [variantId] }.
+export async function getCachedMarketData(productId, currencyCode, variantIds, maxAgeMs, { forceRefresh = false } = {}) {
+    const entries = forceRefresh || stockxRunMode() ? {} : await stores.market.get(marketKey(productId, currencyCode), {});
+    const cached = {};
+    const missing = [];
+
+    for (const variantId of variantIds) {
+        if (isFresh(entries[variantId], maxAgeMs)) {
+            cached[variantId] = entries[variantId].data;
+        } else {
+            missing.push(variantId);
+        }
+    }
+
+    stats.market.hits += variantIds.length - missing.length;
+    stats.market.misses += missing.length;
+    return { cached, missing };
+}
+
+// Stores freshly fetched market data ({ [variantId]: data }) next to what is already cached for the product
+export async function setCachedMarketData(productId, currencyCode, fetched) {
+    if (Object.keys(fetched).length === 0 || stockxRunMode() === 'replay') return;
+
+    const key = marketKey(productId, currencyCode);
+    const entries = await stores.market.get(key, {});
+    const fetchedAt = new Date().toISOString();
+    for (const [variantId, data] of Object.entries(fetched)) {
+        entries[variantId] = { fetchedAt, data };
+    }
+    await stores.market.set(key, entries);
+}
@@ -0,0 +1,233 @@
+import { STOCKX_API_KEY as API_KEY } from './stockx-config.server';
+import { stockxRunMode, recordStockXExchange, replayStockXExchange } from './stockx-recorder.server';
+
+// Shared HTTP client for the StockX API.
+// Every request in the process goes through one token bucket, so overlapping syncs and imports
+// share the same request budget instead of each running their own concurrency limit.
+
+// Sustained requests per second and burst size; override when StockX grants a different quota
+const RATE_PER_SECOND = Number(process.env.STOCKX_RATE_LIMIT_PER_SECOND) || 2;
+const BURST = Number(process.env.STOCKX_RATE_LIMIT_BURST) || 5;
+
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+const RETRIABLE_STATUSES = [429, 500, 502, 503, 504, 524];
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// --- ERRORS ---
+
+// Base class; userMessage is safe to show in the admin UI
+export class StockXError extends Error {
+    constructor(message, { status = null, userMessage = message } = {}) {
+        super(message);
+        this.name = 'StockXError';
+        this.status = status;
+        this.userMessage = userMessage;
+    }
+}
+
+// Thrown when StockX rejects our token and it cannot be refreshed; the user has to log in again
+export class StockXAuthError extends StockXError {
+    constructor(message = 'Unauthorized') {
+        super(message, { status: 401, userMessage: 'StockX login expired. Please connect to StockX again.' });
+        this.name = 'StockXAuthError';
+    }
+}
+
+export class StockXRateLimitError extends StockXError {
+    constructor(message = 'Rate limited') {
+        super(message, { status: 429, userMessage: 'StockX is rate limiting us. Try again in a few minutes.' });
+        this.name = 'StockXRateLimitError';
+    }
+}
+
+export class StockXUnavailableError extends StockXError {
+    constructor(message = 'Unavailable', status = null) {
+        super(message, { status, userMessage: 'StockX is not responding right now. Try again later.' });
+        this.name = 'StockXUnavailableError';
+    }
+}
+
+export class StockXNotFoundError extends StockXError {
+    constructor(message = 'Not found') {
+        super(message, { status: 404, userMessage: 'Not found on StockX.' });
+        this.name = 'StockXNotFoundError';
+    }
+}
+
+// Any other rejected request (400, 403, ...)
+export class StockXRequestError extends StockXError {
+    constructor(message, status) {
+        super(message, { status, userMessage: `StockX rejected the request (${status}).` });
+        this.name = 'StockXRequestError';
+    }
+}
+
+// User-facing message for any error thrown while talking to StockX
+export const stockxErrorMessage = (error) =>
+    error instanceof StockXError ? error.userMessage : `StockX lookup failed: ${error.message}`;
+
+// --- RATE LIMITER ---
+
+class TokenBucket {
+    constructor(ratePerSecond, burst) {
+        this.rate = ratePerSecond;
+        this.burst = burst;
+        this.tokens = burst;
+        this.updatedAt = Date.now();
+        this.pausedUntil = 0;
+        // Waiters are served in order
+        this.queue = Promise.resolve();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+        this.updatedAt = now;
+    }
+
+    async waitForToken() {
+        for (;;) {
+            const now = Date.now();
+            if (now < this.pausedUntil) {
+                await sleep(this.pausedUntil - now);
+                continue;
+            }
+            this.refill();
+            if (this.tokens >= 1) {
+                this.tokens -= 1;
+                return;
+            }
+            await sleep(((1 - this.tokens) / this.rate) * 1000);
+        }
+    }
+
+    take() {
+        const turn = this.queue.then(() => this.waitForToken());
+        this.queue = turn.catch(() => {});
+        return turn;
+    }
+
+    // Stops handing out tokens for a while (after a 429 or an exhausted quota)
+    pauseFor(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+        this.tokens = 0;
+    }
+}
+
+const limiter = new TokenBucket(RATE_PER_SECOND, BURST);
+
+// Seconds or an HTTP date, as milliseconds from now
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Pauses the limiter when StockX reports the quota as used up.
+// x-ratelimit-reset is either seconds until the reset or an epoch timestamp in seconds.
+function observeRateLimitHeaders(headers) {
+    const remaining = headers.get('x-ratelimit-remaining');
+    const reset = Number(headers.get('x-ratelimit-reset'));
+    if (remaining === null || Number(remaining) > 0 || !Number.isFinite(reset)) return;
+
+    const waitMs = reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000;
+    if (waitMs > 0) {
+        console.warn(`[StockX] Rate limit quota used up, pausing requests for ${Math.ceil(waitMs / 1000)}s`);
+        limiter.pauseFor(Math.min(waitMs, MAX_BACKOFF_MS * 2));
+    }
+}
+
+const backoffMs = (attempt) => Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * Math.pow(2, attempt)) + Math.random() * 250;
+
+// --- REQUESTS ---
+
+// Sends a request to a StockX API URL and returns the parsed JSON (null for an empty response).
+// auth: { getAccessToken(): string|null, refreshAccessToken(): Promise<boolean>, onSuccess?() } — the token is
+// refreshed once on a 401; onSuccess is called after every successful request.
+// Retries rate limits, gateway errors and network failures with exponential backoff (honouring Retry-After),
+// then throws one of the StockX*Error classes above. Writes (method other than GET) are only retried on 429,
+// which StockX answers before doing anything, so a listing is never created twice.
+// Inside a recorded run every attempt is recorded; inside a replay the recorded responses are used instead
+// of the network, without rate limiting or waiting (see stockx-recorder.server.js).
+export async function stockxRequestJson(url, { auth, method = 'GET', body = undefined, headers = {}, label = url } = {}) {
+    let refreshed = false;
+    const replaying = stockxRunMode() === 'replay';
+    const wait = (ms) => (replaying ? Promise.resolve() : sleep(ms));
+    const isRead = method === 'GET';
+    const retriableStatuses = isRead ? RETRIABLE_STATUSES : [429];
+
+    for (let attempt = 0; ; attempt++) {
+        if (!replaying) await limiter.take();
+
+        let response;
+        const startedAt = Date.now();
+        try {
+            response = replaying ? replayStockXExchange(url) : await fetch(url, {
+                method,
+                headers: {
+                    'x-api-key': API_KEY,
+                    'Authorization': `Bearer ${auth.getAccessToken()}`,
+                    ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+                    ...headers
+                },
+                ...(body === undefined ? {} : { body: JSON.stringify(body) })
+            });
+            if (!replaying) await recordStockXExchange(url, { response: response.clone(), startedAt });
+        } catch (err) {
+            if (replaying && !(err instanceof TypeError)) throw err;
+            if (!replaying) await recordStockXExchange(url, { error: err, startedAt });
+            if (attempt >= MAX_RETRIES || !isRead) throw new StockXUnavailableError(`${label}: ${err.message}`);
+            const backoff = backoffMs(attempt);
+            console.warn(`[StockX] Network error for ${label} (${err.message}). Retrying in ${(backoff / 1000).toFixed(1)}s...`);
+            await wait(backoff);
+            continue;
+        }
+
+        observeRateLimitHeaders(response.headers);
+
+        if (response.status === 401) {
+            if (refreshed) throw new StockXAuthError('Token rejected after refresh. Please login again.');
+            console.log(`[StockX] Got 401 for ${label}, attempting refresh...`);
+            refreshed = true;
+            if (!(await auth.refreshAccessToken())) {
+                throw new StockXAuthError('Token Expired and Refresh Failed. Please login again.');
+            }
+            attempt--; // a refresh is not a retry
+            continue;
+        }
+
+        if (RETRIABLE_STATUSES.includes(response.status)) {
+            const backoff = parseRetryAfter(response.headers.get('retry-after')) ?? backoffMs(attempt);
+            if (response.status === 429 && !replaying) limiter.pauseFor(backoff);
+
+            if (attempt >= MAX_RETRIES || !retriableStatuses.includes(response.status)) {
+                throw response.status === 429
+                    ? new StockXRateLimitError(`${label}: still rate limited after ${MAX_RETRIES} retries`)
+                    : new StockXUnavailableError(`${label}: ${response.status}${isRead ? ` after ${MAX_RETRIES} retries` : ''}`, response.status);
+            }
+            console.warn(`[StockX] ${response.status} for ${label}. Retrying in ${(backoff / 1000).toFixed(1)}s... (Attempt ${attempt + 1}/${MAX_RETRIES})`);
+            await wait(backoff);
+            continue;
+        }
+
+        if (response.status === 404) throw new StockXNotFoundError(`${label}: not found`);
+
+        if (!response.ok) {
+            const text = await response.text();
+            console.error(`[StockX] ${label} failed: ${response.status} ${text}`);
+            throw new StockXRequestError(`${label}: ${response.status}`, response.status);
+        }
+
+        const text = await response.text();
+        if (!replaying) await auth.onSuccess?.();
+        return text ? JSON.parse(text) : null;
+    }
+}
+
+// GETs a StockX API URL and returns the parsed JSON (see stockxRequestJson)
+export const stockxGetJson = (url, options = {}) => stockxRequestJson(url, { ...options, method: 'GET' });
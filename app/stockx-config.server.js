@@ -0,0 +1,37 @@
+import path from 'path';
+import { DATA_DIR } from './json-store.server';
+
+// Where the app talks to StockX.
+//
+// STOCKX_MODE           "live" (default) or "sandbox": the bundled stand-in server (npm run stockx:sandbox)
+//                       with fake OAuth and fixture catalog/market data, for demos, training and bug reports
+// STOCKX_SANDBOX_URL    where the stand-in runs (default http://localhost:4010)
+// STOCKX_API_URL        overrides the API base URL (default https://api.stockx.com, or the sandbox)
+// STOCKX_ACCOUNTS_URL   overrides the OAuth base URL (default https://accounts.stockx.com, or the sandbox)
+//
+// Sandbox tokens and cached sandbox data live under DATA_DIR/sandbox, apart from the live ones.
+
+const trimSlash = (url) => String(url).replace(/\/+$/, '');
+
+export const STOCKX_MODE = process.env.STOCKX_MODE === 'sandbox' ? 'sandbox' : 'live';
+export const isStockXSandbox = STOCKX_MODE === 'sandbox';
+
+// Directory for StockX tokens, connection status and cached StockX data in the current mode
+export const STOCKX_DATA_DIR = isStockXSandbox ? path.join(DATA_DIR, 'sandbox') : DATA_DIR;
+
+const SANDBOX_URL = trimSlash(process.env.STOCKX_SANDBOX_URL || 'http://localhost:4010');
+
+export const STOCKX_API_URL = trimSlash(process.env.STOCKX_API_URL || (isStockXSandbox ? SANDBOX_URL : 'https://api.stockx.com'));
+export const STOCKX_ACCOUNTS_URL = trimSlash(process.env.STOCKX_ACCOUNTS_URL || (isStockXSandbox ? SANDBOX_URL : 'https://accounts.stockx.com'));
+
+// The sandbox accepts any client credentials, so it runs without a StockX developer account
+export const STOCKX_CLIENT_ID = process.env.STOCKX_CLIENT_ID || (isStockXSandbox ? 'sandbox-client' : undefined);
+export const STOCKX_CLIENT_SECRET = process.env.STOCKX_CLIENT_SECRET || (isStockXSandbox ? 'sandbox-secret' : undefined);
+export const STOCKX_API_KEY = process.env.STOCKX_API_KEY || (isStockXSandbox ? 'sandbox-key' : undefined);
+
+export const stockxApiUrl = (pathAndQuery) => `${STOCKX_API_URL}${pathAndQuery}`;
+export const stockxAccountsUrl = (pathAndQuery) => `${STOCKX_ACCOUNTS_URL}${pathAndQuery}`;
+
+if (isStockXSandbox) {
+    console.warn(`[StockX] Sandbox mode: using the stand-in server at ${STOCKX_API_URL}, prices are fixtures, not live market data.`);
+}
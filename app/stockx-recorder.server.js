@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { JsonFileStore } from './json-store.server';
+import { STOCKX_API_URL, STOCKX_DATA_DIR } from './stockx-config.server';
+
+// Record-and-replay of StockX API traffic, to reproduce what a sync or import saw.
+//
+// While recording, every request the StockX client makes inside a run (a sync or an import of one SKU) is
+// stored with its raw response, and the StockX cache is skipped so the run holds everything StockX returned.
+// A recorded run can be replayed: the client then answers from the recording instead of calling StockX
+// (no login, no rate limiting, no waiting on retries) and the StockX cache is neither read nor written.
+//
+// Recording is opt-in per shop (see the StockX Recordings page), or for every shop with STOCKX_RECORD=true.
+
+// Runs: id -> { id, shop, kind, sku, productId, title, startedAt, finishedAt, outcome, context, exchanges }
+const runStore = new JsonFileStore(path.join(STOCKX_DATA_DIR, 'stockx-recordings'));
+// Per shop: { enabled, keepRuns }
+const settingsStore = new JsonFileStore(path.join(STOCKX_DATA_DIR, 'stockx-recording-settings'));
+
+export const DEFAULT_RECORDING_SETTINGS = {
+    enabled: false,
+    // Oldest runs of the shop are deleted beyond this
+    keepRuns: 50
+};
+
+const RECORD_ALL = process.env.STOCKX_RECORD === 'true';
+
+// The run (recording or replay) the current async call chain belongs to
+const activeRun = new AsyncLocalStorage();
+
+export async function getRecordingSettings(shop) {
+    const stored = await settingsStore.get(shop);
+    return { ...DEFAULT_RECORDING_SETTINGS, ...(stored || {}) };
+}
+
+export async function saveRecordingSettings(shop, settings) {
+    const errors = [];
+    const keepRuns = Number(settings.keepRuns);
+    if (!Number.isInteger(keepRuns) || keepRuns < 1 || keepRuns > 500) {
+        errors.push('Keep between 1 and 500 recorded runs.');
+    }
+    if (errors.length > 0) return { success: false, errors };
+
+    const saved = { enabled: Boolean(settings.enabled), keepRuns };
+    await settingsStore.set(shop, saved);
+    return { success: true, settings: saved };
+}
+
+// "record", "replay" or null outside of a run
+export const stockxRunMode = () => activeRun.getStore()?.mode || null;
+
+// API paths are stored without the base URL, so a run recorded live can be replayed in sandbox mode and back
+const pathOf = (url) => (url.startsWith(STOCKX_API_URL) ? url.slice(STOCKX_API_URL.length) : url);
+
+// Called by the StockX client after each request while recording. error: the network error, if any.
+export async function recordStockXExchange(url, { response = null, error = null, startedAt }) {
+    const run = activeRun.getStore();
+    if (run?.mode !== 'record') return;
+
+    const exchange = { path: pathOf(url), at: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt };
+    if (error) {
+        exchange.error = error.message;
+    } else {
+        const text = await response.text();
+        let body = text;
+        try {
+            body = JSON.parse(text);
+        } catch (e) {
+            // Kept as text
+        }
+        exchange.status = response.status;
+        exchange.retryAfter = response.headers.get('retry-after');
+        exchange.body = body;
+    }
+    run.record.exchanges.push(exchange);
+}
+
+// Called by the StockX client instead of fetch() while replaying: the next recorded response for the URL,
+// as a Response. Recorded network errors are thrown again; a request the run never made fails.
+export function replayStockXExchange(url) {
+    const run = activeRun.getStore();
+    const requestPath = pathOf(url);
+    const index = run.record.exchanges.findIndex((e, i) => e.path === requestPath && !run.used.has(i));
+    if (index === -1) throw new Error(`Replay: run ${run.record.id} has no (further) response for ${requestPath}`);
+
+    run.used.add(index);
+    const exchange = run.record.exchanges[index];
+    if (exchange.error) throw new TypeError(exchange.error);
+
+    const body = typeof exchange.body === 'string' ? exchange.body : JSON.stringify(exchange.body);
+    return new Response(body, {
+        status: exchange.status,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(exchange.retryAfter ? { 'Retry-After': exchange.retryAfter } : {})
+        }
+    });
+}
+
+// Run ids start with the shop, so a shop only ever sees its own runs
+const runIdPrefix = (shop) => `${String(shop).replace(/[^a-zA-Z0-9._-]/g, '_')}__`;
+
+async function pruneRuns(shop, keepRuns) {
+    const ids = (await runStore.keys()).filter(id => id.startsWith(runIdPrefix(shop))).sort();
+    for (const id of ids.slice(0, Math.max(0, ids.length - keepRuns))) {
+        await runStore.delete(id);
+    }
+}
+
+// Runs fn as one recorded run when recording is enabled for the shop (otherwise just runs it).
+// meta: { kind ("sync", "preview", "import"), sku, productId, title }
+// fn receives note(fields), to add context such as the currency and pricing rules used. Returns what fn returns;
+// the run stores its { status, message } as the outcome.
+export async function withStockXRecording(shop, meta, fn) {
+    const settings = await getRecordingSettings(shop);
+    if ((!RECORD_ALL && !settings.enabled) || activeRun.getStore()) return fn(() => {});
+
+    const startedAt = new Date();
+    const record = {
+        id: `${runIdPrefix(shop)}${startedAt.toISOString().replace(/[:.]/g, '-')}_${crypto.randomBytes(3).toString('hex')}`,
+        shop,
+        ...meta,
+        startedAt: startedAt.toISOString(),
+        finishedAt: null,
+        outcome: null,
+        context: {},
+        exchanges: []
+    };
+    const note = (fields) => Object.assign(record.context, fields);
+
+    try {
+        const result = await activeRun.run({ mode: 'record', record }, () => fn(note));
+        record.outcome = { status: result?.status ?? null, message: result?.message || result?.error || null };
+        return result;
+    } catch (error) {
+        record.outcome = { status: 'error', message: error.message };
+        throw error;
+    } finally {
+        record.finishedAt = new Date().toISOString();
+        await runStore.set(record.id, record);
+        await pruneRuns(shop, settings.keepRuns);
+        console.log(`[StockX] Recorded ${record.exchanges.length} StockX requests as run ${record.id}`);
+    }
+}
+
+// Runs fn with the StockX client answering from the recorded run
+export async function withStockXReplay(record, fn) {
+    return activeRun.run({ mode: 'replay', record, used: new Set() }, fn);
+}
+
+export async function getRecordedRun(shop, id) {
+    if (!String(id).startsWith(runIdPrefix(shop))) return null;
+    return runStore.get(id);
+}
+
+// Newest first, without the exchanges
+export async function listRecordedRuns(shop) {
+    const ids = (await runStore.keys()).filter(id => id.startsWith(runIdPrefix(shop))).sort().reverse();
+    const runs = [];
+    for (const id of ids) {
+        const { exchanges = [], ...run } = (await runStore.get(id)) || {};
+        if (run.id) runs.push({ ...run, requestCount: exchanges.length });
+    }
+    return runs;
+}
+
+export async function deleteRecordedRun(shop, id) {
+    if (!String(id).startsWith(runIdPrefix(shop))) return false;
+    return runStore.delete(id);
+}
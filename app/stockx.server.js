@@ -1,401 +1,379 @@
-import fs from 'fs';
-import path from 'path';
+import { money } from './fx.server';
+import {
+    stockxGetJson,
+    stockxRequestJson,
+    stockxErrorMessage,
+    StockXAuthError,
+    StockXNotFoundError,
+    StockXRequestError
+} from './stockx-client.server';
+import { rankCandidates, AmbiguousMatchError } from './sku-match.server';
+import {
+    cachedFetch,
+    getCachedMarketData,
+    setCachedMarketData,
+    CATALOG_CACHE_MS,
+    DEFAULT_MARKET_CACHE_MINUTES
+} from './stockx-cache.server';
+import { stockxAuthFor, stockxLoginUrl } from './stockx-auth.server';
+import { stockxSizeConversions } from './size-system.server';
+import { stockxApiUrl } from './stockx-config.server';
+
+// Turns a StockX market-data response into a snapshot of { amount, currency } objects (null when missing).
+// Older responses nest the figures under `market`, so both shapes are read.
+export function parseMarketData(rawData, currencyCode) {
+    const market = rawData?.market || {};
+    const amountOf = (...values) => {
+        const value = values.find(v => v !== undefined && v !== null && v !== '' && Number(v) > 0);
+        return value === undefined ? null : money(parseFloat(value), currencyCode);
+    };
+    const sales = rawData?.salesLast72Hours ?? market.salesLast72Hours ?? rawData?.numberOfSales72Hours;
+
+    return {
+        lowestAsk: amountOf(rawData?.lowestAskAmount, market.lowestAsk, rawData?.lowestAsk),
+        highestBid: amountOf(rawData?.highestBidAmount, market.highestBid, rawData?.highestBid),
+        lastSale: amountOf(rawData?.lastSaleAmount, market.lastSale, rawData?.lastSale),
+        sellFaster: amountOf(rawData?.sellFasterAmount),
+        earnMore: amountOf(rawData?.earnMoreAmount),
+        salesLast72Hours: sales === undefined || sales === null ? null : Number(sales)
+    };
+}
 
-// --- CONFIGURATION ---
-const CLIENT_ID = process.env.STOCKX_CLIENT_ID;
-const CLIENT_SECRET = process.env.STOCKX_CLIENT_SECRET;
-const API_KEY = process.env.STOCKX_API_KEY;
-// Using /tmp/ ensures write permissions in most environments, but persistence is minimal on serverless.
-const TOKEN_PATH = process.platform === 'win32'
-    ? path.join(process.env.TEMP || 'C:\\Temp', 'stockx_tokens.json')
-    : '/tmp/stockx_tokens.json';
+// How many search hits are scored against the requested SKU
+const SEARCH_PAGE_SIZE = 10;
 
-let accessToken = null;
-let refreshToken = null;
+// Raw catalog search hits for a query (cached, see stockx-cache.server.js), using the shop's StockX login.
+// options.forceRefresh: skip the cache and ask StockX again
+export async function searchStockXCatalog(shop, query, { forceRefresh = false } = {}) {
+    const cacheKey = String(query).trim().toLowerCase();
+    // The cache is shared by all shops, so only a shop with a StockX login may read it
+    const auth = await stockxAuthFor(shop);
+    return cachedFetch('search', cacheKey, CATALOG_CACHE_MS, async () => {
 
+        const searchParams = new URLSearchParams({
+            query, pageSize: String(SEARCH_PAGE_SIZE), pageNumber: '1', dataType: 'product'
+        });
+        const searchData = await stockxGetJson(stockxApiUrl(`/v2/catalog/search?${searchParams.toString()}`), {
+            auth,
+            headers: { 'User-Agent': 'Mozilla/5.0' },
+            label: `search ${query}`
+        });
 
+        return searchData.results || searchData.data || searchData.products || [];
+    }, { forceRefresh });
+}
 
-// ... (constants remain)
+// Searches the catalog for a SKU and returns the product_info of the confidently matching hit
+// (see rankCandidates), or null when nothing was found. Throws AmbiguousMatchError with the
+// candidates when there are hits but none is a confident match.
+// options.expectedTitle: the title we expect (e.g. the Shopify product title) to help scoring
+// options.forceRefresh: skip the search cache
+export async function searchStockXProduct(shop, sku, options = {}) {
+    const hits = await searchStockXCatalog(shop, sku, { forceRefresh: options.forceRefresh });
+    if (hits.length === 0) return null;
+
+    // Score on the catalog's own style ID; hits without one fall back to the requested SKU afterwards
+    const infos = hits.map(hit => ({ ...stockxProductInfo(hit, sku), sku: hit.styleId || hit.sku || '' }));
+    const { match, candidates } = rankCandidates(sku, infos, options);
+    if (!match) throw new AmbiguousMatchError(sku, candidates.map(c => ({ ...c, sku: c.sku || sku })));
+    return match;
+}
 
-// --- HELPER FUNCTIONS ---
-const saveToken = async (tokenData) => {
-    try {
-        const data = {
-            accessToken: tokenData.access_token || tokenData.accessToken,
-            refreshToken: tokenData.refresh_token || tokenData.refreshToken || undefined,
-            expiresIn: tokenData.expires_in,
-            updatedAt: new Date().toISOString()
-        };
+// Lists the variants (sizes) of a StockX product (cached like catalog searches)
+export async function listStockXVariants(shop, productId, { forceRefresh = false } = {}) {
+    const auth = await stockxAuthFor(shop);
+    return cachedFetch('variants', String(productId), CATALOG_CACHE_MS, async () => {
 
-        // If we are refreshing and didn't get a new refresh token, keep the old one
-        if (!data.refreshToken && fs.existsSync(TOKEN_PATH)) {
-            try {
-                const oldData = JSON.parse(fs.readFileSync(TOKEN_PATH, 'utf8'));
-                if (oldData.refreshToken) {
-                    data.refreshToken = oldData.refreshToken;
-                }
-            } catch (readErr) {
-                // ignore
-            }
+        const variants = await stockxGetJson(stockxApiUrl(`/v2/catalog/products/${productId}/variants`), {
+            auth,
+            label: `variants ${productId}`
+        });
+        if (!Array.isArray(variants)) {
+            throw new Error("Failed to fetch variants or invalid response");
         }
+        return variants;
+    }, { forceRefresh });
+}
 
-        fs.writeFileSync(TOKEN_PATH, JSON.stringify(data, null, 2));
-
-        accessToken = data.accessToken;
-        if (data.refreshToken) refreshToken = data.refreshToken;
-
-    } catch (e) {
-        console.error("Error saving token to file:", e);
-    }
-};
-
-const loadToken = async () => {
-    if (accessToken && refreshToken) return true;
+// Full catalog entry of a StockX product (attributes, media...), cached like catalog searches
+export async function getStockXProductDetails(shop, productId, { forceRefresh = false } = {}) {
+    const auth = await stockxAuthFor(shop);
+    return cachedFetch('products', String(productId), CATALOG_CACHE_MS, async () => {
+        return stockxGetJson(stockxApiUrl(`/v2/catalog/products/${productId}`), {
+            auth,
+            label: `product ${productId}`
+        });
+    }, { forceRefresh });
+}
 
-    try {
-        if (!fs.existsSync(TOKEN_PATH)) return false;
+const imageUrlsOf = (list) => (Array.isArray(list) ? list : [])
+    .map(item => (typeof item === 'string' ? item : item?.imageUrl || item?.url))
+    .filter(Boolean);
+
+// The extended content of a catalog entry that the importer writes into the Shopify product:
+// { description, colorway, releaseDate (YYYY-MM-DD), retailPrice (USD), gender, images: [url] }
+// with null for anything StockX does not list. images holds the main picture, the gallery and the
+// 360° frames, in that order, without duplicates.
+export function stockxProductContent(details) {
+    const attributes = details?.productAttributes || {};
+    const media = details?.media || {};
+    const releaseDate = String(attributes.releaseDate || '').slice(0, 10);
+    const retailPrice = Number(attributes.retailPrice);
+
+    const images = [
+        media.imageUrl,
+        ...imageUrlsOf(media.gallery),
+        ...imageUrlsOf(media.gallery360 || media['360'])
+    ].filter(Boolean);
+
+    return {
+        description: details?.description || attributes.description || null,
+        colorway: attributes.colorway || attributes.color || null,
+        releaseDate: /^\d{4}-\d{2}-\d{2}$/.test(releaseDate) ? releaseDate : null,
+        retailPrice: retailPrice > 0 ? retailPrice : null,
+        gender: attributes.gender || null,
+        images: [...new Set(images)]
+    };
+}
 
-        const fileContent = fs.readFileSync(TOKEN_PATH, 'utf8');
-        const cred = JSON.parse(fileContent);
+// EU and US size labels of a StockX variant ("N/A" when unknown), plus its size chart conversions
+// in every supported system and its size type (see size-system.server.js)
+export function stockxVariantSizes(variant) {
+    let euSize = variant.sizeChart?.availableConversions?.find(c => c.type === 'eu')?.size;
+    let usSize = variant.sizeChart?.defaultConversion?.size;
 
-        if (cred) {
-            accessToken = cred.accessToken;
-            refreshToken = cred.refreshToken;
-            return true;
-        }
-    } catch (e) {
-        console.error("Error loading token from file:", e);
+    // Fallback for apparel which might defaults to US sizes
+    if (!euSize && usSize) {
+        euSize = usSize;
     }
-    return false;
-};
 
-// --- CORE FUNCTIONS ---
+    // Default to N/A if nothing found
+    if (!euSize) euSize = "N/A";
+    if (!usSize) usSize = "N/A";
+
+    // Clean "US " prefix if present (Requested by user)
+    // e.g., "US XS" -> "XS"
+    const { sizes, rawSizes, sizeType } = stockxSizeConversions(variant);
+    return {
+        size_eu: euSize.replace(/^US\s+/i, ""),
+        size_us: usSize.replace(/^US\s+/i, ""),
+        sizes,
+        rawSizes,
+        sizeType
+    };
+}
 
-// --- CORE FUNCTIONS ---
+// Timing of market data fetches since the server started, per way of fetching:
+// "product" = one product-level request, "variant" = one request per size (fallback)
+const priceFetchMetrics = {
+    product: { fetches: 0, variants: 0, requests: 0, totalMs: 0 },
+    variant: { fetches: 0, variants: 0, requests: 0, totalMs: 0 }
+};
 
-export async function exchangeCodeForToken(code, redirectUri) {
-    const tokenResponse = await fetch('https://accounts.stockx.com/oauth/token', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: new URLSearchParams({
-            grant_type: 'authorization_code',
-            client_id: CLIENT_ID,
-            client_secret: CLIENT_SECRET,
-            code: code,
-            redirect_uri: redirectUri
-        })
-    });
+export const getPriceFetchMetrics = () => JSON.parse(JSON.stringify(priceFetchMetrics));
 
-    const tokenData = await tokenResponse.json();
-    if (tokenResponse.ok) {
-        await saveToken(tokenData);
-        return { success: true, tokenData };
-    } else {
-        console.error("Token Exchange Error:", tokenData);
-        return { success: false, error: tokenData };
-    }
+function recordPriceFetch(mode, { variants, requests, startedAt }) {
+    const metrics = priceFetchMetrics[mode];
+    metrics.fetches++;
+    metrics.variants += variants;
+    metrics.requests += requests;
+    metrics.totalMs += Date.now() - startedAt;
 }
 
-async function refreshAccessToken() {
-    await loadToken(); // Ensure we have the latest
-    if (!refreshToken) {
-        console.error("No refresh token available");
-        return false;
-    }
-
+// Market data of every variant of a product in one request, as { [variantId]: parseMarketData result }.
+// Returns null when the product-level endpoint cannot serve the product, so callers fall back to per-variant requests.
+async function fetchProductMarketData(auth, productId, currencyCode, label) {
+    const url = stockxApiUrl(`/v2/catalog/products/${productId}/market-data?currencyCode=${currencyCode}`);
     try {
-        const tokenResponse = await fetch('https://accounts.stockx.com/oauth/token', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-            body: new URLSearchParams({
-                grant_type: 'refresh_token',
-                client_id: CLIENT_ID,
-                client_secret: CLIENT_SECRET,
-                refresh_token: refreshToken
-            })
-        });
-
-        const tokenData = await tokenResponse.json();
-        if (tokenResponse.ok) {
-            console.log("Token successfully refreshed");
-            await saveToken(tokenData);
-            return true;
-        } else {
-            console.error("Token Refresh Error:", tokenData);
-            return false;
+        const rows = await stockxGetJson(url, { auth, label: `market data ${label}` });
+        if (!Array.isArray(rows)) {
+            console.warn(`[StockX] Unexpected product market data for ${label}, falling back to per-size requests`);
+            return null;
         }
-    } catch (e) {
-        console.error("Token Refresh Exception:", e);
-        return false;
+        return Object.fromEntries(rows.filter(row => row?.variantId).map(row => [row.variantId, parseMarketData(row, currencyCode)]));
+    } catch (err) {
+        if (!(err instanceof StockXNotFoundError || err instanceof StockXRequestError)) throw err;
+        console.warn(`[StockX] Product market data unavailable for ${label} (${err.message}), falling back to per-size requests`);
+        return null;
     }
 }
 
-export async function fetchStockXData(sku, baseUrl) {
-    // Ensure SKU is clean
-    const cleanSku = sku ? sku.trim() : "";
-    if (!cleanSku) throw new Error("Missing 'sku'");
-
-    // 1. Auth Check
-    await loadToken();
-
-    // Auto-login logic
-    if (!accessToken) {
-        console.log("No access token, attempting refresh...");
-        const refreshed = await refreshAccessToken();
-        if (!refreshed) {
-            return {
-                status: 401,
-                error: 'Unauthorized',
-                action: `Please visit ${baseUrl}/stockx/login to authenticate first.`,
-                loginUrl: `${baseUrl}/stockx/login`
-            };
-        }
+// Market data of one variant; null when StockX has none for the size
+async function fetchVariantMarketData(auth, productId, variant, currencyCode, label) {
+    const { size_us } = stockxVariantSizes(variant);
+    const url = stockxApiUrl(`/v2/catalog/products/${productId}/variants/${variant.variantId}/market-data?currencyCode=${currencyCode}`);
+    try {
+        return parseMarketData(await stockxGetJson(url, { auth, label: `market data ${label} size ${size_us}` }), currencyCode);
+    } catch (err) {
+        if (!(err instanceof StockXNotFoundError || err instanceof StockXRequestError)) throw err;
+        console.error(`[StockX] No market data for size ${size_us}: ${err.message}`);
+        return null;
     }
+}
 
-    const makeRequest = async (retry = false) => {
-        // 2. Search for Product (With Retry)
-        const searchParams = new URLSearchParams({
-            query: cleanSku, pageSize: '1', pageNumber: '1', dataType: 'product'
-        });
-        const searchUrl = `https://api.stockx.com/v2/catalog/search?${searchParams.toString()}`;
-
-        let searchData;
-        let searchAttempt = 0;
-        let searchSuccess = false;
-
-        while (searchAttempt < 3 && !searchSuccess) {
-            try {
-                // Small jitter delay before search
-                await new Promise(r => setTimeout(r, 50 + Math.random() * 50));
-
-                const searchResp = await fetch(searchUrl, {
-                    headers: {
-                        'x-api-key': API_KEY,
-                        'Authorization': `Bearer ${accessToken}`,
-                        'User-Agent': 'Mozilla/5.0'
-                    }
-                });
-
-                // Handle Auth Refresh
-                if (searchResp.status === 401 && !retry) {
-                    console.log("Got 401 searching, attempting refresh...");
-                    const refreshed = await refreshAccessToken();
-                    if (refreshed) {
-                        return makeRequest(true);
-                    } else {
-                        return {
-                            status: 401,
-                            error: "Token Expired and Refresh Failed. Please login again.",
-                            action: `Please visit ${baseUrl}/stockx/login to authenticate first.`,
-                            loginUrl: `${baseUrl}/stockx/login`
-                        };
-                    }
-                }
-
-                // Handle Rate Limits / Server Errors
-                if (searchResp.status === 429 || [502, 503, 504, 524].includes(searchResp.status)) {
-                    searchAttempt++;
-                    const waitTime = 2000 * Math.pow(2, searchAttempt); // 4s, 8s, 16s
-                    console.warn(`[StockX] Search Rate Limit/Timeout (${searchResp.status}) for ${cleanSku}. Waiting ${waitTime / 1000}s...`);
-                    await new Promise(r => setTimeout(r, waitTime));
-                    continue;
-                }
-
-                if (!searchResp.ok) {
-                    // If it's another error (like 400), log and fail
-                    const errText = await searchResp.text();
-                    console.error(`[StockX] Search Failed: ${searchResp.status} ${errText}`);
-                    throw new Error(`Search failed: ${searchResp.status}`);
-                }
-
-                searchData = await searchResp.json();
-                searchSuccess = true;
-
-            } catch (err) {
-                console.error(`[StockX] Search Exception for ${cleanSku}:`, err.message);
-                searchAttempt++;
-                await new Promise(r => setTimeout(r, 1000));
-            }
-        }
-
-        if (!searchSuccess || !searchData) {
-            return { status: 404, error: `Search failed after retries for SKU: ${cleanSku}` };
-        }
-
-        const hits = searchData.results || searchData.data || searchData.products || [];
-
-        if (hits.length === 0) {
-            return { status: 404, error: `No products found for SKU: ${cleanSku}` };
-        }
-
-        const product = hits[0];
-        const currentProductId = product.productId;
-
-        // 3. Get Variants (Retry Logic)
-        let variants = [];
-        let variantsAttempt = 0;
-        let variantsSuccess = false;
-
-        while (variantsAttempt < 3 && !variantsSuccess) {
-            try {
-                const variantsResp = await fetch(`https://api.stockx.com/v2/catalog/products/${currentProductId}/variants`, {
-                    headers: { 'x-api-key': API_KEY, 'Authorization': `Bearer ${accessToken}` }
-                });
-
-                if (variantsResp.status === 401 && !retry) {
-                    console.log("Got 401 variants, attempting refresh...");
-                    const refreshed = await refreshAccessToken();
-                    if (refreshed) {
-                        return makeRequest(true);
+// Fetches market data for every variant: one product-level request, with per-variant requests
+// (paced by the shared rate limiter) only when that endpoint cannot serve the product.
+// Sizes StockX has no market data for get `market: null`; outages, rate limits and auth
+// failures abort the whole fetch so a product is never synced from partial data.
+// Market data younger than options.maxAgeMs is served from the cache; forceRefresh fetches every size again.
+// Returns [{ size_eu, size_us, price, market, variantId }] in the order of `variants`.
+export async function getStockXVariantPrices(shop, productId, variants, options = {}) {
+    const {
+        currencyCode = 'EUR',
+        label = productId,
+        maxAgeMs = DEFAULT_MARKET_CACHE_MINUTES * 60 * 1000,
+        forceRefresh = false
+    } = options;
+
+    // Checked before the (shared) cache too, so shops without a StockX login get no cached prices
+    const auth = await stockxAuthFor(shop);
+    const { cached, missing } = await getCachedMarketData(
+        productId, currencyCode, variants.map(v => v.variantId), maxAgeMs, { forceRefresh }
+    );
+    const fresh = {};
+
+    if (missing.length > 0) {
+        console.log(`[StockX] Found ${variants.length} variants, ${variants.length - missing.length} cached. Starting price fetch...`);
+        const timerLabel = `StockX Price Fetching (${label})`;
+        console.time(timerLabel);
+        const startedAt = Date.now();
+
+        try {
+            const productMarket = await fetchProductMarketData(auth, productId, currencyCode, label);
+            if (productMarket) {
+                // Sizes missing from the product-level response have no market data
+                missing.forEach(variantId => { fresh[variantId] = productMarket[variantId] || null; });
+                recordPriceFetch('product', { variants: missing.length, requests: 1, startedAt });
+            } else {
+                const missingVariants = variants.filter(v => missing.includes(v.variantId));
+                let fetched = 0;
+                await Promise.all(missingVariants.map(async (variant) => {
+                    fresh[variant.variantId] = await fetchVariantMarketData(auth, productId, variant, currencyCode, label);
+                    fetched++;
+                    if (fetched % 5 === 0 || fetched === missingVariants.length) {
+                        console.log(`[StockX] Fetched prices for ${fetched}/${missingVariants.length} variants...`);
                     }
-                }
-
-                if (variantsResp.status === 429 || [502, 503, 504, 524].includes(variantsResp.status)) {
-                    variantsAttempt++;
-                    const waitTime = 1000 * Math.pow(2, variantsAttempt); // 2s, 4s, 8s
-                    console.warn(`[StockX] Variants Fetch Rate Limit/Timeout (${variantsResp.status}). Waiting ${waitTime / 1000}s...`);
-                    await new Promise(r => setTimeout(r, waitTime));
-                    continue;
-                }
-
-                if (!variantsResp.ok) {
-                    const errText = await variantsResp.text();
-                    console.error(`[StockX] Failed to fetch variants. Status: ${variantsResp.status}, Body: ${errText}`);
-                    throw new Error(`Failed to fetch variants: ${variantsResp.status}`);
-                }
-
-                variants = await variantsResp.json();
-                variantsSuccess = true;
-
-            } catch (err) {
-                console.error(`Error fetching variants:`, err.message);
-                variantsAttempt++;
-                await new Promise(r => setTimeout(r, 1000));
+                }));
+                // The failed product-level request counts too
+                recordPriceFetch('variant', { variants: missing.length, requests: missing.length + 1, startedAt });
             }
+        } finally {
+            console.timeEnd(timerLabel);
         }
 
-        if (!variantsSuccess) {
-            throw new Error("Failed to fetch variants after multiple retries");
-        }
-
-        // 4. Get Prices CONCURRENTLY (With Limit)
-        const variantPrices = [];
-        console.log(`[StockX] Found ${variants.length || 0} variants. Starting concurrent price fetch...`);
-        const timerLabel = `StockX Price Fetching (${cleanSku})`;
-        console.time(timerLabel);
-
-        if (!variants || !Array.isArray(variants)) {
-            return { status: 500, error: "Failed to fetch variants or invalid response" };
-        }
-
-        // Concurrency Helper
-        const limit = 5;
-        const fetchVariantPrice = async (variant) => {
-            let euSize = variant.sizeChart?.availableConversions?.find(c => c.type === 'eu')?.size;
-            let usSize = variant.sizeChart?.defaultConversion?.size;
-
-            // Fallback for apparel which might defaults to US sizes
-            if (!euSize && usSize) {
-                euSize = usSize;
-            }
-
-            // Default to N/A if nothing found
-            if (!euSize) euSize = "N/A";
-            if (!usSize) usSize = "N/A";
-
-            // Clean "US " prefix if present (Requested by user)
-            // e.g., "US XS" -> "XS"
-            euSize = euSize.replace(/^US\s+/i, "");
-            usSize = usSize.replace(/^US\s+/i, "");
-            let priceData = "No Ask";
-
-            const maxRetries = 3;
-            let attempt = 0;
-            let success = false;
-
-            while (attempt < maxRetries && !success) {
-                try {
-                    const marketUrl = `https://api.stockx.com/v2/catalog/products/${currentProductId}/variants/${variant.variantId}/market-data?currencyCode=EUR`;
-
-                    // Base delay + Jitter (Reduced to ~50-100ms per user request)
-                    const delay = 50 + (Math.random() * 50);
-                    await new Promise(r => setTimeout(r, delay));
-
-                    const marketResp = await fetch(marketUrl, {
-                        headers: { 'x-api-key': API_KEY, 'Authorization': `Bearer ${accessToken}` }
-                    });
-
-                    // Handle Rate Limits AND Gateway Timeouts
-                    if (marketResp.status === 429 || [502, 503, 504, 524].includes(marketResp.status)) {
-                        attempt++;
-                        const waitTime = 1000 * Math.pow(2, attempt); // 2s, 4s, 8s (Reduced from 4s start)
-                        console.warn(`[StockX] Rate Limit/Timeout ${marketResp.status} for size ${usSize}. Waiting ${waitTime / 1000}s... (Attempt ${attempt}/${maxRetries})`);
-                        await new Promise(r => setTimeout(r, waitTime));
-                        continue;
-                    }
-
-                    if (marketResp.ok) {
-                        const rawData = await marketResp.json();
-                        const ask = rawData.lowestAskAmount || rawData.market?.lowestAsk || rawData.lowestAsk;
-                        if (ask) priceData = `${ask} EUR`;
-                        success = true;
-                    } else {
-                        // Non-retriable error (e.g. 404, 500)
-                        console.error(`[StockX] Error ${marketResp.status} for size ${usSize}`);
-                        success = true; // Break loop
-                    }
-                } catch (err) {
-                    console.error(`Error fetching size ${usSize}:`, err.message);
-                    attempt++;
-                    await new Promise(r => setTimeout(r, 1000));
-                }
-            }
+        await setCachedMarketData(productId, currencyCode, fresh);
+    }
 
-            return {
-                size_eu: euSize,
-                size_us: usSize,
-                price: priceData,
-                variantId: variant.variantId
-            };
+    return variants.map(variant => {
+        const marketData = variant.variantId in cached ? cached[variant.variantId] : fresh[variant.variantId];
+        return {
+            ...stockxVariantSizes(variant),
+            price: marketData?.lowestAsk || null,
+            market: marketData,
+            variantId: variant.variantId
         };
+    });
+}
 
-        // Process in chunks or a pool
-        const results = [];
-        for (let i = 0; i < variants.length; i += limit) {
-            const chunk = variants.slice(i, i + limit);
-            const chunkResults = await Promise.all(chunk.map(v => fetchVariantPrice(v)));
-            results.push(...chunkResults);
+// The product_info shape the importer and sync work with, from a catalog search hit
+export const stockxProductInfo = (product, sku) => ({
+    productId: product.productId,
+    title: product.title,
+    sku: product.styleId || product.sku || sku,
+    image: product.media?.imageUrl || product.media?.thumbUrl || product.image,
+    brand: product.brand
+});
+
+// The 401 result callers show as a "Login to StockX" prompt; the link connects StockX for this shop
+export const stockxLoginRequired = (baseUrl, shop, error = 'Unauthorized') => ({
+    status: 401,
+    error,
+    action: 'Please connect your StockX account first.',
+    loginUrl: stockxLoginUrl(baseUrl, shop)
+});
+
+// Looks a SKU up on StockX with the StockX account the shop connected.
+// options.currencyCode: currency StockX should quote market data in (defaults to EUR).
+// options.forceRefresh: bypass the StockX cache for this lookup.
+// options.expectedTitle: helps pick the right catalog product (see searchStockXProduct).
+// options.product: a catalog product (product_info) picked earlier; skips the search.
+// Each variant has `price` (the lowest ask as { amount, currency }, or null when there is no ask)
+// and `market`, the full snapshot from parseMarketData (null when market data could not be fetched).
+// Like the market data providers, a SKU without a confident match returns { status: 300, error, candidates }.
+export async function fetchStockXData(shop, sku, baseUrl, options = {}) {
+    const { currencyCode = 'EUR', forceRefresh = false, expectedTitle = null } = options;
 
-            // Batch Delay (1.5s - 2s)
-            if (i + limit < variants.length) {
-                await new Promise(r => setTimeout(r, 1500 + Math.random() * 500));
-            }
+    // Ensure SKU is clean
+    const cleanSku = sku ? sku.trim() : "";
+    if (!cleanSku) throw new Error("Missing 'sku'");
 
-            console.log(`[StockX] Fetched prices for ${results.length}/${variants.length} variants...`);
+    try {
+        const product = options.product || await searchStockXProduct(shop, cleanSku, { expectedTitle, forceRefresh });
+        if (!product) {
+            return { status: 404, error: `No products found for SKU: ${cleanSku}` };
         }
 
-        variantPrices.push(...results);
-
-        console.timeEnd(timerLabel);
+        const variants = await listStockXVariants(shop, product.productId, { forceRefresh });
+        const variantPrices = await getStockXVariantPrices(shop, product.productId, variants, { currencyCode, label: cleanSku, forceRefresh });
 
         return {
             status: 200,
             data: {
-                product_info: {
-                    title: product.title,
-                    sku: product.styleId || product.sku || cleanSku,
-                    image: product.media?.imageUrl || product.media?.thumbUrl || product.image,
-                    brand: product.brand
-                },
+                product_info: product,
                 variants: variantPrices
             }
         };
-    };
-
-    try {
-        return await makeRequest();
     } catch (error) {
+        if (error instanceof AmbiguousMatchError) {
+            return { status: 300, error: error.message, candidates: error.candidates };
+        }
+        if (error instanceof StockXAuthError) {
+            return stockxLoginRequired(baseUrl, shop, error.userMessage);
+        }
         console.error(error);
-        return { status: 500, error: `Lookup Failed: ${error.message}`, details: error.message };
+        return { status: error.status || 500, error: stockxErrorMessage(error), details: error.message };
     }
 }
+
+// --- SELLING ---
+// Listings (asks) of the shop's StockX account. StockX processes writes asynchronously: create, update and
+// delete answer with { listingId, operationId, operationStatus } and the listing changes shortly after.
+
+// Lists a variant for sale: { variantId, amount, currencyCode }, amount in whole currency units
+export async function createStockXListing(shop, { variantId, amount, currencyCode }) {
+    const auth = await stockxAuthFor(shop);
+    return stockxRequestJson(stockxApiUrl('/v2/selling/listings'), {
+        auth,
+        method: 'POST',
+        body: { variantId, amount: String(amount), currencyCode, active: true },
+        label: `create listing ${variantId}`
+    });
+}
+
+export async function updateStockXListing(shop, listingId, { amount, currencyCode }) {
+    const auth = await stockxAuthFor(shop);
+    return stockxRequestJson(stockxApiUrl(`/v2/selling/listings/${listingId}`), {
+        auth,
+        method: 'PATCH',
+        body: { amount: String(amount), currencyCode },
+        label: `update listing ${listingId}`
+    });
+}
+
+export async function deleteStockXListing(shop, listingId) {
+    const auth = await stockxAuthFor(shop);
+    return stockxRequestJson(stockxApiUrl(`/v2/selling/listings/${listingId}`), {
+        auth,
+        method: 'DELETE',
+        label: `delete listing ${listingId}`
+    });
+}
+
+// A listing with its current status (ACTIVE, INACTIVE, MATCHED, COMPLETED, CANCELED, DELETED...)
+export async function getStockXListing(shop, listingId) {
+    const auth = await stockxAuthFor(shop);
+    return stockxGetJson(stockxApiUrl(`/v2/selling/listings/${listingId}`), {
+        auth,
+        label: `listing ${listingId}`
+    });
+}
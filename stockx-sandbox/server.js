@@ -0,0 +1,370 @@
+/* eslint-env node */
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Local stand-in for the StockX API and OAuth server, for demos, staff training and reproducing bugs
+// without a StockX account. Run it with `npm run stockx:sandbox` and start the app with STOCKX_MODE=sandbox.
+//
+// Serves:
+//   GET  /authorize                      logs in straight away as the sandbox user and redirects back with a code
+//   POST /oauth/token                    authorization_code (with PKCE) and refresh_token grants
+//   GET  /v2/catalog/search              searches the fixture catalog by style ID, title and brand
+//   GET  /v2/catalog/products/:id        product details
+//   GET  /v2/catalog/products/:id/variants
+//   GET  /v2/catalog/products/:id/market-data
+//   GET  /v2/catalog/products/:id/variants/:variantId/market-data
+//   POST /v2/selling/listings            creates an ask; active asks count towards the lowest ask
+//   GET, PATCH, DELETE /v2/selling/listings/:listingId
+//   POST /__sandbox/fail?status=429&count=3   makes the next API requests fail (429 carries Retry-After: 1)
+//   POST /__sandbox/sell?listingId=...   sells an active ask (the oldest one without listingId)
+//
+// Options (flags or environment):
+//   --port / STOCKX_SANDBOX_PORT                     default 4010
+//   --fixtures / STOCKX_SANDBOX_FIXTURES             catalog file, default fixtures/catalog.json next to this file
+//   --rate-limit-rate / STOCKX_SANDBOX_429_RATE      share of API requests answered with 429 (0-1)
+//   --error-rate / STOCKX_SANDBOX_5XX_RATE           share of API requests answered with 500/502/503 (0-1)
+//   --latency / STOCKX_SANDBOX_LATENCY_MS            delay added to every API response
+//   --token-ttl / STOCKX_SANDBOX_TOKEN_TTL           access token lifetime in seconds, default 3600
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+
+function option(flag, envName, fallback) {
+    const arg = process.argv.find(a => a.startsWith(`--${flag}=`));
+    if (arg) return arg.slice(flag.length + 3);
+    return process.env[envName] ?? fallback;
+}
+
+const PORT = Number(option('port', 'STOCKX_SANDBOX_PORT', 4010));
+const FIXTURES = option('fixtures', 'STOCKX_SANDBOX_FIXTURES', path.join(HERE, 'fixtures', 'catalog.json'));
+const RATE_LIMIT_RATE = Number(option('rate-limit-rate', 'STOCKX_SANDBOX_429_RATE', 0));
+const ERROR_RATE = Number(option('error-rate', 'STOCKX_SANDBOX_5XX_RATE', 0));
+const LATENCY_MS = Number(option('latency', 'STOCKX_SANDBOX_LATENCY_MS', 0));
+const TOKEN_TTL = Number(option('token-ttl', 'STOCKX_SANDBOX_TOKEN_TTL', 3600));
+
+// Fixture amounts are USD; other currencies use these fixed rates
+const USD_RATES = { USD: 1, EUR: 0.92, GBP: 0.79, CAD: 1.36, AUD: 1.52, CHF: 0.88, JPY: 149, HKD: 7.8, KRW: 1330, MXN: 17.1, NZD: 1.64, SGD: 1.34 };
+
+const SANDBOX_USER = { sub: 'sandbox-user', email: 'sandbox@stockx.local', name: 'StockX Sandbox' };
+
+const catalog = JSON.parse(fs.readFileSync(FIXTURES, 'utf8')).products;
+
+// Tokens are signed rather than stored, so they stay valid across restarts of the sandbox
+const SIGNING_KEY = 'stockx-sandbox';
+const sign = (payload) => {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${crypto.createHmac('sha256', SIGNING_KEY).update(body).digest('base64url')}`;
+};
+const verify = (token) => {
+    const [body, signature] = String(token || '').split('.');
+    if (!body || signature !== crypto.createHmac('sha256', SIGNING_KEY).update(body).digest('base64url')) return null;
+    return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+};
+
+// Authorization codes waiting for the token exchange: code -> { redirectUri, codeChallenge, expiresAt }
+const codes = new Map();
+// Failures queued with /__sandbox/fail
+let forcedFailures = { status: null, count: 0 };
+// Asks placed through the selling API, kept until the sandbox restarts: listingId -> listing
+const listings = new Map();
+
+// --- FIXTURES AS STOCKX RESPONSES ---
+
+function sizeChart(product, variant) {
+    const type = product.sizeType || 'us m';
+    const conversions = [];
+    if (variant.eu) {
+        conversions.push({ size: `US ${type.slice(-1).toUpperCase()} ${variant.us.replace(/^[MW]\s+/, '')}`, type });
+        conversions.push({ size: `EU ${variant.eu}`, type: 'eu' });
+        if (variant.uk) conversions.push({ size: `UK ${variant.uk}`, type: 'uk' });
+        if (variant.cm) conversions.push({ size: `${variant.cm} cm`, type: 'cm' });
+    }
+    return { defaultConversion: { size: variant.us, type }, availableConversions: conversions };
+}
+
+const productSummary = (product) => ({
+    productId: product.productId,
+    urlKey: product.urlKey,
+    styleId: product.styleId,
+    productType: product.productType,
+    title: product.title,
+    brand: product.brand,
+    productAttributes: product.productAttributes
+});
+
+const productDetails = (product) => ({
+    ...productSummary(product),
+    description: product.description,
+    media: product.media
+});
+
+const variantOf = (product, variant) => ({
+    productId: product.productId,
+    variantId: variant.variantId,
+    variantName: `${product.urlKey}:${variant.us}`,
+    variantValue: variant.us,
+    sizeChart: sizeChart(product, variant)
+});
+
+function marketDataOf(product, variant, currencyCode) {
+    const rate = USD_RATES[currencyCode] || 1;
+    const amount = (usd) => (usd ? String(Math.round(usd * rate)) : null);
+    const market = variant.market || {};
+
+    // Our own active asks take part in the market like anyone else's
+    const askAmounts = [...listings.values()]
+        .filter(l => l.status === 'ACTIVE' && l.variantId === variant.variantId)
+        .map(l => Number(l.amount) / (USD_RATES[l.currencyCode] || 1));
+    const lowestAsk = Math.min(...[market.lowestAsk, ...askAmounts].filter(Boolean));
+
+    return {
+        productId: product.productId,
+        variantId: variant.variantId,
+        currencyCode,
+        lowestAskAmount: amount(Number.isFinite(lowestAsk) ? lowestAsk : null),
+        highestBidAmount: amount(market.highestBid),
+        lastSaleAmount: amount(market.lastSale),
+        sellFasterAmount: amount(market.lowestAsk && market.lowestAsk - 1),
+        earnMoreAmount: amount(market.lowestAsk && market.lowestAsk + 5),
+        salesLast72Hours: market.salesLast72Hours ?? 0
+    };
+}
+
+function searchCatalog(query) {
+    const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+    return catalog.filter(product => {
+        const text = `${product.styleId} ${product.title} ${product.brand}`.toLowerCase();
+        return terms.every(term => text.includes(term));
+    });
+}
+
+// --- HTTP ---
+
+const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+});
+
+function tokenResponse(scope) {
+    const expiresAt = Date.now() + TOKEN_TTL * 1000;
+    return {
+        access_token: sign({ kind: 'access', sub: SANDBOX_USER.sub, expiresAt }),
+        refresh_token: sign({ kind: 'refresh', sub: SANDBOX_USER.sub, issuedAt: Date.now() }),
+        id_token: `${Buffer.from('{"alg":"none"}').toString('base64url')}.${Buffer.from(JSON.stringify(SANDBOX_USER)).toString('base64url')}.`,
+        token_type: 'Bearer',
+        expires_in: TOKEN_TTL,
+        scope
+    };
+}
+
+function handleAuthorize(url, res) {
+    const redirectUri = url.searchParams.get('redirect_uri');
+    if (!redirectUri) return send(res, 400, { error: 'invalid_request', error_description: 'redirect_uri is required' });
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+        redirectUri,
+        codeChallenge: url.searchParams.get('code_challenge'),
+        expiresAt: Date.now() + 5 * 60 * 1000
+    });
+
+    const target = new URL(redirectUri);
+    target.searchParams.set('code', code);
+    if (url.searchParams.get('state')) target.searchParams.set('state', url.searchParams.get('state'));
+    console.log(`[Sandbox] Login approved, redirecting to ${target.origin}${target.pathname}`);
+    res.writeHead(302, { Location: target.toString() });
+    res.end();
+}
+
+async function handleToken(req, res) {
+    const params = new URLSearchParams(await readBody(req));
+    const grantType = params.get('grant_type');
+
+    if (grantType === 'authorization_code') {
+        const pending = codes.get(params.get('code'));
+        codes.delete(params.get('code'));
+        if (!pending || pending.expiresAt < Date.now() || pending.redirectUri !== params.get('redirect_uri')) {
+            return send(res, 403, { error: 'invalid_grant', error_description: 'Unknown or expired authorization code' });
+        }
+        if (pending.codeChallenge) {
+            const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+            if (challenge !== pending.codeChallenge) {
+                return send(res, 403, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+            }
+        }
+        return send(res, 200, tokenResponse('offline_access openid'));
+    }
+
+    if (grantType === 'refresh_token') {
+        const refresh = verify(params.get('refresh_token'));
+        if (refresh?.kind !== 'refresh') return send(res, 403, { error: 'invalid_grant', error_description: 'Unknown refresh token' });
+        return send(res, 200, tokenResponse('offline_access openid'));
+    }
+
+    return send(res, 400, { error: 'unsupported_grant_type' });
+}
+
+// A queued or random failure for an API request, or null
+function simulatedFailure() {
+    if (forcedFailures.count > 0) {
+        forcedFailures.count--;
+        return forcedFailures.status;
+    }
+    if (Math.random() < RATE_LIMIT_RATE) return 429;
+    if (Math.random() < ERROR_RATE) return [500, 502, 503][Math.floor(Math.random() * 3)];
+    return null;
+}
+
+// Answers like StockX does to selling writes: the operation is accepted and done shortly after (here: at once)
+const operation = (listing, operationType) => ({
+    listingId: listing.listingId,
+    operationId: crypto.randomUUID(),
+    operationType,
+    operationStatus: 'PENDING'
+});
+
+async function handleSelling(url, req, res) {
+    const [, listingId] = url.pathname.match(/^\/v2\/selling\/listings(?:\/([^/]+))?$/) || [];
+    const body = ['POST', 'PATCH'].includes(req.method) ? JSON.parse((await readBody(req)) || '{}') : {};
+
+    if (!listingId) {
+        if (req.method !== 'POST') return send(res, 405, { errorMessage: 'Method not allowed' });
+        const known = catalog.some(p => p.variants.some(v => v.variantId === body.variantId));
+        if (!known || !(Number(body.amount) > 0)) return send(res, 400, { errorMessage: 'variantId and a positive amount are required' });
+
+        const listing = {
+            listingId: crypto.randomUUID(),
+            status: body.active === false ? 'INACTIVE' : 'ACTIVE',
+            amount: String(Math.round(Number(body.amount))),
+            currencyCode: (body.currencyCode || 'USD').toUpperCase(),
+            variantId: body.variantId,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        listings.set(listing.listingId, listing);
+        console.log(`[Sandbox] Ask ${listing.listingId} created at ${listing.amount} ${listing.currencyCode}`);
+        return send(res, 200, operation(listing, 'CREATE'));
+    }
+
+    const listing = listings.get(listingId);
+    if (!listing) return send(res, 404, { errorMessage: 'Not found' });
+
+    if (req.method === 'GET') return send(res, 200, listing);
+    if (req.method === 'PATCH') {
+        if (listing.status !== 'ACTIVE' && listing.status !== 'INACTIVE') return send(res, 400, { errorMessage: `Listing is ${listing.status}` });
+        if (body.amount !== undefined) listing.amount = String(Math.round(Number(body.amount)));
+        if (body.currencyCode) listing.currencyCode = body.currencyCode.toUpperCase();
+        listing.updatedAt = new Date().toISOString();
+        console.log(`[Sandbox] Ask ${listing.listingId} updated to ${listing.amount} ${listing.currencyCode}`);
+        return send(res, 200, operation(listing, 'UPDATE'));
+    }
+    if (req.method === 'DELETE') {
+        if (listing.status !== 'ACTIVE' && listing.status !== 'INACTIVE') return send(res, 400, { errorMessage: `Listing is ${listing.status}` });
+        listing.status = 'DELETED';
+        listing.updatedAt = new Date().toISOString();
+        console.log(`[Sandbox] Ask ${listing.listingId} deleted`);
+        return send(res, 200, operation(listing, 'DELETE'));
+    }
+    return send(res, 405, { errorMessage: 'Method not allowed' });
+}
+
+async function handleApi(url, req, res) {
+    const access = verify((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+    if (access?.kind !== 'access' || access.expiresAt < Date.now()) {
+        return send(res, 401, { errorMessage: 'Unauthorized' });
+    }
+
+    const failure = simulatedFailure();
+    if (failure) {
+        console.log(`[Sandbox] Simulating ${failure} for ${url.pathname}`);
+        const headers = failure === 429 ? { 'Retry-After': '1' } : {};
+        return send(res, failure, { errorMessage: `Simulated ${failure}` }, headers);
+    }
+
+    if (url.pathname.startsWith('/v2/selling/')) return handleSelling(url, req, res);
+    if (req.method !== 'GET') return send(res, 405, { errorMessage: 'Method not allowed' });
+
+    if (url.pathname === '/v2/catalog/search') {
+        const pageSize = Number(url.searchParams.get('pageSize')) || 10;
+        const hits = searchCatalog(url.searchParams.get('query'));
+        return send(res, 200, {
+            count: hits.length,
+            pageSize,
+            pageNumber: 1,
+            hasNextPage: hits.length > pageSize,
+            products: hits.slice(0, pageSize).map(productSummary)
+        });
+    }
+
+    const match = url.pathname.match(/^\/v2\/catalog\/products\/([^/]+)(?:\/(variants)(?:\/([^/]+)\/market-data)?|\/(market-data))?$/);
+    const product = match && catalog.find(p => p.productId === match[1]);
+    if (!product) return send(res, 404, { errorMessage: 'Not found' });
+
+    const currencyCode = (url.searchParams.get('currencyCode') || 'USD').toUpperCase();
+    const [, , variants, variantId, productMarket] = match;
+
+    if (variantId) {
+        const variant = product.variants.find(v => v.variantId === variantId);
+        if (!variant) return send(res, 404, { errorMessage: 'Not found' });
+        return send(res, 200, marketDataOf(product, variant, currencyCode));
+    }
+    if (variants) return send(res, 200, product.variants.map(v => variantOf(product, v)));
+    if (productMarket) return send(res, 200, product.variants.map(v => marketDataOf(product, v, currencyCode)));
+    return send(res, 200, productDetails(product));
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    try {
+        if (req.method === 'GET' && url.pathname === '/authorize') return handleAuthorize(url, res);
+        if (req.method === 'POST' && url.pathname === '/oauth/token') return await handleToken(req, res);
+
+        if (req.method === 'POST' && url.pathname === '/__sandbox/fail') {
+            forcedFailures = {
+                status: Number(url.searchParams.get('status')) || 503,
+                count: Number(url.searchParams.get('count')) || 1
+            };
+            console.log(`[Sandbox] Next ${forcedFailures.count} API requests fail with ${forcedFailures.status}`);
+            return send(res, 200, forcedFailures);
+        }
+
+        if (req.method === 'POST' && url.pathname === '/__sandbox/sell') {
+            const id = url.searchParams.get('listingId');
+            const listing = id
+                ? listings.get(id)
+                : [...listings.values()].find(l => l.status === 'ACTIVE');
+            if (!listing || listing.status !== 'ACTIVE') return send(res, 404, { errorMessage: 'No active ask to sell' });
+            listing.status = 'MATCHED';
+            listing.updatedAt = new Date().toISOString();
+            console.log(`[Sandbox] Ask ${listing.listingId} sold for ${listing.amount} ${listing.currencyCode}`);
+            return send(res, 200, listing);
+        }
+
+        if (url.pathname.startsWith('/v2/')) {
+            if (LATENCY_MS > 0) await new Promise(r => setTimeout(r, LATENCY_MS));
+            return await handleApi(url, req, res);
+        }
+
+        send(res, 404, { errorMessage: 'Not found' });
+    } catch (error) {
+        console.error('[Sandbox] Request failed:', error);
+        send(res, 500, { errorMessage: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`[Sandbox] StockX stand-in listening on http://localhost:${PORT} with ${catalog.length} products from ${FIXTURES}`);
+    if (RATE_LIMIT_RATE > 0 || ERROR_RATE > 0) {
+        console.log(`[Sandbox] Simulating 429 for ${RATE_LIMIT_RATE * 100}% and 5xx for ${ERROR_RATE * 100}% of API requests`);
+    }
+});